@@ -0,0 +1,101 @@
+// app/admin/audit/page.js
+"use client";
+
+import React, { useEffect, useState } from "react";
+
+const ACTIONS = ["login", "login_failed", "login_blocked", "logout", "session_revoked", "fetch_data", "view_subscriber", "export", "subscriber_action", "bulk_topup", "report_sent", "price_plan", "invoice"];
+const BASE_KEYS = new Set(["ts", "user", "action", "ip"]);
+
+// everything beyond ts/user/action/ip, e.g. "accountId=3771 rows=120 durationMs=840"
+const detailsOf = (e) => Object.entries(e)
+  .filter(([k, v]) => !BASE_KEYS.has(k) && v != null)
+  .map(([k, v]) => `${k}=${v}`)
+  .join(" ");
+
+export default function AuditPage() {
+  const [user, setUser] = useState("");
+  const [action, setAction] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function load() {
+    setErr(""); setLoading(true);
+    try {
+      const url = new URL("/api/admin/audit", window.location.origin);
+      if (user.trim()) url.searchParams.set("user", user.trim());
+      if (action) url.searchParams.set("action", action);
+      if (from) url.searchParams.set("from", from);
+      if (to) url.searchParams.set("to", to);
+      const res = await fetch(url.toString(), { cache: "no-store" });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      setEntries(j.data); setTotal(j.total);
+    } catch (e) {
+      setEntries([]); setTotal(0); setErr(e.message || "Failed");
+    } finally { setLoading(false); }
+  }
+  useEffect(() => { load(); }, [action, from, to]);
+
+  const input = { padding:"8px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const th = { textAlign:"left", padding:"8px 10px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7" };
+  const td = { padding:"6px 10px", borderBottom:"1px solid #cbd5a7", background:"#fff", verticalAlign:"top" };
+
+  return (
+    <main style={{ padding: 24, maxWidth: 1400, margin: "0 auto", background:"#eff4db", color:"#000" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:12, marginBottom:12 }}>
+        <img src={process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png"} alt="Teltrip" style={{ height: 40 }} />
+        <h1 style={{ margin:0, fontSize:24 }}>Audit log</h1>
+        <a href="/" style={{ marginLeft:"auto", color:"#000" }}>← Back to dashboard</a>
+      </div>
+
+      <form onSubmit={e => { e.preventDefault(); load(); }} style={{ display:"flex", gap:12, alignItems:"center", marginBottom:14 }}>
+        <input placeholder="User" value={user} onChange={e=>setUser(e.target.value)} style={input} />
+        <select value={action} onChange={e=>setAction(e.target.value)} style={input}>
+          <option value="">All actions</option>
+          {ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <input type="date" value={from} max={to || undefined} onChange={e=>setFrom(e.target.value)} style={input} />
+        <span>→</span>
+        <input type="date" value={to} min={from || undefined} onChange={e=>setTo(e.target.value)} style={input} />
+        <button type="submit" disabled={loading} style={{ ...input, background:"#cfeaa1", cursor:"pointer" }}>
+          {loading ? "Loading…" : "Search"}
+        </button>
+        <span style={{ fontSize:13 }}>
+          {total > entries.length ? `Newest ${entries.length} of ${total}` : `${total} entr${total === 1 ? "y" : "ies"}`}
+        </span>
+      </form>
+
+      {err && (
+        <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
+          {err}
+        </div>
+      )}
+
+      <table style={{ width:"100%", borderCollapse:"collapse", fontSize:13, border:"1px solid #cbd5a7" }}>
+        <thead>
+          <tr>
+            <th style={th}>Time (UTC)</th><th style={th}>User</th><th style={th}>Action</th><th style={th}>IP</th><th style={th}>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((e, i) => (
+            <tr key={i}>
+              <td style={{ ...td, whiteSpace:"nowrap" }}>{e.ts.replace("T", " ").slice(0, 19)}</td>
+              <td style={td}>{e.user ?? ""}</td>
+              <td style={{ ...td, color: e.action === "login_failed" || e.action === "login_blocked" || e.error ? "#900" : "#000" }}>{e.action}</td>
+              <td style={td}>{e.ip ?? ""}</td>
+              <td style={{ ...td, fontFamily:"monospace", fontSize:12 }}>{detailsOf(e)}</td>
+            </tr>
+          ))}
+          {!entries.length && !loading && (
+            <tr><td colSpan={5} style={{ ...td, textAlign:"center", opacity:.7 }}>No entries</td></tr>
+          )}
+        </tbody>
+      </table>
+    </main>
+  );
+}
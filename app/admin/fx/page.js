@@ -0,0 +1,98 @@
+// app/admin/fx/page.js
+"use client";
+
+import React, { useEffect, useState } from "react";
+
+const fmtTs = (s) => typeof s === "string" ? s.replace("T", " ").slice(0, 19) : "";
+const ratesText = (rates) => Object.entries(rates || {}).map(([c, r]) => `${c}=${r}`).join("\n");
+
+export default function FxPage() {
+  const [form, setForm] = useState({ reportingCurrency: "", defaultCurrency: "", rates: "" });
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+
+  function show(t) {
+    setForm({ reportingCurrency: t.reportingCurrency, defaultCurrency: t.defaultCurrency, rates: ratesText(t.rates) });
+    setUpdatedAt(t.updatedAt);
+  }
+
+  async function load() {
+    setErr(""); setLoading(true);
+    try {
+      const res = await fetch("/api/fx", { cache: "no-store" });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      show(j.data);
+    } catch (e) {
+      setErr(e.message || "Failed");
+    } finally { setLoading(false); }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function save(e) {
+    e.preventDefault();
+    setErr(""); setInfo(""); setSaving(true);
+    try {
+      const res = await fetch("/api/fx", {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(form)
+      });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      show(j.data); setInfo("Saved");
+    } catch (e) { setErr(e.message); } finally { setSaving(false); }
+  }
+
+  const btn = { padding:"6px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" };
+  const input = { padding:"6px 8px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const label = { display:"grid", gap:4, fontSize:13 };
+
+  return (
+    <main style={{ padding: 24, maxWidth: 800, margin: "0 auto", background:"#eff4db", color:"#000" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:12, marginBottom:12 }}>
+        <img src={process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png"} alt="Teltrip" style={{ height: 40 }} />
+        <h1 style={{ margin:0, fontSize:24 }}>FX rates</h1>
+        <button onClick={load} disabled={loading} style={btn}>{loading ? "Loading…" : "Reload"}</button>
+        <a href="/" style={{ marginLeft:"auto", color:"#000" }}>← Back to dashboard</a>
+      </div>
+
+      <p style={{ fontSize:13, marginTop:0 }}>
+        Costs are converted into the reporting currency before they are summed. Enter one rate per line as
+        <code> CUR=rate</code>, the value of 1 CUR in the reporting currency. Costs in a currency without a rate are
+        left out of the converted totals and flagged on the dashboard.
+      </p>
+
+      {err && (
+        <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
+          {err}
+        </div>
+      )}
+      {info && (
+        <div style={{ background:"#f3fbe4", border:"1px solid #cbd5a7", padding:"10px 12px", borderRadius:10, marginBottom:12, fontSize:13 }}>
+          {info}
+        </div>
+      )}
+
+      <form onSubmit={save} style={{ display:"grid", gap:12 }}>
+        <div style={{ display:"flex", gap:12 }}>
+          <label style={label}>Reporting currency
+            <input value={form.reportingCurrency} onChange={e => setForm({ ...form, reportingCurrency: e.target.value })} required maxLength={3} style={input} />
+          </label>
+          <label style={label} title="Assumed for costs the OCS returns without a currency">Costs without a currency are in
+            <input value={form.defaultCurrency} onChange={e => setForm({ ...form, defaultCurrency: e.target.value })} maxLength={3} style={input} />
+          </label>
+        </div>
+        <label style={label}>Rates
+          <textarea value={form.rates} onChange={e => setForm({ ...form, rates: e.target.value })} rows={8}
+            placeholder={"USD=0.92\nGBP=1.17"} style={{ ...input, fontFamily:"monospace" }} />
+        </label>
+        <div style={{ display:"flex", alignItems:"center", gap:12 }}>
+          <button type="submit" disabled={saving} style={btn}>{saving ? "Saving…" : "Save"}</button>
+          <span style={{ fontSize:12, opacity:.7 }}>{updatedAt ? `Last saved ${fmtTs(updatedAt)} UTC` : "Not saved yet (defaults from the environment)"}</span>
+        </div>
+      </form>
+    </main>
+  );
+}
@@ -0,0 +1,161 @@
+// app/admin/reports/page.js
+"use client";
+
+import React, { useEffect, useState } from "react";
+
+const fmtTs = (s) => typeof s === "string" ? s.replace("T", " ").slice(0, 19) : "";
+const EMPTY = { accountId: "", recipients: "", weekly: true, monthly: true, format: "xlsx" };
+
+export default function ReportsPage() {
+  const [schedules, setSchedules] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [mailOk, setMailOk] = useState(true);
+  const [form, setForm] = useState(EMPTY);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null); // "save" | "<accountId>:<kind>" while a request runs
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+
+  async function load() {
+    setErr(""); setLoading(true);
+    try {
+      const res = await fetch("/api/admin/reports", { cache: "no-store" });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      setSchedules(j.data); setMailOk(j.mailConfigured);
+    } catch (e) {
+      setSchedules([]); setErr(e.message || "Failed");
+    } finally { setLoading(false); }
+  }
+  useEffect(() => {
+    load();
+    fetch("/api/accounts", { cache: "no-store" }).then(r => r.json()).then(j => { if (j?.ok) setAccounts(j.data || []); }).catch(() => {});
+  }, []);
+
+  async function post(body) {
+    const res = await fetch("/api/admin/reports", {
+      method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body)
+    });
+    const j = await res.json().catch(() => null);
+    if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+    return j.data;
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    setErr(""); setInfo(""); setBusy("save");
+    try {
+      const name = accounts.find(a => String(a.id) === String(form.accountId))?.name;
+      await post({ ...form, accountName: name });
+      setForm(EMPTY); load();
+    } catch (e) { setErr(e.message); } finally { setBusy(null); }
+  }
+
+  async function sendNow(s, kind) {
+    setErr(""); setInfo(""); setBusy(`${s.accountId}:${kind}`);
+    try {
+      const [r] = await post({ send: kind, accountId: s.accountId });
+      setInfo(`Sent ${kind} report ${r.period.from} – ${r.period.to} (${r.rows} rows) to ${r.recipients.join(", ")}`);
+      load();
+    } catch (e) { setErr(e.message); } finally { setBusy(null); }
+  }
+
+  async function remove(s) {
+    if (!window.confirm(`Stop e-mailing reports for ${s.accountName || s.accountId}?`)) return;
+    const res = await fetch(`/api/admin/reports?accountId=${encodeURIComponent(s.accountId)}`, { method: "DELETE" });
+    const j = await res.json().catch(() => null);
+    if (!j?.ok) setErr(j?.error || `HTTP ${res.status}`);
+    load();
+  }
+
+  const edit = (s) => setForm({ accountId: String(s.accountId), recipients: s.recipients.join(", "), weekly: s.weekly, monthly: s.monthly, format: s.format });
+
+  const btn = { padding:"6px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" };
+  const input = { padding:"6px 8px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const th = { textAlign:"left", padding:"8px 10px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7" };
+  const td = { padding:"6px 10px", borderBottom:"1px solid #cbd5a7", background:"#fff", verticalAlign:"top" };
+
+  return (
+    <main style={{ padding: 24, maxWidth: 1400, margin: "0 auto", background:"#eff4db", color:"#000" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:12, marginBottom:12 }}>
+        <img src={process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png"} alt="Teltrip" style={{ height: 40 }} />
+        <h1 style={{ margin:0, fontSize:24 }}>E-mailed reports</h1>
+        <button onClick={load} disabled={loading} style={btn}>{loading ? "Loading…" : "Reload"}</button>
+        <a href="/" style={{ marginLeft:"auto", color:"#000" }}>← Back to dashboard</a>
+      </div>
+
+      <p style={{ fontSize:13, marginTop:0 }}>
+        Weekly reports go out on Mondays (previous Monday–Sunday), monthly reports on the 1st (previous month).
+        A new schedule starts with the next Monday / 1st; use “Send now” for the last complete week or month.
+      </p>
+
+      {!mailOk && (
+        <div style={{ background:"#fff7e0", border:"1px solid #e5c985", padding:"10px 12px", borderRadius:10, marginBottom:12, fontSize:13 }}>
+          SMTP_HOST is not set: schedules are saved, but no mail can be sent.
+        </div>
+      )}
+      {err && (
+        <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
+          {err}
+        </div>
+      )}
+      {info && (
+        <div style={{ background:"#f3fbe4", border:"1px solid #cbd5a7", padding:"10px 12px", borderRadius:10, marginBottom:12, fontSize:13 }}>
+          {info}
+        </div>
+      )}
+
+      <form onSubmit={save} style={{ display:"flex", flexWrap:"wrap", alignItems:"center", gap:10, marginBottom:16, fontSize:13 }}>
+        <select value={form.accountId} onChange={e => setForm({ ...form, accountId: e.target.value })} required style={input}>
+          <option value="">Account…</option>
+          {accounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.id})</option>)}
+        </select>
+        <input value={form.recipients} onChange={e => setForm({ ...form, recipients: e.target.value })} required
+          placeholder="finance@example.com, ops@example.com" style={{ ...input, minWidth:320, flex:1 }} />
+        <label><input type="checkbox" checked={form.weekly} onChange={e => setForm({ ...form, weekly: e.target.checked })} /> Weekly</label>
+        <label><input type="checkbox" checked={form.monthly} onChange={e => setForm({ ...form, monthly: e.target.checked })} /> Monthly</label>
+        <select value={form.format} onChange={e => setForm({ ...form, format: e.target.value })} style={input}>
+          <option value="xlsx">Excel</option>
+          <option value="csv">CSV</option>
+        </select>
+        <button type="submit" disabled={busy === "save"} style={btn}>{busy === "save" ? "Saving…" : "Save"}</button>
+      </form>
+
+      <table style={{ width:"100%", borderCollapse:"collapse", fontSize:13, border:"1px solid #cbd5a7" }}>
+        <thead>
+          <tr>
+            <th style={th}>Account</th><th style={th}>Recipients</th><th style={th}>Weekly</th><th style={th}>Monthly</th>
+            <th style={th}>Format</th><th style={th}>Last weekly (UTC)</th><th style={th}>Last monthly (UTC)</th><th style={th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {schedules.map(s => (
+            <tr key={s.accountId}>
+              <td style={td}>{s.accountName ? `${s.accountName} (${s.accountId})` : s.accountId}</td>
+              <td style={td}>{s.recipients.join(", ")}</td>
+              <td style={td}>{s.weekly ? "yes" : "–"}</td>
+              <td style={td}>{s.monthly ? "yes" : "–"}</td>
+              <td style={td}>{s.format}</td>
+              <td style={td}>{fmtTs(s.lastSent?.weeklyAt)}</td>
+              <td style={td}>{fmtTs(s.lastSent?.monthlyAt)}</td>
+              <td style={{ ...td, whiteSpace:"nowrap" }}>
+                <button onClick={() => edit(s)} style={btn}>Edit</button>{" "}
+                {["weekly", "monthly"].map(kind => (
+                  <React.Fragment key={kind}>
+                    <button onClick={() => sendNow(s, kind)} disabled={busy != null || !mailOk} style={btn}>
+                      {busy === `${s.accountId}:${kind}` ? "Sending…" : `Send ${kind} now`}
+                    </button>{" "}
+                  </React.Fragment>
+                ))}
+                <button onClick={() => remove(s)} style={btn}>Delete</button>
+              </td>
+            </tr>
+          ))}
+          {!schedules.length && !loading && (
+            <tr><td colSpan={8} style={{ ...td, textAlign:"center", opacity:.7 }}>No report schedules</td></tr>
+          )}
+        </tbody>
+      </table>
+    </main>
+  );
+}
@@ -0,0 +1,82 @@
+// app/admin/sessions/page.js
+"use client";
+
+import React, { useEffect, useState } from "react";
+
+const fmtTs = (s) => typeof s === "string" ? s.replace("T", " ").slice(0, 19) : "";
+
+export default function SessionsPage() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function load() {
+    setErr(""); setLoading(true);
+    try {
+      const res = await fetch("/api/admin/sessions", { cache: "no-store" });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      setSessions(j.data);
+    } catch (e) {
+      setSessions([]); setErr(e.message || "Failed");
+    } finally { setLoading(false); }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function revoke(query, label) {
+    if (!window.confirm(`Revoke ${label}?`)) return;
+    const res = await fetch(`/api/admin/sessions?${new URLSearchParams(query)}`, { method: "DELETE" });
+    const j = await res.json().catch(() => null);
+    if (!j?.ok) setErr(j?.error || `HTTP ${res.status}`);
+    load();
+  }
+
+  const btn = { padding:"6px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" };
+  const th = { textAlign:"left", padding:"8px 10px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7" };
+  const td = { padding:"6px 10px", borderBottom:"1px solid #cbd5a7", background:"#fff", verticalAlign:"top" };
+
+  return (
+    <main style={{ padding: 24, maxWidth: 1400, margin: "0 auto", background:"#eff4db", color:"#000" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:12, marginBottom:12 }}>
+        <img src={process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png"} alt="Teltrip" style={{ height: 40 }} />
+        <h1 style={{ margin:0, fontSize:24 }}>Active sessions</h1>
+        <button onClick={load} disabled={loading} style={btn}>{loading ? "Loading…" : "Reload"}</button>
+        <a href="/" style={{ marginLeft:"auto", color:"#000" }}>← Back to dashboard</a>
+      </div>
+
+      {err && (
+        <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
+          {err}
+        </div>
+      )}
+
+      <table style={{ width:"100%", borderCollapse:"collapse", fontSize:13, border:"1px solid #cbd5a7" }}>
+        <thead>
+          <tr>
+            <th style={th}>User</th><th style={th}>Signed in (UTC)</th><th style={th}>Last seen</th><th style={th}>Expires</th>
+            <th style={th}>IP</th><th style={th}>Browser</th><th style={th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map(s => (
+            <tr key={s.ref}>
+              <td style={td}>{s.username}</td>
+              <td style={td}>{fmtTs(s.createdAt)}</td>
+              <td style={td}>{fmtTs(s.lastSeenAt)}</td>
+              <td style={td}>{fmtTs(s.expiresAt)}</td>
+              <td style={td}>{s.ip ?? ""}</td>
+              <td style={{ ...td, fontSize:12, maxWidth:360 }}>{s.userAgent ?? ""}</td>
+              <td style={{ ...td, whiteSpace:"nowrap" }}>
+                <button onClick={() => revoke({ ref: s.ref }, `this session of ${s.username}`)} style={btn}>Revoke</button>{" "}
+                <button onClick={() => revoke({ username: s.username }, `all sessions of ${s.username}`)} style={btn}>Revoke all</button>
+              </td>
+            </tr>
+          ))}
+          {!sessions.length && !loading && (
+            <tr><td colSpan={7} style={{ ...td, textAlign:"center", opacity:.7 }}>No active sessions</td></tr>
+          )}
+        </tbody>
+      </table>
+    </main>
+  );
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../../lib/auth";
+import { readAudit } from "../../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET ?user=&action=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit= (newest first)
+export async function GET(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    const q = new URL(req.url).searchParams;
+    for (const k of ["from", "to"]) {
+      if (q.get(k) && !YMD_RE.test(q.get(k))) {
+        return NextResponse.json({ ok: false, error: `Invalid ${k} date (expected YYYY-MM-DD)` }, { status: 400 });
+      }
+    }
+    const limit = Math.min(Math.max(parseInt(q.get("limit") || "500", 10) || 500, 1), 5000);
+    const { total, entries } = await readAudit({
+      user: q.get("user") || undefined,
+      action: q.get("action") || undefined,
+      from: q.get("from") || undefined,
+      to: q.get("to") || undefined,
+      limit
+    });
+    return NextResponse.json({ ok: true, total, data: entries });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
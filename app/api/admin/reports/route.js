@@ -0,0 +1,51 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../../lib/auth";
+import { deleteSchedule, listSchedules, REPORT_KINDS, runDueReports, saveSchedule } from "../../../../lib/reportSchedules";
+import { mailConfigured } from "../../../../lib/mailer";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// GET -> { data: [{ accountId, accountName, recipients, weekly, monthly, format, lastSent }], mailConfigured }
+export async function GET(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    return NextResponse.json({ ok: true, data: await listSchedules(), mailConfigured: mailConfigured() });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// POST { accountId, accountName?, recipients, weekly?, monthly?, format? } creates or updates an account's schedule
+// POST { send: "weekly"|"monthly", accountId } sends that report now (last complete week / month)
+export async function POST(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    const body = await req.json().catch(() => ({}));
+    if (body.send) {
+      if (!REPORT_KINDS.includes(body.send)) {
+        return NextResponse.json({ ok: false, error: `Invalid report kind "${body.send}" (${REPORT_KINDS.join("|")})` }, { status: 400 });
+      }
+      const results = await runDueReports({ force: true, kinds: [body.send], accountIds: [body.accountId] });
+      if (!results.length) return NextResponse.json({ ok: false, error: `No ${body.send} report scheduled for account ${body.accountId}` }, { status: 404 });
+      const failed = results.find(r => !r.ok);
+      if (failed) return NextResponse.json({ ok: false, error: failed.error, data: results }, { status: 502 });
+      return NextResponse.json({ ok: true, data: results });
+    }
+    return NextResponse.json({ ok: true, data: await saveSchedule(body) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// DELETE ?accountId=…
+export async function DELETE(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    await deleteSchedule(new URL(req.url).searchParams.get("accountId"));
+    return NextResponse.json({ ok: true });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
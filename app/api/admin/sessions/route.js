@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../../lib/auth";
+import { listSessions, revokeSessions } from "../../../../lib/sessions";
+import { audit } from "../../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET -> active sessions [{ ref, username, createdAt, lastSeenAt, expiresAt, ip, userAgent }]
+export async function GET(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    return NextResponse.json({ ok: true, data: await listSessions() });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// DELETE ?ref=… (one session) | ?username=… (all sessions of that user)
+export async function DELETE(req) {
+  try {
+    const me = await requireUser(req, ["admin"]);
+    const q = new URL(req.url).searchParams;
+    const ref = q.get("ref") || undefined;
+    const username = q.get("username") || undefined;
+    if (!ref && !username) return NextResponse.json({ ok: false, error: "Provide ref or username" }, { status: 400 });
+    const removed = await revokeSessions({ ref, username });
+    if (removed) audit(req, { user: me.username, action: "session_revoked", ref: ref ?? null, target: username ?? null, removed });
+    return NextResponse.json({ ok: true, removed });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { invalidateUsageCache, usageCacheStats } from "../../../../lib/usageCache";
+import { requireUser } from "../../../../lib/auth";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+export async function GET(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    return NextResponse.json({ ok: true, data: await usageCacheStats() });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// DELETE /api/admin/usage-cache?accountId=… | ?subscriberId=… | ?iccid=… | ?all=1
+export async function DELETE(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    const { searchParams } = new URL(req.url);
+    const removed = await invalidateUsageCache({
+      accountId: searchParams.get("accountId") ?? undefined,
+      subscriberId: searchParams.get("subscriberId") ?? undefined,
+      iccid: searchParams.get("iccid") ?? undefined,
+      all: searchParams.get("all") === "1"
+    });
+    return NextResponse.json({ ok: true, removed });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 400 });
+  }
+}
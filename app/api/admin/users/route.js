@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../../lib/auth";
+import { deleteUser, listUsers, saveUser } from "../../../../lib/users";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+export async function GET(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    return NextResponse.json({ ok: true, data: await listUsers() });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// POST { username, password?, role?, disabled?, allAccounts?, resellerIds?, accountIds? } creates or updates a user
+export async function POST(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    const body = await req.json().catch(() => ({}));
+    return NextResponse.json({ ok: true, data: await saveUser(body) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// DELETE ?username=…
+export async function DELETE(req) {
+  try {
+    const me = await requireUser(req, ["admin"]);
+    const username = new URL(req.url).searchParams.get("username");
+    if (username === me.username) return NextResponse.json({ ok: false, error: "Cannot delete yourself" }, { status: 400 });
+    await deleteUser(username);
+    return NextResponse.json({ ok: true });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
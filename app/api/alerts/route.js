@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import { fetchAllData, fetchAccountsData } from "../../../lib/teltrip";
+import { requireUser } from "../../../lib/auth";
+import { scopedSelection } from "../../../lib/access";
+import { computeAlerts, countAlerts, resolveThresholds } from "../../../lib/alerts";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// GET /api/alerts?accountId=… (or accountIds=…, all=1) [&expiryDays=&usagePct=&idleDays=]
+// Thresholds: query > env (ALERT_EXPIRY_DAYS, ALERT_USAGE_PCT, ALERT_IDLE_DAYS) > defaults.
+export async function GET(req) {
+  try {
+    const user = await requireUser(req);
+    const { searchParams } = new URL(req.url);
+    const thresholds = resolveThresholds(
+      {
+        expiryDays: process.env.ALERT_EXPIRY_DAYS,
+        usagePct: process.env.ALERT_USAGE_PCT,
+        idleDays: process.env.ALERT_IDLE_DAYS
+      },
+      {
+        expiryDays: searchParams.get("expiryDays"),
+        usagePct: searchParams.get("usagePct"),
+        idleDays: searchParams.get("idleDays")
+      }
+    );
+    const { accountId, accounts } = await scopedSelection(user, searchParams);
+    // alerts only need subscriber + package fields: skip the usage windows
+    const { rows } = accounts
+      ? await fetchAccountsData(accounts, undefined, { usage: false })
+      : await fetchAllData(accountId, undefined, { usage: false });
+    const alerts = computeAlerts(rows, thresholds);
+    return NextResponse.json({
+      ok: true,
+      generatedAt: new Date().toISOString(),
+      thresholds,
+      counts: countAlerts(alerts),
+      data: alerts
+    });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
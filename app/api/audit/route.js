@@ -0,0 +1,35 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../lib/auth";
+import { audit } from "../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+const FORMATS = ["csv", "xlsx", "esim-png", "esim-pdf", "esim-zip"];
+const short = (v) => (v == null ? null : String(v).slice(0, 200));
+
+// POST { format: "csv"|"xlsx"|"esim-png"|"esim-pdf"|"esim-zip", rows, accountId?, accountIds?, from?, to?, tab?, iccid? } — client-side export happened
+export async function POST(req) {
+  try {
+    const user = await requireUser(req);
+    const body = await req.json().catch(() => ({}));
+    if (!FORMATS.includes(body.format)) {
+      return NextResponse.json({ ok: false, error: `format must be ${FORMATS.join("|")}` }, { status: 400 });
+    }
+    await audit(req, {
+      user: user.username,
+      action: "export",
+      format: body.format,
+      rows: Number.isFinite(body.rows) ? body.rows : null,
+      accountId: short(body.accountId),
+      accountIds: short(body.accountIds),
+      from: short(body.from),
+      to: short(body.to),
+      tab: short(body.tab),
+      iccid: short(body.iccid)
+    });
+    return NextResponse.json({ ok: true });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../../../lib/auth";
+import { assertAccountAccess } from "../../../../../lib/access";
+import { readInvoice } from "../../../../../lib/invoices";
+import { buildInvoiceFile, invoiceFilename } from "../../../../../lib/invoiceExport";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET ?accountId=&month=YYYY-MM&format=pdf|xlsx|json -> the stored invoice as a download (json: with line items)
+export async function GET(req) {
+  try {
+    const user = await requireUser(req, ["admin", "finance"]);
+    const { searchParams } = new URL(req.url);
+    const accountId = searchParams.get("accountId");
+    const format = searchParams.get("format") || "pdf";
+    await assertAccountAccess(user, [accountId]);
+    const inv = await readInvoice(accountId, searchParams.get("month"));
+    if (format === "json") return NextResponse.json({ ok: true, data: inv });
+    const { body, contentType } = buildInvoiceFile(inv, format);
+    return new Response(body, {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${invoiceFilename(inv, format)}"`,
+        "Cache-Control": "no-store"
+      }
+    });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../../lib/auth";
+import { assertAccountAccess, filterAllowed } from "../../../../lib/access";
+import { generateInvoice, invoicedAccountIds, listInvoicesFor } from "../../../../lib/invoices";
+import { audit } from "../../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// GET [?accountId=…] -> invoice history (no line items), newest first; without accountId every
+// invoiced account within the user's scope
+export async function GET(req) {
+  try {
+    const user = await requireUser(req, ["admin", "finance"]);
+    const accountId = new URL(req.url).searchParams.get("accountId");
+    let ids;
+    if (accountId) {
+      await assertAccountAccess(user, [accountId]);
+      ids = [accountId];
+    } else {
+      ids = (await filterAllowed(user, (await invoicedAccountIds()).map(id => ({ id })))).map(a => a.id);
+    }
+    return NextResponse.json({ ok: true, data: await listInvoicesFor(ids) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// POST { accountId, month: "YYYY-MM", regenerate?, allowIncomplete? } calculates and stores the invoice
+export async function POST(req) {
+  let user = null, body = {};
+  try {
+    user = await requireUser(req, ["admin", "finance"]);
+    body = await req.json().catch(() => ({}));
+    await assertAccountAccess(user, [body.accountId]);
+    const inv = await generateInvoice({
+      accountId: body.accountId, month: body.month,
+      regenerate: Boolean(body.regenerate), allowIncomplete: Boolean(body.allowIncomplete)
+    });
+    audit(req, { user: user.username, action: "invoice", accountId: inv.accountId, month: inv.month, number: inv.number,
+      amount: inv.totals.amount, currency: inv.currency, sims: inv.totals.sims, regenerated: Boolean(inv.replaces) });
+    return NextResponse.json({ ok: true, data: inv });
+  } catch (e) {
+    if (user) audit(req, { user: user.username, action: "invoice", accountId: body.accountId ?? null, month: body.month ?? null, error: e.message });
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
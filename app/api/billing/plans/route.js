@@ -0,0 +1,49 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../../lib/auth";
+import { filterAllowed } from "../../../../lib/access";
+import { deletePlan, listPlans, savePlan } from "../../../../lib/pricePlans";
+import { audit } from "../../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET -> [{ accountId, accountName, currency, monthlyFeePerSim, includedGbPerSim, overagePerGb, markupPct, updatedAt }]
+// (admin and finance; finance only within their account scope)
+export async function GET(req) {
+  try {
+    const user = await requireUser(req, ["admin", "finance"]);
+    const plans = await listPlans();
+    const allowed = await filterAllowed(user, plans.map(p => ({ id: p.accountId })));
+    const ids = new Set(allowed.map(a => String(a.id)));
+    return NextResponse.json({ ok: true, data: plans.filter(p => ids.has(String(p.accountId))) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// POST { accountId, accountName?, currency, monthlyFeePerSim, includedGbPerSim, overagePerGb, markupPct } creates or replaces a plan
+export async function POST(req) {
+  try {
+    const user = await requireUser(req, ["admin"]);
+    const body = await req.json().catch(() => ({}));
+    const plan = await savePlan(body);
+    audit(req, { user: user.username, action: "price_plan", accountId: plan.accountId, currency: plan.currency,
+      monthlyFeePerSim: plan.monthlyFeePerSim, includedGbPerSim: plan.includedGbPerSim, overagePerGb: plan.overagePerGb, markupPct: plan.markupPct });
+    return NextResponse.json({ ok: true, data: plan });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// DELETE ?accountId=…
+export async function DELETE(req) {
+  try {
+    const user = await requireUser(req, ["admin"]);
+    const accountId = new URL(req.url).searchParams.get("accountId");
+    await deletePlan(accountId);
+    audit(req, { user: user.username, action: "price_plan", accountId, deleted: true });
+    return NextResponse.json({ ok: true });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from "next/server";
+import { listPackageTemplates } from "../../../lib/teltrip";
+import { matchIccids, normalizeIccids, runBulkTopup } from "../../../lib/bulk";
+import { requireUser } from "../../../lib/auth";
+import { scopedSelection } from "../../../lib/access";
+import { canManageSubscribers } from "../../../lib/roles";
+import { audit } from "../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// Same account selection as fetch-data, taken from the body: { accountId } | { accountIds: [...] }
+function selectionParams(body) {
+  const q = new URLSearchParams();
+  if (Array.isArray(body.accountIds) && body.accountIds.length) q.set("accountIds", body.accountIds.join(","));
+  else if (body.accountId != null) q.set("accountId", String(body.accountId));
+  return q;
+}
+
+// POST /api/bulk-topup { accountId | accountIds, iccids: [...], templateId, preview? }
+//   preview: true -> { ok, data: { template, matched, unmatched, invalid, duplicates, accountErrors } }
+//   otherwise NDJSON: { type: "start", total, template } , { type: "result", iccid, ok, error, ... } per SIM,
+//                     { type: "done", succeeded, failed } | { type: "error", error }
+export async function POST(req) {
+  try {
+    const user = await requireUser(req);
+    if (!canManageSubscribers(user.role)) {
+      return NextResponse.json({ ok: false, error: `Role ${user.role} may not change subscribers` }, { status: 403 });
+    }
+    const body = await req.json().catch(() => ({}));
+    const { accountId, accounts } = await scopedSelection(user, selectionParams(body));
+    const { iccids, invalid, duplicates } = normalizeIccids(body.iccids);
+
+    const template = (await listPackageTemplates()).find(t => String(t.id) === String(body.templateId));
+    if (!template) return NextResponse.json({ ok: false, error: `Unknown package template "${body.templateId ?? ""}"` }, { status: 400 });
+
+    const { matched, unmatched, accountErrors } = await matchIccids(accounts ?? [{ id: accountId }], iccids);
+    const info = { template: { id: template.id, name: template.name } };
+    if (body.preview) {
+      return NextResponse.json({ ok: true, data: { ...info, matched, unmatched, invalid, duplicates, accountErrors } });
+    }
+
+    // The run goes on when the client disconnects (the packages are being assigned either way); only
+    // the progress messages stop. The audit entry is written however the run ends, with what got done.
+    const encoder = new TextEncoder();
+    let cancelled = false;
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (msg) => {
+          if (cancelled) return;
+          try { controller.enqueue(encoder.encode(JSON.stringify(msg) + "\n")); } catch { cancelled = true; }
+        };
+        let succeeded = 0, failed = 0, error = null;
+        try {
+          send({ type: "start", total: matched.length, ...info });
+          await runBulkTopup(matched, template.id, {
+            onResult: (r) => { if (r.ok) succeeded++; else failed++; send({ type: "result", ...r }); }
+          });
+          send({ type: "done", succeeded, failed });
+        } catch (e) {
+          error = e.message;
+          send({ type: "error", error: e.message, status: e.status || 500 });
+        } finally {
+          audit(req, {
+            user: user.username, action: "bulk_topup", templateId: template.id,
+            requested: iccids.length, matched: matched.length, succeeded, failed,
+            ...(cancelled ? { disconnected: true } : {}), ...(error ? { error } : {})
+          });
+          if (!cancelled) { try { controller.close(); } catch { /* already closed */ } }
+        }
+      },
+      cancel() { cancelled = true; }
+    });
+    return new Response(stream, {
+      headers: { "Content-Type": "application/x-ndjson; charset=utf-8", "Cache-Control": "no-store" }
+    });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../lib/auth";
+import { deletePreset, listPresets, savePreset } from "../../../lib/columnPresets";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET -> built-in column presets [{ name, columns, builtIn }] and the signed-in user's own [{ name, columns, updatedAt }]
+export async function GET(req) {
+  try {
+    const user = await requireUser(req);
+    return NextResponse.json({ ok: true, data: await listPresets(user.username) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// POST { name, columns: ["ICCID", …] } saves a preset (same name replaces it)
+export async function POST(req) {
+  try {
+    const user = await requireUser(req);
+    const body = await req.json().catch(() => ({}));
+    return NextResponse.json({ ok: true, data: await savePreset(user.username, body) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// DELETE ?name=…
+export async function DELETE(req) {
+  try {
+    const user = await requireUser(req);
+    await deletePreset(user.username, new URL(req.url).searchParams.get("name") ?? "");
+    return NextResponse.json({ ok: true });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
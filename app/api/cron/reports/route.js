@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { cronAuthorized } from "../../../../lib/cron";
+import { runDueReports } from "../../../../lib/reportSchedules";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// GET /api/cron/reports — e-mail every weekly / monthly report that is due and not sent yet (call daily)
+export async function GET(req) {
+  try {
+    if (!cronAuthorized(req)) return NextResponse.json({ ok: false, error: "Unauthorized" }, { status: 401 });
+    const results = await runDueReports();
+    const failed = results.filter(r => !r.ok).length;
+    if (failed) {
+      // failed reports stay due and are retried on the next call
+      return NextResponse.json({ ok: false, error: `${failed} of ${results.length} report(s) failed`, data: results }, { status: 502 });
+    }
+    return NextResponse.json({ ok: true, data: results });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
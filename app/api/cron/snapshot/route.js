@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server";
+import { cronAuthorized } from "../../../../lib/cron";
+import { listAccounts, resolveResellerId, accountsFromQuery } from "../../../../lib/accounts";
+import { takeSnapshots } from "../../../../lib/snapshots";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// No account is started after this, leaving the last one time to finish within maxDuration
+const BUDGET_MS = (maxDuration - 90) * 1000;
+
+// GET /api/cron/snapshot[?accountIds=1,2] — today's snapshot of the given (default: all) accounts.
+// Accounts that already have today's snapshot are skipped, so calling it again after a run that ran
+// out of time picks up the accounts it left (listed in `remaining`).
+export async function GET(req) {
+  try {
+    if (!cronAuthorized(req)) return NextResponse.json({ ok: false, error: "Unauthorized" }, { status: 401 });
+    const deadline = Date.now() + BUDGET_MS;
+    const { searchParams } = new URL(req.url);
+    const accounts = (await accountsFromQuery(searchParams)) ?? (await listAccounts(resolveResellerId(searchParams.get("resellerId"))));
+    const results = await takeSnapshots(accounts, { deadline, skipExisting: true });
+    const remaining = results.filter(r => r.pending).map(r => r.accountId);
+    const failed = results.filter(r => !r.ok && !r.pending).length;
+    if (failed || remaining.length) {
+      // non-2xx so the scheduler reports the run as incomplete; stored snapshots are kept
+      const error = [
+        failed ? `${failed} of ${results.length} account(s) failed` : null,
+        remaining.length ? `${remaining.length} account(s) left for the next call` : null
+      ].filter(Boolean).join("; ");
+      return NextResponse.json({ ok: false, error, data: results, remaining }, { status: remaining.length && !failed ? 503 : 502 });
+    }
+    return NextResponse.json({ ok: true, data: results, remaining });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
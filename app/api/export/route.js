@@ -0,0 +1,51 @@
+import { fetchAllData, fetchAccountsData } from "../../../lib/teltrip";
+import { buildExport, checkExport, exportFilename } from "../../../lib/export";
+import { applyView, viewFromParams } from "../../../lib/gridView";
+import { COLUMN_KEYS, parseColumnKeys } from "../../../lib/columns";
+import { getFxTable } from "../../../lib/fx";
+import { requireUser } from "../../../lib/auth";
+import { scopedSelection } from "../../../lib/access";
+import { canSeeCosts } from "../../../lib/roles";
+import { audit } from "../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// GET /api/export?format=csv|xlsx&accountId=… (or accountIds=…, all=1)&from=&to=&q=&<grid view>&columns=ICCID,IMSI,… -> file download
+// q, the typed filters and the sort of the dashboard grid (lib/gridView) apply, and columns (default: all, in
+// this order) is its column preset, so the file matches what is on screen.
+export async function GET(req) {
+  try {
+    const user = await requireUser(req);
+    const { searchParams } = new URL(req.url);
+    const format = searchParams.get("format") || "xlsx";
+    const periodParam = { from: searchParams.get("from") || undefined, to: searchParams.get("to") || undefined };
+    const view = viewFromParams(searchParams);
+    const columns = searchParams.get("columns") ? parseColumnKeys(searchParams.get("columns")) : COLUMN_KEYS;
+    const withCosts = canSeeCosts(user.role);
+    checkExport({ format, withCosts, columns });
+    const { accountId, accounts } = await scopedSelection(user, searchParams);
+    const [{ rows: all, period }, fx] = await Promise.all([
+      accounts ? fetchAccountsData(accounts, periodParam) : fetchAllData(accountId, periodParam),
+      getFxTable()
+    ]);
+    const rows = applyView(all, view, { fx, withCosts });
+    const { body, contentType } = buildExport(rows, { format, withCosts, columns });
+    const filename = exportFilename(period, format, accounts ? null : accountId);
+    audit(req, {
+      user: user.username, action: "export", format, rows: rows.length,
+      accountId: accountId ?? null, accountIds: accounts ? accounts.map(a => a.id).join(",") : null,
+      from: period.from, to: period.to
+    });
+    return new Response(body, {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Cache-Control": "no-store"
+      }
+    });
+  } catch (e) {
+    return Response.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
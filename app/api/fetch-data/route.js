@@ -1,17 +1,87 @@
 import { NextResponse } from "next/server";
-import { fetchAllData } from "../../../lib/teltrip";
+import { fetchAllData, fetchAccountsData, summarizeErrors } from "../../../lib/teltrip";
+import { requireUser } from "../../../lib/auth";
+import { scopedSelection } from "../../../lib/access";
+import { canSeeCosts, stripCosts } from "../../../lib/roles";
+import { audit } from "../../../lib/audit";
 
 export const dynamic = "force-dynamic";
 export const runtime = "nodejs";
 export const maxDuration = 300; // allow longer processing on Vercel
 
+function load(accountId, accounts, period, callbacks) {
+  return accounts
+    ? fetchAccountsData(accounts, period, callbacks)
+    : fetchAllData(accountId, period, callbacks);
+}
+
+// ?stream=1 answers with NDJSON, one message per line:
+//   { type: "rows", data: [...], period }  un-enriched subscriber list
+//   { type: "patch", index, data: {...} }  enriched row `index`
+//   { type: "done", errors, accountErrors } | { type: "error", error }
+// When the client goes away (the dashboard aborts the previous load on every selection change) the
+// enrichment stops, so abandoned loads do not keep taking OCS slots.
+function streamAllData(accountId, accounts, period, view, onEnd) {
+  const encoder = new TextEncoder();
+  const abort = new AbortController();
+  let closed = false;
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (msg) => {
+        if (closed) return;
+        try { controller.enqueue(encoder.encode(JSON.stringify(msg) + "\n")); } catch { closed = true; abort.abort(); }
+      };
+      let outcome = {};
+      try {
+        const { rows, accountErrors = [] } = await load(accountId, accounts, period, {
+          signal: abort.signal,
+          onRows: (rows, resolved) => send({ type: "rows", data: rows.map(view), period: resolved }),
+          onRow: (index, row) => send({ type: "patch", index, data: view(row) })
+        });
+        send({ type: "done", errors: summarizeErrors(rows), accountErrors });
+        outcome = { rows: rows.length };
+      } catch (e) {
+        send({ type: "error", error: e.message, status: e.status || 500 });
+        outcome = abort.signal.aborted ? { cancelled: true } : { error: e.message };
+      } finally {
+        onEnd(outcome);
+        if (!closed) { closed = true; try { controller.close(); } catch { /* already closed */ } }
+      }
+    },
+    cancel() { closed = true; abort.abort(); }
+  });
+  return new Response(stream, {
+    headers: { "Content-Type": "application/x-ndjson; charset=utf-8", "Cache-Control": "no-store" }
+  });
+}
+
 export async function GET(req) {
+  const started = Date.now();
+  const { searchParams } = new URL(req.url);
+  let user = null;
+  // one audit entry per call, including denied ones (what was asked for, how long it took)
+  const record = (outcome) => audit(req, {
+    user: user.username,
+    action: "fetch_data",
+    accountId: searchParams.get("accountId") || null,
+    accountIds: searchParams.get("accountIds") || (searchParams.get("all") === "1" ? "all" : null),
+    from: searchParams.get("from") || null,
+    to: searchParams.get("to") || null,
+    durationMs: Date.now() - started,
+    ...outcome
+  });
   try {
-    const { searchParams } = new URL(req.url);
-    const accountId = searchParams.get("accountId") || undefined;
-    const data = await fetchAllData(accountId);
-    return NextResponse.json({ ok: true, data });
+    user = await requireUser(req);
+    const view = canSeeCosts(user.role) ? (r) => r : stripCosts;
+    const from = searchParams.get("from") || undefined;
+    const to = searchParams.get("to") || undefined;
+    const { accountId, accounts } = await scopedSelection(user, searchParams);
+    if (searchParams.get("stream") === "1") return streamAllData(accountId, accounts, { from, to }, view, record);
+    const { rows, period, accountErrors = [] } = await load(accountId, accounts, { from, to });
+    record({ rows: rows.length });
+    return NextResponse.json({ ok: true, data: rows.map(view), period, errors: summarizeErrors(rows), accountErrors });
   } catch (e) {
-    return NextResponse.json({ ok: false, error: e.message }, { status: 500 });
+    if (user) record({ error: e.message });
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
   }
 }
@@ -0,0 +1,27 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../lib/auth";
+import { getFxTable, saveFxTable } from "../../../lib/fx";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET -> { reportingCurrency, defaultCurrency, rates: { USD: 0.92, … }, updatedAt }
+export async function GET(req) {
+  try {
+    await requireUser(req);
+    return NextResponse.json({ ok: true, data: await getFxTable() });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// POST { reportingCurrency, defaultCurrency?, rates: { USD: 0.92 } | "USD=0.92, GBP=1.17" } replaces the table
+export async function POST(req) {
+  try {
+    await requireUser(req, ["admin"]);
+    const body = await req.json().catch(() => ({}));
+    return NextResponse.json({ ok: true, data: await saveFxTable(body) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
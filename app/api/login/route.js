@@ -1,21 +1,47 @@
-
 import { NextResponse } from "next/server";
 import { cookies } from "next/headers";
+import { authenticate } from "../../../lib/users";
+import { SESSION_COOKIE, sessionCookieOptions, signSession } from "../../../lib/session";
+import { createSession } from "../../../lib/sessions";
+import { loginLockout, recordLoginFailure, recordLoginSuccess } from "../../../lib/loginThrottle";
+import { audit, clientIp } from "../../../lib/audit";
+
+export const runtime = "nodejs";
+
+function tooMany(lock) {
+  return NextResponse.json(
+    { ok: false, error: "Too many failed attempts, try again later", retryAfter: lock.retryAfter },
+    { status: 429, headers: { "Retry-After": String(lock.retryAfter) } }
+  );
+}
 
 export async function POST(req) {
-  const { username, password } = await req.json().catch(() => ({}));
-  const USER = process.env.LOGIN_USER || "admin";
-  const PASS = process.env.LOGIN_PASS || "Teltrip#2025";
+  try {
+    const { username, password } = await req.json().catch(() => ({}));
+    const name = typeof username === "string" ? username.slice(0, 64) : null;
+    const attempt = { ip: clientIp(req), username: name };
+
+    // locked out: refuse without checking the password
+    const lock = loginLockout(attempt);
+    if (lock) {
+      audit(req, { user: name, action: "login_blocked", scope: lock.scope });
+      return tooMany(lock);
+    }
+
+    const user = await authenticate(username, password);
+    if (!user) {
+      const locked = recordLoginFailure(attempt);
+      audit(req, { user: name, action: "login_failed", ...(locked ? { lockedOut: locked.scope } : {}) });
+      if (locked) return tooMany(locked);
+      return NextResponse.json({ ok: false, error: "Invalid credentials" }, { status: 401 });
+    }
 
-  if (username === USER && password === PASS) {
-    cookies().set("session", "ok", {
-      httpOnly: true,
-      sameSite: "lax",
-      secure: process.env.NODE_ENV === "production",
-      path: "/",
-      maxAge: 60 * 60
-    });
-    return NextResponse.json({ ok: true });
+    recordLoginSuccess(attempt);
+    const session = await createSession(user.username, { ip: attempt.ip, userAgent: req.headers.get("user-agent") });
+    cookies().set(SESSION_COOKIE, await signSession({ sub: user.username, sid: session.id }), sessionCookieOptions());
+    audit(req, { user: user.username, action: "login", role: user.role });
+    return NextResponse.json({ ok: true, user: { username: user.username, role: user.role } });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: 500 });
   }
-  return NextResponse.json({ ok: false, error: "Invalid credentials" }, { status: 401 });
 }
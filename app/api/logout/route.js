@@ -1,8 +1,19 @@
-
 import { NextResponse } from "next/server";
 import { cookies } from "next/headers";
+import { getSessionUser } from "../../../lib/auth";
+import { audit } from "../../../lib/audit";
+import { SESSION_COOKIE } from "../../../lib/session";
+import { revokeSessions } from "../../../lib/sessions";
+
+export const runtime = "nodejs";
 
-export async function POST() {
-  cookies().set("session", "", { path: "/", maxAge: 0 });
+// Ends the session on the server too: the old cookie stops working even if it was copied
+export async function POST(req) {
+  const user = await getSessionUser(req).catch(() => null);
+  if (user) {
+    await revokeSessions({ id: user.sid });
+    audit(req, { user: user.username, action: "logout" });
+  }
+  cookies().set(SESSION_COOKIE, "", { path: "/", maxAge: 0 });
   return NextResponse.json({ ok: true });
 }
@@ -0,0 +1,15 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../lib/auth";
+import { canManageSubscribers, canSeeCosts } from "../../../lib/roles";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+export async function GET(req) {
+  try {
+    const { sid, ...user } = await requireUser(req); // the session id stays in the httpOnly cookie
+    return NextResponse.json({ ok: true, data: { ...user, canSeeCosts: canSeeCosts(user.role), canManageSubscribers: canManageSubscribers(user.role) } });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
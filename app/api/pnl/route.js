@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { fetchAllData, fetchAccountsData } from "../../../lib/teltrip";
+import { monthlyPnl } from "../../../lib/reports";
+import { getFxTable } from "../../../lib/fx";
+import { requireUser } from "../../../lib/auth";
+import { scopedSelection } from "../../../lib/access";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// GET /api/pnl?accountId=… (or accountIds=…, all=1)&from=&to= -> monthly PNL in total, per account and
+// per SIM (with each SIM's package history) over the period, in the reporting currency (lib/reports monthlyPnl)
+export async function GET(req) {
+  try {
+    const user = await requireUser(req, ["admin", "finance"]);
+    const { searchParams } = new URL(req.url);
+    const periodParam = { from: searchParams.get("from") || undefined, to: searchParams.get("to") || undefined };
+    const { accountId, accounts } = await scopedSelection(user, searchParams);
+    const [{ rows, period, accountErrors = [] }, fx] = await Promise.all([
+      accounts ? fetchAccountsData(accounts, periodParam) : fetchAllData(accountId, periodParam),
+      getFxTable()
+    ]);
+    return NextResponse.json({ ok: true, data: { period, accountErrors, ...monthlyPnl(rows, period, fx) } });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server";
+import { compareSnapshots, listSnapshots, readSnapshot } from "../../../../lib/snapshots";
+import { resolveAccountId } from "../../../../lib/teltrip";
+import { requireUser } from "../../../../lib/auth";
+import { assertAccountAccess } from "../../../../lib/access";
+import { canSeeCosts, stripTotalCosts } from "../../../../lib/roles";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET ?accountId=&from=YYYY-MM-DD&to=YYYY-MM-DD (default: the two latest snapshots)
+export async function GET(req) {
+  try {
+    const user = await requireUser(req);
+    const { searchParams } = new URL(req.url);
+    const accountId = resolveAccountId(searchParams.get("accountId") || undefined);
+    await assertAccountAccess(user, [accountId]);
+
+    let from = searchParams.get("from"), to = searchParams.get("to");
+    if (!from || !to) {
+      const dates = (await listSnapshots(accountId)).map(s => s.date);
+      if (dates.length < 2) return NextResponse.json({ ok: false, error: "Need at least two snapshots to compare" }, { status: 404 });
+      to ||= dates.at(-1);
+      from ||= dates.filter(d => d < to).at(-1) ?? dates[0];
+    }
+    if (from > to) [from, to] = [to, from];
+    const diff = compareSnapshots(await readSnapshot(accountId, from), await readSnapshot(accountId, to));
+    if (!canSeeCosts(user.role)) {
+      diff.from.totals = stripTotalCosts(diff.from.totals);
+      diff.to.totals = stripTotalCosts(diff.to.totals);
+      diff.delta = stripTotalCosts(diff.delta);
+    }
+    return NextResponse.json({ ok: true, data: diff });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { listSnapshots } from "../../../lib/snapshots";
+import { resolveAccountId } from "../../../lib/teltrip";
+import { requireUser } from "../../../lib/auth";
+import { assertAccountAccess } from "../../../lib/access";
+import { canSeeCosts, stripTotalCosts } from "../../../lib/roles";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET ?accountId= -> [{ date, takenAt, period, totals }] oldest first
+export async function GET(req) {
+  try {
+    const user = await requireUser(req);
+    const accountId = resolveAccountId(new URL(req.url).searchParams.get("accountId") || undefined);
+    await assertAccountAccess(user, [accountId]);
+    const list = await listSnapshots(accountId);
+    const data = canSeeCosts(user.role) ? list : list.map(s => ({ ...s, totals: stripTotalCosts(s.totals) }));
+    return NextResponse.json({ ok: true, data });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
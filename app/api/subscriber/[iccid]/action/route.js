@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { findSubscriber, fetchSubscriberRow, resolveAccountId } from "../../../../../lib/teltrip";
+import { runLifecycleAction } from "../../../../../lib/lifecycle";
+import { requireUser } from "../../../../../lib/auth";
+import { assertAccountAccess } from "../../../../../lib/access";
+import { canSeeCosts, canManageSubscribers, stripCosts } from "../../../../../lib/roles";
+import { audit } from "../../../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 120;
+
+// POST /api/subscriber/:iccid/action
+//   { accountId, action: suspend|resume|terminate|assignPackage|replacePackage, templateId?, from?, to? }
+// -> { ok, result, data: refreshed row } (data null + refreshError when only the refresh failed)
+export async function POST(req, { params }) {
+  let user = null, body = {};
+  try {
+    user = await requireUser(req);
+    if (!canManageSubscribers(user.role)) {
+      return NextResponse.json({ ok: false, error: `Role ${user.role} may not change subscribers` }, { status: 403 });
+    }
+    body = await req.json().catch(() => ({}));
+    const accountId = resolveAccountId(body.accountId);
+    await assertAccountAccess(user, [accountId]);
+
+    const subscriber = await findSubscriber(accountId, params.iccid);
+    const result = await runLifecycleAction(body.action, {
+      subscriberId: subscriber._sid,
+      params: { templateId: body.templateId }
+    });
+    audit(req, { user: user.username, action: "subscriber_action", op: body.action, accountId, iccid: params.iccid, ...result });
+
+    let data = null, refreshError = null;
+    try {
+      data = await fetchSubscriberRow(accountId, params.iccid, { from: body.from, to: body.to });
+      if (!canSeeCosts(user.role)) data = stripCosts(data);
+    } catch (e) { refreshError = e.message; }
+    return NextResponse.json({ ok: true, result, data, refreshError });
+  } catch (e) {
+    if (user && body.action) {
+      audit(req, { user: user.username, action: "subscriber_action", op: String(body.action).slice(0, 32), iccid: params.iccid, error: e.message });
+    }
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { fetchSubscriberUsage, resolveAccountId } from "../../../../lib/teltrip";
+import { requireUser } from "../../../../lib/auth";
+import { assertAccountAccess } from "../../../../lib/access";
+import { canSeeCosts, stripUsageCosts } from "../../../../lib/roles";
+import { audit } from "../../../../lib/audit";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// GET /api/subscriber/:iccid?accountId=…&from=…&to=…&granularity=day|week
+export async function GET(req, { params }) {
+  try {
+    const user = await requireUser(req);
+    const { searchParams } = new URL(req.url);
+    const accountId = resolveAccountId(searchParams.get("accountId") || undefined);
+    await assertAccountAccess(user, [accountId]);
+    audit(req, { user: user.username, action: "view_subscriber", accountId, iccid: params.iccid });
+    const data = await fetchSubscriberUsage(accountId, params.iccid, {
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+      granularity: searchParams.get("granularity") || undefined
+    });
+    return NextResponse.json({ ok: true, data: canSeeCosts(user.role) ? data : stripUsageCosts(data) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
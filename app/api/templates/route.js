@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server";
+import { listPackageTemplates } from "../../../lib/teltrip";
+import { requireUser } from "../../../lib/auth";
+import { canSeeCosts } from "../../../lib/roles";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+// GET -> prepaid package templates [{ id, name, cost, currency, dataBytes }] (cost null for support)
+export async function GET(req) {
+  try {
+    const user = await requireUser(req);
+    const templates = await listPackageTemplates();
+    const data = canSeeCosts(user.role) ? templates : templates.map(t => ({ ...t, cost: null }));
+    return NextResponse.json({ ok: true, data });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { requireUser } from "../../../lib/auth";
+import { deleteView, listViews, saveView } from "../../../lib/views";
+
+export const dynamic = "force-dynamic";
+export const runtime = "nodejs";
+
+// GET -> the signed-in user's saved grid views [{ name, view, updatedAt }]
+export async function GET(req) {
+  try {
+    const user = await requireUser(req);
+    return NextResponse.json({ ok: true, data: await listViews(user.username) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// POST { name, view } saves a view (same name replaces it)
+export async function POST(req) {
+  try {
+    const user = await requireUser(req);
+    const body = await req.json().catch(() => ({}));
+    return NextResponse.json({ ok: true, data: await saveView(user.username, body) });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
+
+// DELETE ?name=…
+export async function DELETE(req) {
+  try {
+    const user = await requireUser(req);
+    await deleteView(user.username, new URL(req.url).searchParams.get("name") ?? "");
+    return NextResponse.json({ ok: true });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: e.status || 500 });
+  }
+}
@@ -0,0 +1,201 @@
+// app/billing/page.js
+"use client";
+
+import React, { useEffect, useState } from "react";
+import { PLAN_FIELDS, previousMonth } from "../../lib/billing";
+
+const fmtTs = (s) => typeof s === "string" ? s.replace("T", " ").slice(0, 16) : "";
+const money = (n) => Number(n ?? 0).toFixed(2);
+const EMPTY_PLAN = { accountId: "", currency: "EUR", monthlyFeePerSim: "", includedGbPerSim: "", overagePerGb: "", markupPct: "" };
+const FIELD_LABEL = {
+  monthlyFeePerSim: "Monthly fee / SIM",
+  includedGbPerSim: "Included GB / SIM",
+  overagePerGb: "Overage / GB",
+  markupPct: "Markup on cost %"
+};
+
+async function api(url, options) {
+  const res = await fetch(url, { cache: "no-store", ...options });
+  const j = await res.json().catch(() => null);
+  if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+  return j.data;
+}
+
+export default function BillingPage() {
+  const [me, setMe] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [form, setForm] = useState(EMPTY_PLAN);
+  const [run, setRun] = useState({ accountId: "", month: previousMonth(), regenerate: false, allowIncomplete: false });
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null); // "plan" | "invoice" while a request runs
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+  const isAdmin = me?.role === "admin";
+
+  async function load() {
+    setErr(""); setLoading(true);
+    try {
+      const [p, i] = await Promise.all([api("/api/billing/plans"), api("/api/billing/invoices")]);
+      setPlans(p); setInvoices(i);
+    } catch (e) { setErr(e.message || "Failed"); } finally { setLoading(false); }
+  }
+  useEffect(() => {
+    load();
+    fetch("/api/me", { cache: "no-store" }).then(r => r.json()).then(j => { if (j?.ok) setMe(j.data); }).catch(() => {});
+    fetch("/api/accounts", { cache: "no-store" }).then(r => r.json()).then(j => { if (j?.ok) setAccounts(j.data || []); }).catch(() => {});
+  }, []);
+
+  async function savePlan(e) {
+    e.preventDefault();
+    setErr(""); setInfo(""); setBusy("plan");
+    try {
+      const accountName = accounts.find(a => String(a.id) === String(form.accountId))?.name;
+      await api("/api/billing/plans", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ ...form, accountName }) });
+      setForm(EMPTY_PLAN); load();
+    } catch (e) { setErr(e.message); } finally { setBusy(null); }
+  }
+
+  async function removePlan(p) {
+    if (!window.confirm(`Delete the price plan of ${p.accountName || p.accountId}? Issued invoices are kept.`)) return;
+    try { await api(`/api/billing/plans?accountId=${encodeURIComponent(p.accountId)}`, { method: "DELETE" }); load(); }
+    catch (e) { setErr(e.message); }
+  }
+
+  async function generate(e) {
+    e.preventDefault();
+    setErr(""); setInfo(""); setBusy("invoice");
+    try {
+      const inv = await api("/api/billing/invoices", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(run) });
+      setInfo(`${inv.number}: ${inv.totals.sims} SIMs, ${money(inv.totals.amount)} ${inv.currency}${inv.replaces ? " (replaced the earlier invoice)" : ""}`);
+      setRun(r => ({ ...r, regenerate: false, allowIncomplete: false }));
+      load();
+    } catch (e) { setErr(e.message); } finally { setBusy(null); }
+  }
+
+  const fileUrl = (inv, format) => `/api/billing/invoices/file?accountId=${inv.accountId}&month=${inv.month}&format=${format}`;
+  const edit = (p) => setForm({ accountId: String(p.accountId), currency: p.currency, ...Object.fromEntries(PLAN_FIELDS.map(k => [k, String(p[k])])) });
+
+  const btn = { padding:"6px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" };
+  const input = { padding:"6px 8px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const th = { textAlign:"left", padding:"8px 10px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7" };
+  const td = { padding:"6px 10px", borderBottom:"1px solid #cbd5a7", background:"#fff", verticalAlign:"top" };
+  const num = { ...td, textAlign:"right" };
+
+  return (
+    <main style={{ padding: 24, maxWidth: 1400, margin: "0 auto", background:"#eff4db", color:"#000" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:12, marginBottom:12 }}>
+        <img src={process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png"} alt="Teltrip" style={{ height: 40 }} />
+        <h1 style={{ margin:0, fontSize:24 }}>Billing</h1>
+        <button onClick={load} disabled={loading} style={btn}>{loading ? "Loading…" : "Reload"}</button>
+        <a href="/" style={{ marginLeft:"auto", color:"#000" }}>← Back to dashboard</a>
+      </div>
+
+      {err && (
+        <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
+          {err}
+        </div>
+      )}
+      {info && (
+        <div style={{ background:"#f3fbe4", border:"1px solid #cbd5a7", padding:"10px 12px", borderRadius:10, marginBottom:12, fontSize:13 }}>
+          {info}
+        </div>
+      )}
+
+      <h2 style={{ fontSize:18 }}>Price plans</h2>
+      <p style={{ fontSize:13, marginTop:0 }}>
+        Every SIM that was activated by the month end, and was active during the month or used data in it, pays
+        the monthly fee, data above the included GB per SIM at the overage rate, and its reseller cost for the
+        month plus the markup. Reseller costs are converted into
+        the plan currency with the <a href="/admin/fx" style={{ color:"#000" }}>FX rates</a>.
+      </p>
+      {isAdmin && (
+        <form onSubmit={savePlan} style={{ display:"flex", flexWrap:"wrap", alignItems:"center", gap:10, marginBottom:12, fontSize:13 }}>
+          <select value={form.accountId} onChange={e => setForm({ ...form, accountId: e.target.value })} required style={input}>
+            <option value="">Account…</option>
+            {accounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.id})</option>)}
+          </select>
+          <input value={form.currency} onChange={e => setForm({ ...form, currency: e.target.value.toUpperCase() })} required maxLength={3} style={{ ...input, width:50 }} title="Currency" />
+          {PLAN_FIELDS.map(k => (
+            <label key={k}>{FIELD_LABEL[k]}{" "}
+              <input type="number" min="0" step="any" value={form[k]} onChange={e => setForm({ ...form, [k]: e.target.value })} style={{ ...input, width:80 }} />
+            </label>
+          ))}
+          <button type="submit" disabled={busy === "plan"} style={btn}>{busy === "plan" ? "Saving…" : "Save plan"}</button>
+        </form>
+      )}
+      <table style={{ width:"100%", borderCollapse:"collapse", fontSize:13, border:"1px solid #cbd5a7", marginBottom:20 }}>
+        <thead>
+          <tr>
+            <th style={th}>Account</th><th style={th}>Currency</th>
+            {PLAN_FIELDS.map(k => <th key={k} style={th}>{FIELD_LABEL[k]}</th>)}
+            <th style={th}>Updated (UTC)</th>{isAdmin && <th style={th}></th>}
+          </tr>
+        </thead>
+        <tbody>
+          {plans.map(p => (
+            <tr key={p.accountId}>
+              <td style={td}>{p.accountName ? `${p.accountName} (${p.accountId})` : p.accountId}</td>
+              <td style={td}>{p.currency}</td>
+              {PLAN_FIELDS.map(k => <td key={k} style={num}>{p[k]}</td>)}
+              <td style={td}>{fmtTs(p.updatedAt)}</td>
+              {isAdmin && (
+                <td style={{ ...td, whiteSpace:"nowrap" }}>
+                  <button onClick={() => edit(p)} style={btn}>Edit</button>{" "}
+                  <button onClick={() => removePlan(p)} style={btn}>Delete</button>
+                </td>
+              )}
+            </tr>
+          ))}
+          {!plans.length && !loading && <tr><td colSpan={PLAN_FIELDS.length + 4} style={{ ...td, textAlign:"center", opacity:.7 }}>No price plans</td></tr>}
+        </tbody>
+      </table>
+
+      <h2 style={{ fontSize:18 }}>Invoices</h2>
+      <form onSubmit={generate} style={{ display:"flex", flexWrap:"wrap", alignItems:"center", gap:10, marginBottom:12, fontSize:13 }}>
+        <select value={run.accountId} onChange={e => setRun({ ...run, accountId: e.target.value })} required style={input}>
+          <option value="">Account with a plan…</option>
+          {plans.map(p => <option key={p.accountId} value={p.accountId}>{p.accountName || p.accountId} ({p.accountId})</option>)}
+        </select>
+        <input type="month" value={run.month} max={previousMonth()} onChange={e => setRun({ ...run, month: e.target.value })} required style={input} />
+        <label><input type="checkbox" checked={run.regenerate} onChange={e => setRun({ ...run, regenerate: e.target.checked })} /> Replace existing</label>
+        <label title="Bill even if some SIMs' usage could not be loaded (they would be under-billed)">
+          <input type="checkbox" checked={run.allowIncomplete} onChange={e => setRun({ ...run, allowIncomplete: e.target.checked })} /> Allow incomplete data
+        </label>
+        <button type="submit" disabled={busy === "invoice"} style={btn}>{busy === "invoice" ? "Calculating…" : "Generate invoice"}</button>
+      </form>
+      <table style={{ width:"100%", borderCollapse:"collapse", fontSize:13, border:"1px solid #cbd5a7" }}>
+        <thead>
+          <tr>
+            <th style={th}>Number</th><th style={th}>Account</th><th style={th}>Month</th><th style={th}>SIMs</th>
+            <th style={th}>Monthly fees</th><th style={th}>Overage</th><th style={th}>Usage</th><th style={th}>Total</th>
+            <th style={th}>Reseller cost</th><th style={th}>Margin</th><th style={th}>Issued (UTC)</th><th style={th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {invoices.map(inv => (
+            <tr key={inv.number}>
+              <td style={td}>{inv.number}{inv.incompleteSims ? <span style={{ color:"#900" }} title="Issued with incomplete data"> ⚠ {inv.incompleteSims}</span> : ""}</td>
+              <td style={td}>{inv.accountName ? `${inv.accountName} (${inv.accountId})` : inv.accountId}</td>
+              <td style={td}>{inv.month}</td>
+              <td style={num}>{inv.totals.sims}</td>
+              <td style={num}>{money(inv.totals.monthlyFees)}</td>
+              <td style={num}>{money(inv.totals.overage)}</td>
+              <td style={num}>{money(inv.totals.usage)}</td>
+              <td style={{ ...num, fontWeight:600 }}>{money(inv.totals.amount)} {inv.currency}</td>
+              <td style={num}>{money(inv.totals.cost)}</td>
+              <td style={{ ...num, color: inv.totals.margin < 0 ? "#900" : "#000" }}>{money(inv.totals.margin)}</td>
+              <td style={td}>{fmtTs(inv.issuedAt)}</td>
+              <td style={{ ...td, whiteSpace:"nowrap" }}>
+                <a href={fileUrl(inv, "pdf")} style={{ color:"#000" }}>PDF</a>{" · "}
+                <a href={fileUrl(inv, "xlsx")} style={{ color:"#000" }}>Excel</a>
+              </td>
+            </tr>
+          ))}
+          {!invoices.length && !loading && <tr><td colSpan={12} style={{ ...td, textAlign:"center", opacity:.7 }}>No invoices yet</td></tr>}
+        </tbody>
+      </table>
+    </main>
+  );
+}
@@ -0,0 +1,50 @@
+// Alerts panel: configurable thresholds + list of expiring / exhausted / idle SIMs.
+
+import React, { Fragment } from "react";
+import { countAlerts } from "../../lib/alerts";
+
+const TYPE_LABEL = { expiry: "Package expiring", dataExhaustion: "Data almost used", idle: "Idle active SIM" };
+const SEVERITY_BG = { critical: "#fde2e2", warning: "#fff6e0", info: "#ffffff" };
+
+export default function AlertsPanel({ alerts, thresholds, onThresholdsChange }) {
+  const counts = countAlerts(alerts);
+  const input = { width:70, padding:"6px 8px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const set = (k) => (e) => {
+    const n = Number(e.target.value);
+    if (e.target.value !== "" && Number.isFinite(n) && n >= 0) onThresholdsChange({ ...thresholds, [k]: n });
+  };
+  const head = { padding:"10px 12px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", fontWeight:600 };
+  const cell = (a) => ({ padding:"8px 12px", borderBottom:"1px solid #cbd5a7", background: SEVERITY_BG[a.severity] ?? "#fff" });
+
+  return (
+    <div>
+      <div style={{ display:"flex", gap:16, alignItems:"center", flexWrap:"wrap", background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"8px 12px", marginBottom:10, fontSize:13 }}>
+        <label>Expires within <input type="number" min="0" value={thresholds.expiryDays} onChange={set("expiryDays")} style={input} /> days</label>
+        <label>Data used ≥ <input type="number" min="0" value={thresholds.usagePct} onChange={set("usagePct")} style={input} /> %</label>
+        <label>Idle for ≥ <input type="number" min="0" value={thresholds.idleDays} onChange={set("idleDays")} style={input} /> days</label>
+        <span style={{ marginLeft:"auto" }}>
+          {Object.entries(counts.byType).map(([k, n]) => `${TYPE_LABEL[k]}: ${n}`).join(" · ")}
+        </span>
+      </div>
+
+      <div style={{ overflowX:"auto", border:"1px solid #cbd5a7", borderRadius:14 }}>
+        <div style={{ display:"grid", gridTemplateColumns:"180px 220px 1fr 200px 100px", fontSize:13 }}>
+          {["Alert","ICCID","Details","Account","Severity"].map(h => <div key={h} style={head}>{h}</div>)}
+          {alerts.map((a, i) => (
+            <Fragment key={`${a.type}-${a.iccid}-${i}`}>
+              <div style={cell(a)}>{TYPE_LABEL[a.type] ?? a.type}</div>
+              <div style={cell(a)}>{a.iccid ?? ""}</div>
+              <div style={cell(a)}>{a.message}</div>
+              <div style={cell(a)}>{a.account ?? a.accountId ?? ""}</div>
+              <div style={cell(a)}>{a.severity}</div>
+            </Fragment>
+          ))}
+          {!alerts.length && <div style={{ padding:"8px 12px", gridColumn:"1 / -1" }}>No alerts for the loaded SIMs</div>}
+        </div>
+      </div>
+      <p style={{ opacity:.7, marginTop:10, fontSize:12 }}>
+        Ops tooling can poll <code>/api/alerts?accountId=…&amp;expiryDays=…&amp;usagePct=…&amp;idleDays=…</code> for the same list as JSON.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// Minimal SVG bar chart (no chart dependency).
+// points: [{ label, value, start?, end? }]; markers: [{ date: "YYYY-MM-DD", label, color }]
+// A marker is drawn on the bar whose [start, end] window contains its date.
+
+export default function BarChart({ points, markers = [], height = 220, format = (v) => String(v), color = "#8fbf3f" }) {
+  const padL = 56, padB = 28, padT = 16, barGap = 2;
+  const barW = Math.max(6, Math.min(40, Math.floor(900 / Math.max(points.length, 1))));
+  const width = padL + points.length * (barW + barGap) + 10;
+  const max = Math.max(0, ...points.map(p => Number.isFinite(p.value) ? p.value : 0)) || 1;
+  const plotH = height - padB - padT;
+  const y = (v) => padT + plotH - (v / max) * plotH;
+  const labelEvery = Math.ceil(points.length / 12) || 1;
+
+  const markerX = (m) => {
+    const idx = points.findIndex(p => p.start && p.end && m.date >= p.start && m.date <= p.end);
+    return idx < 0 ? null : padL + idx * (barW + barGap) + barW / 2;
+  };
+
+  return (
+    <div style={{ overflowX:"auto" }}>
+      <svg width={width} height={height} style={{ background:"#fff", border:"1px solid #cbd5a7", borderRadius:10 }}>
+        {[0, 0.5, 1].map(f => (
+          <g key={f}>
+            <line x1={padL} x2={width - 4} y1={y(max * f)} y2={y(max * f)} stroke="#e3e9cf" />
+            <text x={padL - 6} y={y(max * f) + 4} fontSize="10" textAnchor="end">{format(max * f)}</text>
+          </g>
+        ))}
+        {points.map((p, i) => {
+          const v = Number.isFinite(p.value) ? p.value : 0;
+          const x = padL + i * (barW + barGap);
+          return (
+            <g key={i}>
+              <rect x={x} y={y(v)} width={barW} height={padT + plotH - y(v)} fill={Number.isFinite(p.value) ? color : "#ddd"}>
+                <title>{`${p.label}: ${Number.isFinite(p.value) ? format(p.value) : "n/a"}`}</title>
+              </rect>
+              {i % labelEvery === 0 && (
+                <text x={x + barW / 2} y={height - 10} fontSize="10" textAnchor="middle">{p.label}</text>
+              )}
+            </g>
+          );
+        })}
+        {markers.map((m, i) => {
+          const x = markerX(m);
+          if (x == null) return null;
+          return (
+            <g key={`m${i}`}>
+              <line x1={x} x2={x} y1={padT} y2={padT + plotH} stroke={m.color || "#c0392b"} strokeDasharray="4 3" />
+              <title>{`${m.label} (${m.date})`}</title>
+              <text x={x + 3} y={padT + 10 + (i % 3) * 11} fontSize="10" fill={m.color || "#c0392b"}>{m.label}</text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
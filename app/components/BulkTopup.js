@@ -0,0 +1,173 @@
+// Bulk package top-up: upload CSV/XLSX of ICCIDs → choose template → preview matches → run → report.
+
+import React, { Fragment, useEffect, useState } from "react";
+import * as XLSX from "xlsx";
+import { streamNDJSON } from "../../lib/ndjson";
+
+const ICCID_HEADER = /iccid/i;
+
+// ICCIDs from the first sheet: the column headed "ICCID" if there is one, else the first column
+async function readIccidFile(file) {
+  const wb = XLSX.read(await file.arrayBuffer(), { type: "array", raw: true }); // raw: CSV digits stay text
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, blankrows: false });
+  if (!rows.length) return [];
+  const col = Math.max(0, rows[0].findIndex(h => ICCID_HEADER.test(String(h ?? ""))));
+  const body = ICCID_HEADER.test(String(rows[0][col] ?? "")) ? rows.slice(1) : rows;
+  return body.map(r => String(r[col] ?? "").trim()).filter(Boolean);
+}
+
+export default function BulkTopup({ selection, selectionLabel }) {
+  const [fileName, setFileName] = useState("");
+  const [iccids, setIccids] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [results, setResults] = useState(null);   // [{ iccid, accountId, subscriberId, ok, error }]
+  const [total, setTotal] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    fetch("/api/templates", { cache: "no-store" })
+      .then(r => r.json())
+      .then(j => { if (!j?.ok) throw new Error(j?.error || "Cannot load templates"); setTemplates(j.data); })
+      .catch(e => setErr(e.message));
+  }, []);
+
+  // a new file, template or account selection invalidates the preview
+  useEffect(() => { setPreview(null); setResults(null); }, [iccids, templateId, JSON.stringify(selection)]);
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setErr("");
+    try {
+      setFileName(file.name);
+      setIccids(await readIccidFile(file));
+    } catch (ex) {
+      setIccids([]); setErr(`Cannot read ${file.name}: ${ex.message}`);
+    }
+  }
+
+  const requestBody = (extra) => JSON.stringify({ ...selection, iccids, templateId: Number(templateId), ...extra });
+
+  async function runPreview() {
+    setErr(""); setBusy(true);
+    try {
+      const res = await fetch("/api/bulk-topup", { method: "POST", headers: { "Content-Type": "application/json" }, body: requestBody({ preview: true }) });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      setPreview(j.data);
+    } catch (e) {
+      setErr(e.message || "Preview failed");
+    } finally { setBusy(false); }
+  }
+
+  async function run() {
+    if (!window.confirm(`Assign "${preview.template.name ?? preview.template.id}" to ${preview.matched.length} SIM(s)?`)) return;
+    setErr(""); setBusy(true); setResults([]); setTotal(preview.matched.length);
+    try {
+      await streamNDJSON("/api/bulk-topup", (msgs) => {
+        const batch = [];
+        for (const m of msgs) {
+          if (m.type === "result") batch.push(m);
+          else if (m.type === "start") setTotal(m.total);
+          else if (m.type === "error") setErr(m.error);
+        }
+        if (batch.length) setResults(prev => [...prev, ...batch]);
+      }, undefined, { method: "POST", headers: { "Content-Type": "application/json" }, body: requestBody() });
+    } catch (e) {
+      setErr(e.message || "Run failed");
+    } finally { setBusy(false); }
+  }
+
+  // one line per uploaded ICCID: result of the run, or why it was not attempted
+  function reportRows() {
+    const byIccid = new Map((results ?? []).map(r => [r.iccid, r]));
+    const tpl = preview?.template ?? {};
+    const line = (iccid, m, result, error) => ({
+      iccid, accountId: m?.accountId ?? "", account: m?.accountName ?? "", subscriberId: m?.subscriberId ?? "",
+      status: m?.subscriberStatus ?? "", templateId: tpl.id ?? "", template: tpl.name ?? "", result, error: error ?? ""
+    });
+    return [
+      ...(preview?.matched ?? []).map(m => {
+        const r = byIccid.get(m.iccid);
+        return line(m.iccid, m, r ? (r.ok ? "ok" : "error") : "not run", r?.error);
+      }),
+      ...(preview?.unmatched ?? []).map(i => line(i, null, "skipped", "ICCID not found in the selected accounts")),
+      ...(preview?.invalid ?? []).map(i => line(i, null, "skipped", "Not a valid ICCID (format the column as text in Excel)"))
+    ];
+  }
+
+  function download(ext) {
+    const data = report;
+    const name = `bulk_topup_${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.${ext}`;
+    if (ext === "xlsx") {
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(data), "Top-up");
+      XLSX.writeFile(wb, name);
+      return;
+    }
+    const headers = Object.keys(data[0] ?? { iccid: "" });
+    const lines = [headers.join(","), ...data.map(d => headers.map(h => `"${String(d[h]).replace(/"/g, '""')}"`).join(","))];
+    const url = URL.createObjectURL(new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8" }));
+    const a = document.createElement("a"); a.href = url; a.download = name; a.click(); URL.revokeObjectURL(url);
+  }
+
+  const report = preview ? reportRows() : [];
+  const done = results?.length ?? 0;
+  const failed = (results ?? []).filter(r => !r.ok).length;
+  const input = { padding:"8px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const btn = { ...input, background:"#cfeaa1", cursor:"pointer" };
+  const head = { padding:"8px 12px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", fontWeight:600 };
+  const cell = (bad) => ({ padding:"6px 12px", borderBottom:"1px solid #cbd5a7", background: bad ? "#fde2e2" : "#fff" });
+
+  return (
+    <div style={{ display:"flex", flexDirection:"column", gap:12 }}>
+      <div style={{ display:"flex", gap:12, alignItems:"center", flexWrap:"wrap", background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"10px 12px", fontSize:13 }}>
+        <label>ICCID list (CSV/XLSX) <input type="file" accept=".csv,.xlsx,.xls" onChange={onFile} disabled={busy} /></label>
+        {fileName && <span>{fileName}: {iccids.length} ICCID{iccids.length === 1 ? "" : "s"}</span>}
+        <select value={templateId} onChange={e=>setTemplateId(e.target.value)} style={input} disabled={busy}>
+          <option value="">Package template…</option>
+          {templates.map(t => <option key={t.id} value={String(t.id)}>{t.name ?? `Template ${t.id}`} — {t.id}</option>)}
+        </select>
+        <span>in {selectionLabel}</span>
+        <button onClick={runPreview} disabled={busy || !iccids.length || !templateId} style={btn}>Preview</button>
+        <button onClick={run} disabled={busy || !preview?.matched.length || results != null} style={btn}>
+          {busy && results ? `Running ${done}/${total}…` : `Run on ${preview?.matched.length ?? 0} SIMs`}
+        </button>
+        <button onClick={() => download("csv")} disabled={!preview} style={btn}>Report CSV</button>
+        <button onClick={() => download("xlsx")} disabled={!preview} style={btn}>Report Excel</button>
+      </div>
+
+      {err && <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, fontSize:12, whiteSpace:"pre-wrap" }}>{err}</div>}
+
+      {preview && (
+        <div style={{ fontSize:13 }}>
+          Matched <b>{preview.matched.length}</b> · not found <b>{preview.unmatched.length}</b> · invalid <b>{preview.invalid.length}</b>
+          {preview.duplicates ? ` · ${preview.duplicates} duplicate line(s) ignored` : ""}
+          {preview.accountErrors.length ? ` · could not list ${preview.accountErrors.map(a => a.accountName ?? a.accountId).join(", ")}` : ""}
+          {results && ` · done ${done}/${total}, ${failed} failed`}
+        </div>
+      )}
+
+      {preview && (
+        <div style={{ overflowX:"auto", border:"1px solid #cbd5a7", borderRadius:14, maxHeight:520, overflowY:"auto" }}>
+          <div style={{ display:"grid", gridTemplateColumns:"220px 220px 140px 120px 1fr", fontSize:13 }}>
+            {["ICCID","Account","Status","Result","Error"].map(h => <div key={h} style={head}>{h}</div>)}
+            {report.map(r => (
+              <Fragment key={r.iccid}>
+                <div style={cell(r.result !== "ok" && r.result !== "not run")}>{r.iccid}</div>
+                <div style={cell(false)}>{r.account || r.accountId}</div>
+                <div style={cell(false)}>{r.status}</div>
+                <div style={cell(r.result === "error" || r.result === "skipped")}>{r.result}</div>
+                <div style={cell(false)}>{r.error}</div>
+              </Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
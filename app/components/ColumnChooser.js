@@ -0,0 +1,106 @@
+// Show, hide and reorder the subscriber grid columns; pick a built-in preset or save your own.
+// The same column list goes to /api/export, so files have the columns shown on screen.
+
+import React, { useEffect, useState } from "react";
+import { COLUMN_KEYS, getColumn } from "../../lib/columns";
+
+const sameKeys = (a, b) => a.length === b.length && a.every((k, i) => k === b[i]);
+
+export default function ColumnChooser({ columnKeys, onChange, showCosts }) {
+  const [open, setOpen] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [err, setErr] = useState("");
+
+  async function loadPresets() {
+    try {
+      const j = await fetch("/api/column-presets", { cache: "no-store" }).then(r => r.json());
+      if (!j?.ok) throw new Error(j?.error || "Cannot load column presets");
+      setPresets(j.data);
+    } catch (e) { setErr(e.message); }
+  }
+  useEffect(() => { loadPresets(); }, []);
+
+  const allowed = (k) => showCosts || !getColumn(k)?.cost;
+  const shown = columnKeys.filter(allowed);
+  const hidden = COLUMN_KEYS.filter(k => allowed(k) && !columnKeys.includes(k));
+  // a preset is active when it yields exactly the columns on screen
+  const active = presets.find(p => sameKeys(p.columns.filter(allowed), shown));
+
+  const toggle = (k) => {
+    if (columnKeys.includes(k)) { if (shown.length > 1) onChange(columnKeys.filter(x => x !== k)); }
+    else onChange([...columnKeys, k]);
+  };
+  const move = (k, delta) => {
+    const i = shown.indexOf(k), j = i + delta;
+    if (j < 0 || j >= shown.length) return;
+    const next = shown.slice();
+    [next[i], next[j]] = [next[j], next[i]];
+    // columns this role cannot see (costs in a built-in preset) stay in the list, at the end
+    onChange([...next, ...columnKeys.filter(x => !allowed(x))]);
+  };
+
+  async function saveAs() {
+    const name = window.prompt("Save the current columns as:", active && !active.builtIn ? active.name : "");
+    if (!name) return;
+    setErr("");
+    try {
+      const j = await fetch("/api/column-presets", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, columns: columnKeys })
+      }).then(r => r.json());
+      if (!j?.ok) throw new Error(j?.error || "Save failed");
+      await loadPresets();
+    } catch (e) { setErr(e.message); }
+  }
+
+  async function remove() {
+    if (!active || active.builtIn || !window.confirm(`Delete column preset "${active.name}"?`)) return;
+    setErr("");
+    try {
+      const j = await fetch(`/api/column-presets?name=${encodeURIComponent(active.name)}`, { method: "DELETE" }).then(r => r.json());
+      if (!j?.ok) throw new Error(j?.error || "Delete failed");
+      await loadPresets();
+    } catch (e) { setErr(e.message); }
+  }
+
+  const input = { padding:"6px 8px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const small = { padding:"0 6px", borderRadius:6, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" };
+
+  return (
+    <div style={{ display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+      <b>Columns:</b>
+      <select
+        value={active?.name ?? ""}
+        onChange={e => { const p = presets.find(x => x.name === e.target.value); if (p) onChange(p.columns); }}
+        style={input}
+      >
+        {!active && <option value="">Custom ({shown.length})</option>}
+        {presets.map(p => <option key={p.name} value={p.name}>{p.name}{p.builtIn ? "" : " (mine)"}</option>)}
+      </select>
+      <button onClick={() => setOpen(o => !o)} style={{ ...input, cursor:"pointer", background:"#e6f3c2" }}>{open ? "Done" : "Edit columns…"}</button>
+      <button onClick={saveAs} style={{ ...input, cursor:"pointer", background:"#e6f3c2" }}>Save preset…</button>
+      {active && !active.builtIn && <button onClick={remove} style={{ ...input, cursor:"pointer" }}>Delete preset</button>}
+      {err && <span style={{ color:"#900" }}>{err}</span>}
+
+      {open && (
+        <div style={{ flexBasis:"100%", display:"grid", gridTemplateColumns:"repeat(auto-fill, minmax(260px, 1fr))", gap:4, maxHeight:260, overflowY:"auto", marginTop:6 }}>
+          {shown.map((k, i) => (
+            <label key={k} style={{ display:"flex", gap:6, alignItems:"center" }}>
+              <input type="checkbox" checked onChange={() => toggle(k)} disabled={shown.length === 1} />
+              <button onClick={e => { e.preventDefault(); move(k, -1); }} disabled={i === 0} style={small} title="Move left">←</button>
+              <button onClick={e => { e.preventDefault(); move(k, 1); }} disabled={i === shown.length - 1} style={small} title="Move right">→</button>
+              {k}
+            </label>
+          ))}
+          {hidden.map(k => (
+            <label key={k} style={{ display:"flex", gap:6, alignItems:"center", opacity:.6 }}>
+              <input type="checkbox" checked={false} onChange={() => toggle(k)} />
+              {k}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+// eSIM activation QR for one SIM: LPA string, copy, and PNG/PDF activation card downloads.
+
+import React, { useEffect, useState } from "react";
+import { lpaString } from "../../lib/esim";
+import { cardPdf, cardPng, downloadBlob, qrDataUrl } from "./esimCards";
+
+export default function EsimQrDialog({ row, logoSrc, onExport, onClose }) {
+  const lpa = lpaString(row);
+  const [qr, setQr] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [note, setNote] = useState("");
+
+  useEffect(() => {
+    if (lpa) qrDataUrl(lpa).then(setQr).catch(e => setNote(e.message));
+  }, [lpa]);
+
+  async function download(format) {
+    setBusy(true); setNote("");
+    try {
+      const blob = format === "png" ? await cardPng(row, { logoSrc }) : await cardPdf(row, { logoSrc });
+      downloadBlob(blob, `esim_${row.iccid}.${format}`);
+      onExport?.(`esim-${format}`, 1, { iccid: row.iccid });
+    } catch (e) {
+      setNote(e.message || "Failed");
+    } finally { setBusy(false); }
+  }
+
+  async function copy() {
+    try { await navigator.clipboard.writeText(lpa); setNote("Copied"); } catch { setNote("Copy failed"); }
+  }
+
+  const btn = { padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", background:"#cfeaa1", color:"#000", cursor:"pointer" };
+
+  return (
+    <div
+      onClick={e => { if (e.target === e.currentTarget) onClose(); }}
+      style={{ position:"fixed", inset:0, background:"rgba(0,0,0,.35)", display:"flex", alignItems:"center", justifyContent:"center", zIndex:50 }}
+    >
+      <div role="dialog" aria-modal="true" style={{ width:420, background:"#fff", borderRadius:14, padding:20, display:"flex", flexDirection:"column", gap:12, color:"#000", alignItems:"center" }}>
+        <h2 style={{ margin:0, fontSize:18, alignSelf:"stretch" }}>eSIM {row.iccid}</h2>
+        {!lpa && <div>This SIM has no SM-DP+ address / activation code.</div>}
+        {qr && <img src={qr} alt={`QR code ${lpa}`} width={280} height={280} />}
+        {lpa && <code style={{ fontSize:12, wordBreak:"break-all", background:"#f6fadf", padding:"6px 8px", borderRadius:8, alignSelf:"stretch" }}>{lpa}</code>}
+        {note && <div style={{ fontSize:12 }}>{note}</div>}
+        <div style={{ display:"flex", gap:8, flexWrap:"wrap", justifyContent:"center" }}>
+          <button onClick={copy} disabled={!lpa} style={btn}>Copy LPA</button>
+          <button onClick={() => download("png")} disabled={!lpa || busy} style={btn}>Card PNG</button>
+          <button onClick={() => download("pdf")} disabled={!lpa || busy} style={btn}>Card PDF</button>
+          <button onClick={onClose} style={{ ...btn, background:"#fff" }}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+// Search box, typed filters and saved views for the subscriber grid (view shape: lib/gridView EMPTY_VIEW).
+
+import React, { useEffect, useState } from "react";
+import { COST_FILTER_FIELDS, EMPTY_VIEW, activeFilters } from "../../lib/gridView";
+
+export default function GridFilters({ view, onChange, statuses, showCosts, currency, shown, total }) {
+  const [saved, setSaved] = useState([]);
+  const [selected, setSelected] = useState("");
+  const [err, setErr] = useState("");
+
+  async function loadSaved() {
+    try {
+      const j = await fetch("/api/views", { cache: "no-store" }).then(r => r.json());
+      if (!j?.ok) throw new Error(j?.error || "Cannot load saved views");
+      setSaved(j.data);
+    } catch (e) { setErr(e.message); }
+  }
+  useEffect(() => { loadSaved(); }, []);
+
+  async function saveAs() {
+    const name = window.prompt("Save the current search, filters and sort as:", selected);
+    if (!name) return;
+    setErr("");
+    try {
+      const j = await fetch("/api/views", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, view })
+      }).then(r => r.json());
+      if (!j?.ok) throw new Error(j?.error || "Save failed");
+      setSelected(j.data.name);
+      await loadSaved();
+    } catch (e) { setErr(e.message); }
+  }
+
+  async function remove() {
+    if (!selected || !window.confirm(`Delete saved view "${selected}"?`)) return;
+    setErr("");
+    try {
+      const j = await fetch(`/api/views?name=${encodeURIComponent(selected)}`, { method: "DELETE" }).then(r => r.json());
+      if (!j?.ok) throw new Error(j?.error || "Delete failed");
+      setSelected("");
+      await loadSaved();
+    } catch (e) { setErr(e.message); }
+  }
+
+  function pick(name) {
+    setSelected(name);
+    const v = saved.find(s => s.name === name);
+    if (v) onChange({ ...EMPTY_VIEW, ...v.view });
+  }
+
+  const set = (k) => (e) => onChange({ ...view, [k]: e.target.value });
+  const input = { padding:"6px 8px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const num = { ...input, width:80 };
+  const n = activeFilters(view);
+
+  return (
+    <div style={{ background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"8px 12px", marginBottom:10, fontSize:13 }}>
+      <div style={{ display:"flex", gap:12, alignItems:"center", flexWrap:"wrap" }}>
+        <input placeholder="Search all columns…" value={view.q} onChange={set("q")} style={{ ...input, width:240 }} />
+        <label>Status{" "}
+          <select value={view.status} onChange={set("status")} style={input}>
+            <option value="">any</option>
+            {statuses.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+        <label>Expires{" "}
+          <input type="date" value={view.expiresFrom} max={view.expiresTo || undefined} onChange={set("expiresFrom")} style={input} />
+          {" → "}
+          <input type="date" value={view.expiresTo} min={view.expiresFrom || undefined} onChange={set("expiresTo")} style={input} />
+        </label>
+        <label>Used GB{" "}
+          <input type="number" min="0" step="any" placeholder="min" value={view.usedGbMin} onChange={set("usedGbMin")} style={num} />
+          {" – "}
+          <input type="number" min="0" step="any" placeholder="max" value={view.usedGbMax} onChange={set("usedGbMax")} style={num} />
+        </label>
+        {showCosts && (
+          <label>
+            <select value={view.costField} onChange={set("costField")} style={input}>
+              {Object.entries(COST_FILTER_FIELDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>{" "}
+            <input type="number" step="any" placeholder="min" value={view.costMin} onChange={set("costMin")} style={num} />
+            {" – "}
+            <input type="number" step="any" placeholder="max" value={view.costMax} onChange={set("costMax")} style={num} />
+            {currency ? ` ${currency}` : ""}
+          </label>
+        )}
+        <label>Package{" "}
+          <select value={view.hasPackage} onChange={set("hasPackage")} style={input}>
+            <option value="">any</option>
+            <option value="yes">yes</option>
+            <option value="no">no</option>
+          </select>
+        </label>
+        {(n > 0 || view.q || view.sort) && (
+          <button onClick={() => { setSelected(""); onChange({ ...EMPTY_VIEW }); }} style={{ ...input, cursor:"pointer", background:"#e6f3c2" }}>
+            Clear{n ? ` (${n} filter${n === 1 ? "" : "s"})` : ""}
+          </button>
+        )}
+        <span style={{ marginLeft:"auto" }}>{shown === total ? `${total} SIMs` : `${shown} of ${total} SIMs`}</span>
+      </div>
+
+      <div style={{ display:"flex", gap:8, alignItems:"center", marginTop:8 }}>
+        <b>Saved views:</b>
+        <select value={selected} onChange={e => pick(e.target.value)} style={input}>
+          <option value="">{saved.length ? "Choose…" : "none yet"}</option>
+          {saved.map(s => <option key={s.name} value={s.name}>{s.name}</option>)}
+        </select>
+        <button onClick={saveAs} style={{ ...input, cursor:"pointer", background:"#e6f3c2" }}>Save current…</button>
+        {selected && <button onClick={remove} style={{ ...input, cursor:"pointer" }}>Delete</button>}
+        {err && <span style={{ color:"#900" }}>{err}</span>}
+      </div>
+    </div>
+  );
+}
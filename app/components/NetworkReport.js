@@ -0,0 +1,55 @@
+// Usage and reseller cost per country and per network (dashboard "Countries & networks" tab).
+
+import React, { Fragment, useMemo } from "react";
+import { networkBreakdown } from "../../lib/reports";
+
+const money = (n) => (n == null || isNaN(n)) ? "" : Number(n).toFixed(2);
+const bytesToGB = (b) => (b == null || isNaN(b)) ? "" : (Number(b) / (1024 ** 3)).toFixed(2);
+
+function Table({ title, headers, items, cells }) {
+  const head = { padding:"10px 12px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", fontWeight:600 };
+  const cell = (i) => ({ padding:"8px 12px", borderBottom:"1px solid #cbd5a7", background: i%2 ? "#ffffff" : "#f6fadf" });
+  return (
+    <>
+      <h3 style={{ margin:"14px 0 8px" }}>{title}</h3>
+      <div style={{ overflowX:"auto", border:"1px solid #cbd5a7", borderRadius:14 }}>
+        <div style={{ display:"grid", gridTemplateColumns:`repeat(${headers.length}, minmax(120px, 1fr))`, fontSize:13 }}>
+          {headers.map(h => <div key={h} style={head}>{h}</div>)}
+          {items.map((it, i) => (
+            <Fragment key={i}>{cells(it).map((c, j) => <div key={j} style={cell(i)}>{c}</div>)}</Fragment>
+          ))}
+          {!items.length && <div style={{ ...cell(0), gridColumn:"1 / -1" }}>No rows loaded</div>}
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default function NetworkReport({ rows, fx = null, showCosts = true }) {
+  const { byCountry, byNetwork } = useMemo(() => networkBreakdown(rows, fx), [rows, fx]);
+  const costHeader = fx?.reportingCurrency ? `Reseller Cost (${fx.reportingCurrency})` : "Reseller Cost";
+  const attributed = (g) => g.attributedSims ? `${g.attributedSims} by last network` : "";
+  // drop the "Reseller Cost" column for roles without cost access
+  const costCol = (list) => showCosts ? list : list.filter((_, i, a) => i !== a.length - 2);
+
+  return (
+    <div>
+      <Table
+        title="Per country"
+        headers={costCol(["Country","SIMs","Usage (GB)",costHeader,"Attribution"])}
+        items={byCountry}
+        cells={(g) => costCol([g.country, g.sims, bytesToGB(g.bytes), money(g.resellerCost), attributed(g)])}
+      />
+      <Table
+        title="Per network"
+        headers={costCol(["MCC-MNC","Operator","Country","SIMs","Usage (GB)",costHeader,"Attribution"])}
+        items={byNetwork}
+        cells={(g) => costCol([`${g.mcc ?? "?"}-${g.mnc ?? "?"}`, g.operator ?? "", g.country ?? "", g.sims, bytesToGB(g.bytes), money(g.resellerCost), attributed(g)])}
+      />
+      <p style={{ opacity:.7, marginTop:10, fontSize:12 }}>
+        Where OCS returns a per-network split of the usage it is used as-is; otherwise a SIM's whole usage and cost
+        for the period is attributed to its last seen network (lastMcc/lastMnc).
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+// Snapshot history of one account: totals over time (bar chart) and a diff of two snapshot days.
+
+import React, { Fragment, useEffect, useState } from "react";
+import BarChart from "./BarChart";
+
+const GB = 1024 ** 3;
+const METRICS = [
+  { key: "sims", label: "SIMs", value: (t) => t.sims },
+  { key: "activeSims", label: "Active SIMs", value: (t) => t.activeSims },
+  { key: "totalBytes", label: "Usage this period (GB)", value: (t) => t.totalBytes / GB, fmt: (v) => v.toFixed(2) },
+  { key: "usedPackageBytes", label: "Package data used (GB)", value: (t) => t.usedPackageBytes / GB, fmt: (v) => v.toFixed(2) },
+  { key: "totalReseller", label: "Reseller cost this period", value: (t) => t.totalReseller, fmt: (v) => v.toFixed(2), cost: true },
+  { key: "pnl", label: "PNL this period", value: (t) => t.pnl, fmt: (v) => v.toFixed(2), cost: true }
+];
+const fmtOf = (m) => m.fmt ?? ((v) => String(Math.round(v)));
+const gb = (b) => (b == null || isNaN(b)) ? "" : (Number(b) / GB).toFixed(2);
+
+function Table({ title, headers, rows, cells }) {
+  const head = { padding:"8px 12px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", fontWeight:600 };
+  const cell = { padding:"6px 12px", borderBottom:"1px solid #cbd5a7", background:"#fff" };
+  return (
+    <div>
+      <h3 style={{ margin:"12px 0 6px" }}>{title} ({rows.length})</h3>
+      {rows.length > 0 && (
+        <div style={{ border:"1px solid #cbd5a7", borderRadius:14, overflow:"auto", maxHeight:320 }}>
+          <div style={{ display:"grid", gridTemplateColumns:`repeat(${headers.length}, minmax(140px, 1fr))`, fontSize:13 }}>
+            {headers.map(h => <div key={h} style={head}>{h}</div>)}
+            {rows.map((r, i) => <Fragment key={i}>{cells(r).map((c, j) => <div key={j} style={cell}>{c ?? ""}</div>)}</Fragment>)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function SnapshotHistory({ accountId, showCosts }) {
+  const [list, setList] = useState([]);
+  const [metric, setMetric] = useState("sims");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    setErr(""); setList([]); setDiff(null);
+    if (!accountId) return;
+    fetch(`/api/snapshots?accountId=${encodeURIComponent(accountId)}`, { cache: "no-store" })
+      .then(r => r.json())
+      .then(j => {
+        if (!j?.ok) throw new Error(j?.error || "Cannot load snapshots");
+        setList(j.data);
+        setTo(j.data.at(-1)?.date ?? "");
+        setFrom(j.data.at(-2)?.date ?? "");
+      })
+      .catch(e => setErr(e.message));
+  }, [accountId]);
+
+  useEffect(() => {
+    setDiff(null);
+    if (!from || !to || from === to) return;
+    const q = new URLSearchParams({ accountId, from, to });
+    fetch(`/api/snapshots/compare?${q}`, { cache: "no-store" })
+      .then(r => r.json())
+      .then(j => { if (!j?.ok) throw new Error(j?.error || "Compare failed"); setDiff(j.data); })
+      .catch(e => setErr(e.message));
+  }, [accountId, from, to]);
+
+  const metrics = METRICS.filter(m => showCosts || !m.cost);
+  const m = metrics.find(x => x.key === metric) ?? metrics[0];
+  const input = { padding:"8px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+
+  if (!accountId) return <div>Snapshot history is per account: switch to single-account mode.</div>;
+
+  return (
+    <div>
+      {err && <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, fontSize:12 }}>{err}</div>}
+      {!list.length && !err && <div>No snapshots yet for this account (run <code>npm run snapshot</code> or the cron route).</div>}
+
+      {list.length > 0 && (
+        <>
+          <div style={{ display:"flex", gap:12, alignItems:"center", marginBottom:8 }}>
+            <select value={m.key} onChange={e=>setMetric(e.target.value)} style={input}>
+              {metrics.map(x => <option key={x.key} value={x.key}>{x.label}</option>)}
+            </select>
+            <span style={{ fontSize:13 }}>{list.length} snapshot{list.length === 1 ? "" : "s"}, {list[0].date} → {list.at(-1).date}</span>
+          </div>
+          <BarChart
+            points={list.map(s => ({ label: s.date.slice(5), start: s.date, end: s.date, value: Number(m.value(s.totals)) }))}
+            format={fmtOf(m)}
+          />
+
+          <div style={{ display:"flex", gap:12, alignItems:"center", margin:"16px 0 8px" }}>
+            <b>Compare</b>
+            <select value={from} onChange={e=>setFrom(e.target.value)} style={input}>
+              {list.map(s => <option key={s.date} value={s.date}>{s.date}</option>)}
+            </select>
+            <span>→</span>
+            <select value={to} onChange={e=>setTo(e.target.value)} style={input}>
+              {list.map(s => <option key={s.date} value={s.date}>{s.date}</option>)}
+            </select>
+          </div>
+        </>
+      )}
+
+      {diff && (
+        <div>
+          <div style={{ display:"flex", gap:16, flexWrap:"wrap", background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"8px 12px", fontSize:13 }}>
+            {metrics.map(x => {
+              const a = x.value(diff.from.totals) ?? 0, b = x.value(diff.to.totals) ?? 0, f = fmtOf(x);
+              // usage / cost totals restart with each period, so only compare them within one
+              const periodBound = x.key === "totalBytes" || x.cost;
+              return (
+                <span key={x.key}>
+                  <b>{x.label}:</b> {f(a)} → {f(b)}
+                  {periodBound && !diff.samePeriod ? " (different periods)" : ` (${b - a >= 0 ? "+" : ""}${f(b - a)})`}
+                </span>
+              );
+            })}
+          </div>
+          <Table title="New SIMs" headers={["ICCID","Status","Package"]} rows={diff.newSims} cells={r => [r.iccid, r.subscriberStatus, r.package]} />
+          <Table title="Removed SIMs" headers={["ICCID","Last status"]} rows={diff.removedSims} cells={r => [r.iccid, r.subscriberStatus]} />
+          <Table title="Status changes" headers={["ICCID","Subscriber status","SIM status"]} rows={diff.statusChanges}
+            cells={r => [r.iccid, `${r.from ?? "—"} → ${r.to ?? "—"}`, `${r.simFrom ?? "—"} → ${r.simTo ?? "—"}`]} />
+          <Table title="Package changes" headers={["ICCID","Package","Activated"]} rows={diff.packageChanges}
+            cells={r => [r.iccid, `${r.from ?? "—"} → ${r.to ?? "—"}`, r.activated?.replace("T", " ")]} />
+          <Table title="Package usage" headers={["ICCID","Package","Used before (GB)","Used after (GB)","Delta (GB)"]} rows={diff.usage}
+            cells={r => [r.iccid, r.package, gb(r.from), gb(r.to), gb(r.delta)]} />
+        </div>
+      )}
+    </div>
+  );
+}
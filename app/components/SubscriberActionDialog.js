@@ -0,0 +1,104 @@
+// Confirmation dialog for subscriber lifecycle actions (POST /api/subscriber/:iccid/action).
+// Terminate must be confirmed by typing the ICCID; package actions need a template.
+
+import React, { useEffect, useState } from "react";
+
+export const SUBSCRIBER_ACTIONS = [
+  { key: "suspend", label: "Suspend", text: "Suspend this SIM? It stops passing traffic until resumed." },
+  { key: "resume", label: "Resume", text: "Resume this SIM?" },
+  { key: "terminate", label: "Terminate", text: "Terminate this SIM? This cannot be undone.", typeToConfirm: true },
+  { key: "assignPackage", label: "Assign package", text: "Assign an additional prepaid package.", needsTemplate: true },
+  { key: "replacePackage", label: "Replace package", text: "Replace the current package with another one.", needsTemplate: true }
+];
+
+const gb = (b) => (b == null || isNaN(b)) ? "" : ` · ${(Number(b) / (1024 ** 3)).toFixed(2)} GB`;
+
+export default function SubscriberActionDialog({ row, action, period, onDone, onClose }) {
+  const def = SUBSCRIBER_ACTIONS.find(a => a.key === action);
+  const [templates, setTemplates] = useState(null);
+  const [templateId, setTemplateId] = useState("");
+  const [typed, setTyped] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!def?.needsTemplate) return;
+    fetch("/api/templates", { cache: "no-store" })
+      .then(r => r.json())
+      .then(j => { if (!j?.ok) throw new Error(j?.error || "Cannot load templates"); setTemplates(j.data); })
+      .catch(e => setErr(e.message));
+  }, [action]);
+
+  if (!def) return null;
+  const ready = !busy
+    && (!def.typeToConfirm || typed.trim() === String(row.iccid))
+    && (!def.needsTemplate || templateId);
+
+  async function confirm() {
+    setErr(""); setBusy(true);
+    try {
+      const res = await fetch(`/api/subscriber/${encodeURIComponent(row.iccid)}/action`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          action,
+          accountId: row.accountId,
+          templateId: def.needsTemplate ? Number(templateId) : undefined,
+          from: period?.from,
+          to: period?.to
+        })
+      });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      onDone(j.data, j.refreshError);
+    } catch (e) {
+      setErr(e.message || "Failed");
+    } finally { setBusy(false); }
+  }
+
+  const input = { padding:"8px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000", width:"100%" };
+  const btn = { padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", cursor:"pointer", color:"#000" };
+
+  return (
+    <div
+      onClick={e => { if (e.target === e.currentTarget && !busy) onClose(); }}
+      style={{ position:"fixed", inset:0, background:"rgba(0,0,0,.35)", display:"flex", alignItems:"center", justifyContent:"center", zIndex:50 }}
+    >
+      <div role="dialog" aria-modal="true" style={{ width:440, background:"#fff", borderRadius:14, padding:20, display:"flex", flexDirection:"column", gap:12, color:"#000" }}>
+        <h2 style={{ margin:0, fontSize:18 }}>{def.label} — {row.iccid}</h2>
+        <div style={{ fontSize:13 }}>
+          {row.account ?? row.accountId} · status {row.subscriberStatus ?? "?"} · package {row.prepaidpackagetemplatename ?? "none"}
+        </div>
+        <div>{def.text}</div>
+
+        {def.needsTemplate && (
+          <select value={templateId} onChange={e=>setTemplateId(e.target.value)} style={input} disabled={!templates}>
+            <option value="">{templates ? "Choose a package template…" : "Loading templates…"}</option>
+            {(templates ?? []).map(t => (
+              <option key={t.id} value={String(t.id)}>
+                {t.name ?? `Template ${t.id}`}{gb(t.dataBytes)}{t.cost != null ? ` · ${t.cost} ${t.currency ?? ""}` : ""}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {def.typeToConfirm && (
+          <input placeholder="Type the ICCID to confirm" value={typed} onChange={e=>setTyped(e.target.value)} style={input} autoFocus />
+        )}
+
+        {err && <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"8px 10px", borderRadius:10, fontSize:12 }}>{err}</div>}
+
+        <div style={{ display:"flex", gap:8, justifyContent:"flex-end" }}>
+          <button onClick={onClose} disabled={busy} style={{ ...btn, background:"#fff" }}>Cancel</button>
+          <button
+            onClick={confirm}
+            disabled={!ready}
+            style={{ ...btn, background: action === "terminate" ? "#f4b4b4" : "#cfeaa1", opacity: ready ? 1 : .5 }}
+          >
+            {busy ? "Working…" : def.label}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
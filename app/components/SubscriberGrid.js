@@ -0,0 +1,118 @@
+// Subscriber table on the dashboard. Rows are virtualized (fixed row height, only the rows in and near
+// the viewport are rendered), so tens of thousands of SIMs scroll smoothly. Clicking a header sorts.
+// columns: definitions from lib/columns, in display order.
+
+import React, { useEffect, useRef, useState } from "react";
+import { SUBSCRIBER_ACTIONS } from "./SubscriberActionDialog";
+import { hasActivation } from "../../lib/esim";
+import { cellText, fmtErrors } from "../../lib/columns";
+
+const COL_W = 170;
+const ROW_H = 38;
+const OVERSCAN = 10;
+
+export default function SubscriberGrid({ rows, columns, sort, dir, onSort, canManage, busy, subscriberHref, onQr, onAction }) {
+  const scroller = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportH, setViewportH] = useState(600);
+
+  useEffect(() => {
+    const measure = () => scroller.current && setViewportH(scroller.current.clientHeight);
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, []);
+
+  const template = `repeat(${columns.length + (canManage ? 1 : 0)}, ${COL_W}px)`;
+  const width = (columns.length + (canManage ? 1 : 0)) * (COL_W + 8);
+  const start = Math.max(0, Math.floor(scrollTop / ROW_H) - OVERSCAN);
+  const end = Math.min(rows.length, Math.ceil((scrollTop + viewportH) / ROW_H) + OVERSCAN);
+
+  const headerBox = { padding:"10px 12px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", fontWeight:600, color:"#000", cursor:"pointer", userSelect:"none", whiteSpace:"nowrap", overflow:"hidden", textOverflow:"ellipsis" };
+  const cellBox = (i, r) => ({
+    height: ROW_H,
+    boxSizing:"border-box",
+    padding:"9px 12px",
+    borderBottom:"1px solid #cbd5a7",
+    background: r?._errors?.length ? "#fde2e2" : i%2? "#ffffff":"#f6fadf",
+    whiteSpace:"nowrap",
+    overflow:"hidden",
+    textOverflow:"ellipsis",
+    color:"#000"
+  });
+
+  function cell(col, r, i) {
+    const key = col.key;
+    if (key === "ICCID") {
+      return (
+        <div key={key} style={cellBox(i, r)} title={r.iccid ?? ""}>
+          {r.iccid ? <a href={subscriberHref(r)} style={{ color:"#000" }}>{r.iccid}</a> : ""}
+        </div>
+      );
+    }
+    if (key === "activationCode") {
+      return (
+        <div key={key} style={{ ...cellBox(i, r), padding:"6px 12px" }} title={r.activationCode ?? ""}>
+          {hasActivation(r) && (
+            <button onClick={() => onQr(r)} title="Activation QR code / card"
+              style={{ marginRight:6, padding:"2px 6px", borderRadius:6, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer", fontSize:11 }}>
+              QR
+            </button>
+          )}
+          {r.activationCode ?? ""}
+        </div>
+      );
+    }
+    if (key === "enrichmentErrors") {
+      const text = fmtErrors(r._errors);
+      return <div key={key} style={cellBox(i, r)} title={text}>{text ? `⚠ ${text}` : ""}</div>;
+    }
+    let text = cellText(col, r);
+    if (col.currency && col.value(r) != null) text = `${text} ${col.currency(r) ?? ""}`.trim();
+    return <div key={key} style={cellBox(i, r)} title={text}>{text}</div>;
+  }
+
+  return (
+    <div
+      ref={scroller}
+      onScroll={e => { setScrollTop(e.currentTarget.scrollTop); setViewportH(e.currentTarget.clientHeight); }}
+      style={{ overflow:"auto", height:"70vh", border:"1px solid #cbd5a7", borderRadius:14, fontSize:13 }}
+    >
+      <div style={{ display:"grid", gridTemplateColumns:template, columnGap:8, minWidth:width, position:"sticky", top:0, zIndex:1 }}>
+        {columns.map(({ key }) => (
+          <div key={key} style={headerBox} onClick={() => onSort(key)} title={`Sort by ${key}`}>
+            {key}{sort === key ? (dir === "desc" ? " ▼" : " ▲") : ""}
+          </div>
+        ))}
+        {canManage && <div style={{ ...headerBox, cursor:"default" }}>actions</div>}
+      </div>
+
+      <div style={{ height: rows.length * ROW_H, minWidth:width, position:"relative" }}>
+        <div style={{ position:"absolute", top: start * ROW_H, left:0, right:0 }}>
+          {rows.slice(start, end).map((r, k) => {
+            const i = start + k;
+            return (
+              <div key={`${r.accountId ?? ""}:${r.iccid || i}`} style={{ display:"grid", gridTemplateColumns:template, columnGap:8 }}>
+                {columns.map(col => cell(col, r, i))}
+                {canManage && (
+                  <div style={{ ...cellBox(i, r), padding:"5px 12px" }}>
+                    <select
+                      value=""
+                      disabled={!r.iccid || busy}
+                      onChange={e => e.target.value && onAction(r, e.target.value)}
+                      style={{ padding:"4px 6px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000", width:"100%" }}
+                    >
+                      <option value="">Action…</option>
+                      {SUBSCRIBER_ACTIONS.map(a => <option key={a.key} value={a.key}>{a.label}</option>)}
+                    </select>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        {!rows.length && <div style={{ padding:"10px 12px" }}>No rows match</div>}
+      </div>
+    </div>
+  );
+}
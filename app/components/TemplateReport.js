@@ -0,0 +1,50 @@
+// Per-template profitability table (dashboard "Templates" tab); worst margin per SIM first.
+
+import React, { Fragment, useMemo } from "react";
+import { templateProfitability } from "../../lib/reports";
+
+const money = (n) => (n == null || isNaN(n)) ? "" : Number(n).toFixed(2);
+const pct = (f) => `${(f * 100).toFixed(0)}%`;
+
+const baseHeaders = ["Template","Template ID","SIMs","Revenue (one-time)","Reseller Cost","Margin","Margin / SIM","Avg GB used","Loss-making SIMs"];
+
+// fx: FX table from /api/fx; amounts are shown in its reporting currency
+export default function TemplateReport({ rows, fx = null }) {
+  const data = useMemo(() => templateProfitability(rows, fx), [rows, fx]);
+  const cur = fx?.reportingCurrency;
+  const headers = cur ? baseHeaders.map((h, i) => i >= 3 && i <= 6 ? `${h} (${cur})` : h) : baseHeaders;
+  const head = { padding:"10px 12px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", fontWeight:600 };
+  const cell = (i, loss) => ({
+    padding:"8px 12px",
+    borderBottom:"1px solid #cbd5a7",
+    background: loss ? "#fde2e2" : i%2 ? "#ffffff" : "#f6fadf"
+  });
+
+  return (
+    <div style={{ overflowX:"auto", border:"1px solid #cbd5a7", borderRadius:14 }}>
+      <div style={{ display:"grid", gridTemplateColumns:`2fr repeat(${headers.length - 1}, 1fr)`, fontSize:13, minWidth:1100 }}>
+        {headers.map(h => <div key={h} style={head}>{h}</div>)}
+        {data.map((t, i) => {
+          const loss = t.marginPerSim < 0;
+          return (
+            <Fragment key={String(t.templateId ?? "none")}>
+              <div style={cell(i, loss)}>{t.templateName ?? (t.templateId == null ? "(no package)" : "")}</div>
+              <div style={cell(i, loss)}>{t.templateId ?? ""}</div>
+              <div style={cell(i, loss)}>{t.sims}</div>
+              <div style={cell(i, loss)}>{money(t.revenue)}</div>
+              <div style={cell(i, loss)}>{money(t.resellerCost)}</div>
+              <div style={cell(i, loss)}>{money(t.margin)}</div>
+              <div style={cell(i, loss)}>{money(t.marginPerSim)}</div>
+              <div style={cell(i, loss)}>{t.avgGB.toFixed(2)}</div>
+              <div style={cell(i, loss)}>
+                {t.lossSims} ({pct(t.lossShare)}){t.incompleteRows ? ` ⚠ ${t.incompleteRows} incomplete` : ""}
+                {t.unconvertedSims ? ` ⚠ ${t.unconvertedSims} without FX rate` : ""}
+              </div>
+            </Fragment>
+          );
+        })}
+        {!data.length && <div style={{ ...cell(0), gridColumn:"1 / -1" }}>No rows loaded</div>}
+      </div>
+    </div>
+  );
+}
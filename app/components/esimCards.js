@@ -0,0 +1,112 @@
+// eSIM activation cards (browser only): QR code + install details on a branded card, as PNG or PDF,
+// one at a time or many in a ZIP. qrcode / jspdf / jszip are loaded on first use.
+
+import { lpaString } from "../../lib/esim";
+
+const CARD_W = 600, CARD_H = 860; // px at 1x; rendered at 2x for print
+
+export async function qrDataUrl(text, width = 320) {
+  const QRCode = (await import("qrcode")).default;
+  return QRCode.toDataURL(text, { errorCorrectionLevel: "M", margin: 1, width });
+}
+
+function loadImage(src) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous"; // a logo on another host must allow CORS, else it is left out
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+// long codes wrap at any character
+function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
+  let line = "";
+  for (const ch of String(text)) {
+    if (ctx.measureText(line + ch).width > maxWidth && line) { ctx.fillText(line, x, y); y += lineHeight; line = ""; }
+    line += ch;
+  }
+  if (line) ctx.fillText(line, x, y);
+  return y + lineHeight;
+}
+
+let logoPromise = null;
+
+export async function renderCard(row, { logoSrc = "/logo.png", scale = 2 } = {}) {
+  const lpa = lpaString(row);
+  if (!lpa) throw new Error(`No activation code for ${row?.iccid ?? "SIM"}`);
+  logoPromise ??= loadImage(logoSrc);
+  const [logo, qr] = await Promise.all([logoPromise, qrDataUrl(lpa, 360 * scale).then(loadImage)]);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = CARD_W * scale; canvas.height = CARD_H * scale;
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+  ctx.fillStyle = "#ffffff"; ctx.fillRect(0, 0, CARD_W, CARD_H);
+  ctx.fillStyle = "#eff4db"; ctx.fillRect(0, 0, CARD_W, 110);
+
+  if (logo) {
+    const h = 64, w = logo.width * (h / logo.height);
+    ctx.drawImage(logo, (CARD_W - w) / 2, 23, w, h);
+  }
+  ctx.fillStyle = "#000"; ctx.textAlign = "center";
+  ctx.font = "600 26px system-ui, sans-serif";
+  ctx.fillText("Your eSIM", CARD_W / 2, 155);
+  ctx.font = "15px system-ui, sans-serif";
+  ctx.fillText("Scan with your phone camera: Settings → Mobile data → Add eSIM", CARD_W / 2, 182);
+  if (qr) ctx.drawImage(qr, (CARD_W - 360) / 2, 200, 360, 360);
+
+  ctx.textAlign = "left";
+  let y = 600;
+  const field = (label, value) => {
+    ctx.font = "600 13px system-ui, sans-serif"; ctx.fillStyle = "#555"; ctx.fillText(label, 40, y);
+    ctx.font = "15px ui-monospace, monospace"; ctx.fillStyle = "#000";
+    y = wrapText(ctx, value ?? "", 40, y + 20, CARD_W - 80, 20) + 8;
+  };
+  field("ICCID", row.iccid);
+  field("SM-DP+ address", String(lpa).split("$")[1]);
+  field("Activation code", String(lpa).split("$")[2] ?? row.activationCode);
+  if (row.prepaidpackagetemplatename) field("Package", row.prepaidpackagetemplatename);
+  return canvas;
+}
+
+const canvasBlob = (canvas) => new Promise((resolve, reject) =>
+  canvas.toBlob(b => (b ? resolve(b) : reject(new Error("Cannot render card"))), "image/png"));
+
+export async function cardPng(row, opts) {
+  return canvasBlob(await renderCard(row, opts));
+}
+
+// A6 portrait page with the card image
+export async function cardPdf(row, opts) {
+  const { jsPDF } = await import("jspdf");
+  const canvas = await renderCard(row, opts);
+  const doc = new jsPDF({ unit: "mm", format: "a6" });
+  const w = 105 - 10, h = w * (CARD_H / CARD_W);
+  doc.addImage(canvas.toDataURL("image/png"), "PNG", 5, (148 - h) / 2, w, h);
+  doc.setProperties({ title: `eSIM ${row.iccid}` });
+  return doc.output("blob");
+}
+
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url; a.download = name; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ZIP with one card per SIM (png|pdf) plus index.csv (iccid, lpa); onProgress(done, total)
+export async function cardsZip(rows, { format = "pdf", onProgress, ...opts } = {}) {
+  const JSZip = (await import("jszip")).default;
+  const zip = new JSZip();
+  const index = ["iccid,lpa"];
+  let done = 0;
+  for (const row of rows) {
+    const blob = format === "png" ? await cardPng(row, opts) : await cardPdf(row, opts);
+    zip.file(`esim_${row.iccid}.${format}`, blob);
+    index.push(`"${row.iccid}","${lpaString(row)}"`);
+    onProgress?.(++done, rows.length);
+  }
+  zip.file("index.csv", index.join("\n"));
+  return zip.generateAsync({ type: "blob" });
+}
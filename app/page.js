@@ -1,8 +1,24 @@
 // app/page.js
 "use client";
 
-import React, { useEffect, useMemo, useState, Fragment } from "react";
-import * as XLSX from "xlsx";
+import React, { useEffect, useMemo, useRef, useState, Fragment } from "react";
+import { PERIOD_PRESETS, presetPeriod, sumTotals, totalsByAccount } from "../lib/reports";
+import TemplateReport from "./components/TemplateReport";
+import NetworkReport from "./components/NetworkReport";
+import AlertsPanel from "./components/AlertsPanel";
+import SubscriberActionDialog from "./components/SubscriberActionDialog";
+import SubscriberGrid from "./components/SubscriberGrid";
+import GridFilters from "./components/GridFilters";
+import ColumnChooser from "./components/ColumnChooser";
+import BulkTopup from "./components/BulkTopup";
+import EsimQrDialog from "./components/EsimQrDialog";
+import SnapshotHistory from "./components/SnapshotHistory";
+import { cardsZip, downloadBlob } from "./components/esimCards";
+import { hasActivation } from "../lib/esim";
+import { computeAlerts, DEFAULT_THRESHOLDS, resolveThresholds } from "../lib/alerts";
+import { streamNDJSON } from "../lib/ndjson";
+import { EMPTY_VIEW, applyView, viewToParams } from "../lib/gridView";
+import { COLUMN_KEYS, parseColumnKeys, resolveColumns } from "../lib/columns";
 
 // safe fetch
 async function safeFetch(url) {
@@ -14,143 +30,251 @@ async function safeFetch(url) {
 }
 
 // utils
-const bytesToGB = (b) => (b == null || isNaN(b)) ? "" : (Number(b) / (1024 ** 3)).toFixed(2);
 const money = (n) => (n == null || isNaN(n)) ? "" : Number(n).toFixed(2);
-const fmtDT = (s) => typeof s === "string" ? s.replace("T", " ") : s ?? "";
-
-// columns
-const columns = [
-  "ICCID","IMSI","phoneNumber","subscriberStatus","simStatus","esim","activationCode",
-  "activationDate","lastUsageDate","prepaid","balance","account","reseller","lastMcc","lastMnc",
-  "prepaidpackagetemplatename","prepaidpackagetemplateid","tsactivationutc","tsexpirationutc","pckdatabyte","useddatabyte","pckdata(GB)","used(GB)",
-  "subscriberOneTimeCost","usageSinceJun1(GB)","resellerCostSinceJun1"
+
+// dashboard tabs
+const TABS = [
+  ["subscribers", "Subscribers"],
+  ["templates", "Templates"],
+  ["networks", "Countries & networks"],
+  ["alerts", "Alerts"],
+  ["history", "History"],
+  ["bulk", "Bulk top-up"]
 ];
 
 export default function Page() {
-  const [accountId, setAccountId] = useState("3771");
+  const [accountId, setAccountId] = useState("");     // "" = server default (OCS_ACCOUNT_ID)
   const [rows, setRows] = useState([]);
-  const [q, setQ] = useState("");
+  const [view, setView] = useState(EMPTY_VIEW);         // grid search, typed filters and sort (lib/gridView)
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total } while rows are being enriched
   const [err, setErr] = useState("");
+  const [tab, setTab] = useState("subscribers");
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [me, setMe] = useState(null); // { username, role, canSeeCosts }
+  const showCosts = Boolean(me?.canSeeCosts);
+  const canManage = Boolean(me?.canManageSubscribers);
+  const [pendingAction, setPendingAction] = useState(null); // { row, action } while the confirm dialog is open
+  const [qrRow, setQrRow] = useState(null);                 // row whose eSIM QR dialog is open
+  const [cardsProgress, setCardsProgress] = useState(null); // { done, total } while building the ZIP
+  const [exporting, setExporting] = useState(null);         // "csv" | "xlsx" while the server builds the file
+  const [fx, setFx] = useState(null);                       // { reportingCurrency, defaultCurrency, rates }
+  const [columnKeys, setColumnKeys] = useState(COLUMN_KEYS); // grid / export columns in order (lib/columns)
+  const visibleColumns = useMemo(() => resolveColumns(columnKeys, { withCosts: showCosts }), [columnKeys, showCosts]);
+  const loadCtl = useRef(null);
 
-  const [accounts, setAccounts] = useState([]);
+  const [accounts, setAccounts] = useState([]);            // only the accounts this user may see
+  const [accountsLoaded, setAccountsLoaded] = useState(false);
   const [accountSearch, setAccountSearch] = useState("");
+  const [mode, setMode] = useState("single");          // single | multi (consolidated view)
+  const [multiIds, setMultiIds] = useState([]);        // checked in the picker
+  const [appliedIds, setAppliedIds] = useState([]);    // last "Load selected"
+  const [accountErrors, setAccountErrors] = useState([]);
+
+  const [preset, setPreset] = useState("thisMonth");
+  const [custom, setCustom] = useState(() => presetPeriod("thisMonth"));
+  const period = useMemo(() => preset === "custom" ? custom : presetPeriod(preset), [preset, custom]);
+  const [loadedPeriod, setLoadedPeriod] = useState(null); // period echoed back by the API
 
   const logoSrc = process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png";
 
   // load accounts (listResellerAccount → flattened in API)
   async function loadAccounts() {
-    const url = "/api/accounts";
-    const r = await fetch(url, { cache: "no-store" });
-    const t = await r.text(); let j=null; try{ j=t?JSON.parse(t):null; }catch{}
-    if (j?.ok && Array.isArray(j.data)) {
-      setAccounts(j.data);
-      if (!j.data.some(a => String(a.id) === String(accountId)) && j.data.length) {
-        setAccountId(String(j.data[0].id));
+    try {
+      const url = "/api/accounts";
+      const r = await fetch(url, { cache: "no-store" });
+      const t = await r.text(); let j=null; try{ j=t?JSON.parse(t):null; }catch{}
+      if (j?.ok && Array.isArray(j.data)) {
+        setAccounts(j.data);
+        if (!j.data.some(a => String(a.id) === String(accountId)) && j.data.length) {
+          setAccountId(String(j.data[0].id));
+        }
       }
+    } finally {
+      setAccountsLoaded(true);
     }
   }
   useEffect(() => { loadAccounts(); }, []);
 
-  // load data for selected account
+  useEffect(() => {
+    fetch("/api/me", { cache: "no-store" })
+      .then(r => {
+        // cookie still signed but the session was revoked or timed out server-side:
+        // clear it (else /login bounces straight back here) and sign in again
+        if (r.status === 401) logout();
+        return r.json();
+      })
+      .then(j => { if (j?.ok) setMe(j.data); })
+      .catch(() => {});
+  }, []);
+
+  // FX table: costs are converted into the reporting currency before totals are summed
+  useEffect(() => {
+    fetch("/api/fx", { cache: "no-store" })
+      .then(r => r.json())
+      .then(j => { if (j?.ok) setFx(j.data); })
+      .catch(() => {});
+  }, []);
+
+  // alert thresholds are remembered per browser
+  useEffect(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("alertThresholds") || "null");
+      if (saved) setThresholds(resolveThresholds(saved));
+    } catch {}
+  }, []);
+  function updateThresholds(t) {
+    setThresholds(t);
+    try { localStorage.setItem("alertThresholds", JSON.stringify(t)); } catch {}
+  }
+
+  // so are the grid columns (presets live on the server, see ColumnChooser)
+  useEffect(() => {
+    try {
+      const saved = localStorage.getItem("gridColumns");
+      if (saved) setColumnKeys(parseColumnKeys(JSON.parse(saved)));
+    } catch {}
+  }, []);
+  function updateColumns(keys) {
+    setColumnKeys(keys);
+    try { localStorage.setItem("gridColumns", JSON.stringify(keys)); } catch {}
+  }
+
+  // load data for selected account (streamed: subscriber list first, then one patch per enriched row)
   async function load() {
-    setErr(""); setLoading(true);
+    loadCtl.current?.abort();
+    const ctl = new AbortController();
+    loadCtl.current = ctl;
+    setErr(""); setLoading(true); setProgress(null); setAccountErrors([]);
+    let gotRows = false, finished = false;
     try {
       const url = new URL("/api/fetch-data", window.location.origin);
-      if (accountId) url.searchParams.set("accountId", String(accountId).trim());
-      const payload = await safeFetch(url.toString());
-      if (payload?.ok === false) throw new Error(payload.error || "API error");
-      setRows(Array.isArray(payload?.data) ? payload.data : []);
-      if (!Array.isArray(payload?.data)) setErr("No data array. Check env/token/accountId.");
+      if (mode === "multi") {
+        if (!appliedIds.length) { setRows([]); return; }
+        url.searchParams.set("accountIds", appliedIds.join(","));
+      } else if (accountId) url.searchParams.set("accountId", String(accountId).trim());
+      if (period.from) url.searchParams.set("from", period.from);
+      if (period.to) url.searchParams.set("to", period.to);
+      url.searchParams.set("stream", "1");
+      await streamNDJSON(url.toString(), (msgs) => {
+        const patches = [];
+        for (const m of msgs) {
+          if (m.type === "rows") {
+            gotRows = true;
+            setRows(Array.isArray(m.data) ? m.data : []);
+            setLoadedPeriod(m.period ?? null);
+            setProgress({ done: 0, total: m.data?.length ?? 0 });
+          } else if (m.type === "patch") patches.push(m);
+          else if (m.type === "error") throw new Error(m.error || "API error");
+          else if (m.type === "done") { finished = true; setAccountErrors(m.accountErrors ?? []); }
+        }
+        if (patches.length) {
+          setRows(prev => {
+            const next = prev.slice();
+            for (const p of patches) next[p.index] = { ...next[p.index], ...p.data };
+            return next;
+          });
+          setProgress(p => p && { ...p, done: p.done + patches.length });
+        }
+      }, ctl.signal);
+      if (!finished) throw new Error("Stream ended before all rows were enriched");
     } catch (e) {
-      setRows([]); setErr(e.message || "Failed");
-    } finally { setLoading(false); }
-  }
-  useEffect(() => { load(); }, [accountId]); // reload when account changes
-
-  // filter rows
-  const filtered = useMemo(() => {
-    const n = q.trim().toLowerCase();
-    if (!n) return rows;
-    return rows.filter(r => Object.values(r).some(v => String(v ?? "").toLowerCase().includes(n)));
-  }, [rows, q]);
-
-  // totals (current account) + PNL
-  const totals = useMemo(() => {
-    let totalReseller = 0;
-    let totalSubscriberOneTime = 0;
-    for (const r of rows) {
-      if (Number.isFinite(r?.resellerCostSinceJun1)) totalReseller += Number(r.resellerCostSinceJun1);
-      if (Number.isFinite(r?.subscriberOneTimeCost)) totalSubscriberOneTime += Number(r.subscriberOneTimeCost);
+      if (e.name === "AbortError") return;
+      if (!gotRows) setRows([]);
+      setErr(e.message || "Failed");
+    } finally {
+      if (loadCtl.current === ctl) { setLoading(false); setProgress(null); }
     }
-    const pnl = totalSubscriberOneTime - totalReseller;
-    return { totalReseller, totalSubscriberOneTime, pnl };
-  }, [rows]);
+  }
+  useEffect(() => {
+    if (mode === "single" && !accountsLoaded) return; // wait for the allowed accounts before picking one
+    load();
+  }, [mode, accountId, accountsLoaded, appliedIds, period.from, period.to]); // reload when account(s) or period change
+
+  // filter + sort rows (totals below stay over all loaded rows)
+  const filtered = useMemo(() => applyView(rows, view, { fx, withCosts: showCosts }), [rows, view, fx, showCosts]);
+  const statuses = useMemo(() => [...new Set(rows.map(r => r.subscriberStatus).filter(Boolean))].sort(), [rows]);
+  // header click: ascending, then descending, then unsorted
+  const toggleSort = (col) => setView(v => v.sort !== col ? { ...v, sort: col, dir: "asc" }
+    : v.dir === "asc" ? { ...v, dir: "desc" } : { ...v, sort: "", dir: "asc" });
+
+  // totals (all loaded accounts) + PNL, and the per-account breakdown in multi mode
+  const totals = useMemo(() => sumTotals(rows, fx), [rows, fx]);
+  const accountTotals = useMemo(() => mode === "multi" ? totalsByAccount(rows, fx) : [], [rows, mode, fx]);
+  const withCurrency = (n) => `${money(n)}${totals.currency ? ` ${totals.currency}` : ""}`;
+  const currencyBreakdown = Object.entries(totals.byCurrency);
+  const mixedCurrencies = currencyBreakdown.length > 1 || currencyBreakdown.some(([c]) => c !== totals.currency);
+  const alerts = useMemo(() => computeAlerts(rows, thresholds), [rows, thresholds]);
+  const visibleAccounts = accounts.filter(a => (a.name || "").toLowerCase().includes((accountSearch||"").toLowerCase()));
 
   // export buttons
-  function exportCSV() {
-    const headers = [...columns];
-    const lines = [headers.join(",")];
-    filtered.forEach(r => {
-      lines.push([
-        r.iccid ?? "", r.imsi ?? "", r.phoneNumber ?? "", r.subscriberStatus ?? "", r.simStatus ?? "", String(r.esim ?? ""),
-        r.activationCode ?? "", fmtDT(r.activationDate), fmtDT(r.lastUsageDate), String(r.prepaid ?? ""), r.balance ?? "",
-        r.account ?? "", r.reseller ?? "", r.lastMcc ?? "", r.lastMnc ?? "",
-        r.prepaidpackagetemplatename ?? "", r.prepaidpackagetemplateid ?? "", fmtDT(r.tsactivationutc), fmtDT(r.tsexpirationutc),
-        r.pckdatabyte ?? "", r.useddatabyte ?? "", bytesToGB(r.pckdatabyte), bytesToGB(r.useddatabyte),
-        money(r.subscriberOneTimeCost), bytesToGB(r.totalBytesSinceJun1), money(r.resellerCostSinceJun1)
-      ].map(x => `"${String(x).replace(/"/g, '""')}"`).join(","));
-    });
-    const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8" });
-    const url = URL.createObjectURL(blob); const a = document.createElement("a");
-    a.href = url; a.download = `teltrip_dashboard_${new Date().toISOString().slice(0,10)}.csv`; a.click(); URL.revokeObjectURL(url);
+  const exportName = (ext) => loadedPeriod
+    ? `teltrip_dashboard_${loadedPeriod.from}_${loadedPeriod.to}.${ext}`
+    : `teltrip_dashboard_${new Date().toISOString().slice(0,10)}.${ext}`;
+
+  // browser-side exports (eSIM cards / QR); tell the server so they land in the audit log
+  function recordExport(format, rowCount, extra = {}) {
+    fetch("/api/audit", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        format,
+        rows: rowCount,
+        tab,
+        ...(mode === "multi" ? { accountIds: appliedIds.join(",") } : { accountId }),
+        from: loadedPeriod?.from,
+        to: loadedPeriod?.to,
+        ...extra
+      })
+    }).catch(() => {});
+  }
+
+  // CSV / Excel are built on the server (/api/export) from the same selection, period, grid view and columns
+  async function exportFile(format) {
+    setExporting(format);
+    try {
+      const url = new URL("/api/export", window.location.origin);
+      url.searchParams.set("format", format);
+      if (mode === "multi") url.searchParams.set("accountIds", appliedIds.join(","));
+      else if (accountId) url.searchParams.set("accountId", String(accountId).trim());
+      const from = loadedPeriod?.from || period.from, to = loadedPeriod?.to || period.to;
+      if (from) url.searchParams.set("from", from);
+      if (to) url.searchParams.set("to", to);
+      for (const [k, v] of Object.entries(viewToParams(view))) url.searchParams.set(k, v);
+      url.searchParams.set("columns", columnKeys.join(","));
+      const r = await fetch(url.toString());
+      if (!r.ok) {
+        const j = await r.json().catch(() => null);
+        throw new Error(j?.error || `HTTP ${r.status}`);
+      }
+      const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1] || exportName(format);
+      downloadBlob(await r.blob(), name);
+    } catch (e) {
+      setErr(`Export ${format.toUpperCase()}: ${e.message}`);
+    } finally { setExporting(null); }
   }
 
-  function exportExcel() {
-    const data = filtered.map(r => ({
-      ICCID: r.iccid ?? "",
-      IMSI: r.imsi ?? "",
-      phoneNumber: r.phoneNumber ?? "",
-      subscriberStatus: r.subscriberStatus ?? "",
-      simStatus: r.simStatus ?? "",
-      esim: String(r.esim ?? ""),
-      activationCode: r.activationCode ?? "",
-      activationDate: fmtDT(r.activationDate),
-      lastUsageDate: fmtDT(r.lastUsageDate),
-      prepaid: String(r.prepaid ?? ""),
-      balance: r.balance ?? "",
-      account: r.account ?? "",
-      reseller: r.reseller ?? "",
-      lastMcc: r.lastMcc ?? "",
-      lastMnc: r.lastMnc ?? "",
-      prepaidpackagetemplatename: r.prepaidpackagetemplatename ?? "",
-      prepaidpackagetemplateid: r.prepaidpackagetemplateid ?? "",
-      tsactivationutc: fmtDT(r.tsactivationutc),
-      tsexpirationutc: fmtDT(r.tsexpirationutc),
-      pckdatabyte: r.pckdatabyte ?? "",
-      useddatabyte: r.useddatabyte ?? "",
-      "pckdata(GB)": bytesToGB(r.pckdatabyte),
-      "used(GB)": bytesToGB(r.useddatabyte),
-      subscriberOneTimeCost: money(r.subscriberOneTimeCost),
-      "usageSinceJun1(GB)": bytesToGB(r.totalBytesSinceJun1),
-      resellerCostSinceJun1: money(r.resellerCostSinceJun1)
-    }));
-    const ws = XLSX.utils.json_to_sheet(data);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "Teltrip");
-    XLSX.writeFile(wb, `teltrip_dashboard_${new Date().toISOString().slice(0,10)}.xlsx`);
+  // activation cards (PDF) for every filtered eSIM row, zipped
+  async function exportCards() {
+    const esims = filtered.filter(hasActivation);
+    if (!esims.length) { setErr("No eSIM rows with an activation code in the current list"); return; }
+    setCardsProgress({ done: 0, total: esims.length });
+    try {
+      const zip = await cardsZip(esims, { logoSrc, onProgress: (done, total) => setCardsProgress({ done, total }) });
+      downloadBlob(zip, exportName("zip").replace("teltrip_dashboard", "teltrip_esim_cards"));
+      recordExport("esim-zip", esims.length);
+    } catch (e) {
+      setErr(`eSIM cards: ${e.message}`);
+    } finally { setCardsProgress(null); }
   }
 
-  // styles
-  const colW = 170;
-  const headerBox = { padding:"10px 12px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", fontWeight:600, color:"#000" };
-  const cellBox = (i) => ({
-    padding:"10px 12px",
-    borderBottom:"1px solid #cbd5a7",
-    background: i%2? "#ffffff":"#f6fadf",
-    wordBreak:"break-all",
-    color:"#000"
-  });
+  // lifecycle action finished: swap in the refreshed row
+  function actionDone(row, refreshError) {
+    const { row: target } = pendingAction;
+    setPendingAction(null);
+    if (!row) { setErr(`Action done, but reloading ${target.iccid} failed: ${refreshError}`); return; }
+    setRows(prev => prev.map(r => r.iccid === target.iccid && String(r.accountId) === String(target.accountId) ? row : r));
+  }
 
   const logout = async () => {
     await fetch("/api/logout", { method: "POST" });
@@ -165,25 +289,50 @@ export default function Page() {
           <img src={logoSrc} alt="Teltrip" style={{ height: 48 }} />
           <h1 style={{ margin:0 }}>Teltrip Dashboard</h1>
         </div>
-        <button onClick={logout} style={{ padding:"8px 12px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", cursor:"pointer" }}>
-          Logout
-        </button>
+        <div style={{ display:"flex", alignItems:"center", gap:12 }}>
+          {me && <span style={{ fontSize:13 }}>{me.username} ({me.role})</span>}
+          {me?.role === "admin" && <a href="/admin/sessions" style={{ fontSize:13, color:"#000" }}>Sessions</a>}
+          {me?.role === "admin" && <a href="/admin/audit" style={{ fontSize:13, color:"#000" }}>Audit log</a>}
+          {me?.role === "admin" && <a href="/admin/reports" style={{ fontSize:13, color:"#000" }}>Reports</a>}
+          {me?.role === "admin" && <a href="/admin/fx" style={{ fontSize:13, color:"#000" }}>FX rates</a>}
+          {showCosts && <a href="/pnl" style={{ fontSize:13, color:"#000" }}>Monthly PNL</a>}
+          {showCosts && <a href="/billing" style={{ fontSize:13, color:"#000" }}>Billing</a>}
+          <button onClick={logout} style={{ padding:"8px 12px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", cursor:"pointer" }}>
+            Logout
+          </button>
+        </div>
       </div>
 
-      {/* ACCOUNTS: dropdown + refresh + filter */}
-      <div style={{ display:"grid", gridTemplateColumns:"280px auto 260px", gap:12, alignItems:"center", marginBottom:10 }}>
+      {/* ACCOUNTS: mode + dropdown + refresh + filter */}
+      <div style={{ display:"grid", gridTemplateColumns:"180px 280px auto 260px", gap:12, alignItems:"center", marginBottom:10 }}>
         <select
-          value={String(accountId)}
-          onChange={e=>{ setAccountId(e.target.value); }}
+          value={mode}
+          onChange={e=>setMode(e.target.value)}
           style={{ padding:"10px 12px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000", width:"100%" }}
         >
-          {accounts
-            .filter(a => (a.name || "").toLowerCase().includes((accountSearch||"").toLowerCase()))
-            .map(a => <option key={a.id} value={String(a.id)}>{a.name} — {a.id}</option>)
-          }
-          {accounts.length === 0 && <option>Loading accounts…</option>}
+          <option value="single">Single account</option>
+          <option value="multi">Multiple accounts</option>
         </select>
 
+        {mode === "single" ? (
+          <select
+            value={String(accountId)}
+            onChange={e=>{ setAccountId(e.target.value); }}
+            style={{ padding:"10px 12px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000", width:"100%" }}
+          >
+            {visibleAccounts.map(a => <option key={a.id} value={String(a.id)}>{a.name} — {a.id}</option>)}
+            {accounts.length === 0 && <option value={String(accountId)}>{accountsLoaded ? "No accounts available" : "Loading accounts…"}</option>}
+          </select>
+        ) : (
+          <button
+            onClick={() => setAppliedIds(multiIds.slice())}
+            disabled={!multiIds.length}
+            style={{ padding:"10px 12px", borderRadius:10, border:"1px solid #cbd5a7", background:"#cfeaa1", color:"#000", cursor:"pointer" }}
+          >
+            Load {multiIds.length} selected account{multiIds.length === 1 ? "" : "s"}
+          </button>
+        )}
+
         <button
           onClick={loadAccounts}
           style={{ padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer", justifySelf:"start" }}
@@ -199,8 +348,61 @@ export default function Page() {
         />
       </div>
 
+      {mode === "multi" && (
+        <div style={{ background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"8px 12px", marginBottom:10 }}>
+          <div style={{ display:"flex", gap:12, marginBottom:6, fontSize:13 }}>
+            <button onClick={() => setMultiIds(ids => Array.from(new Set([...ids, ...visibleAccounts.map(a => String(a.id))])))}>Select all shown</button>
+            <button onClick={() => setMultiIds([])}>Clear</button>
+          </div>
+          <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fill, minmax(260px, 1fr))", gap:4, maxHeight:180, overflowY:"auto", fontSize:13 }}>
+            {visibleAccounts.map(a => (
+              <label key={a.id} style={{ display:"flex", gap:6, alignItems:"center" }}>
+                <input
+                  type="checkbox"
+                  checked={multiIds.includes(String(a.id))}
+                  onChange={e => setMultiIds(ids => e.target.checked ? [...ids, String(a.id)] : ids.filter(x => x !== String(a.id)))}
+                />
+                {a.name} — {a.id}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* reporting period */}
+      <div style={{ display:"flex", gap:12, alignItems:"center", marginBottom:10 }}>
+        <b>Period:</b>
+        <select
+          value={preset}
+          onChange={e=>{
+            if (e.target.value === "custom") setCustom(period);
+            setPreset(e.target.value);
+          }}
+          style={{ padding:"10px 12px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000" }}
+        >
+          {PERIOD_PRESETS.map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <input
+          type="date"
+          value={period.from}
+          max={period.to}
+          disabled={preset !== "custom"}
+          onChange={e=>e.target.value && setCustom(c => ({ ...c, from: e.target.value }))}
+          style={{ padding:"8px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000" }}
+        />
+        <span>→</span>
+        <input
+          type="date"
+          value={period.to}
+          min={period.from}
+          disabled={preset !== "custom"}
+          onChange={e=>e.target.value && setCustom(c => ({ ...c, to: e.target.value }))}
+          style={{ padding:"8px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000" }}
+        />
+      </div>
+
       {/* top controls + totals + PNL */}
-      <header style={{ display:"grid", gridTemplateColumns:"auto 1fr auto auto 260px", gap:12, alignItems:"center", marginBottom:14 }}>
+      <header style={{ display:"grid", gridTemplateColumns:"auto 1fr auto auto auto 260px", gap:12, alignItems:"center", marginBottom:14 }}>
         <h2 style={{ margin:0, color:"#000" }}>Overview</h2>
 
         <div style={{
@@ -215,77 +417,169 @@ export default function Page() {
           color:"#000",
           whiteSpace:"nowrap"
         }}>
-          <div><b>Total Subscriber Cost:</b> {money(totals.totalSubscriberOneTime)}</div>
-          <div>|</div>
-          <div><b>Total Reseller Cost:</b> {money(totals.totalReseller)}</div>
-          <div>|</div>
-          <div><b>PNL:</b> {money(totals.pnl)}</div>
+          {showCosts ? (
+            <>
+              <div><b>Total Subscriber Cost:</b> {withCurrency(totals.totalSubscriberOneTime)}</div>
+              <div>|</div>
+              <div><b>Total Reseller Cost:</b> {withCurrency(totals.totalReseller)}</div>
+              <div>|</div>
+              <div><b>PNL:</b> {withCurrency(totals.pnl)}</div>
+            </>
+          ) : (
+            <div><b>SIMs:</b> {totals.sims}</div>
+          )}
+          {loadedPeriod && <div style={{ opacity:.7 }}>({loadedPeriod.from} → {loadedPeriod.to})</div>}
+          {totals.incompleteRows > 0 && (
+            <div style={{ color:"#900" }} title="Some OCS calls failed; these rows count as zero where data is missing">
+              ⚠ {showCosts ? "Partial PNL" : "Incomplete data"}: {totals.incompleteRows} row{totals.incompleteRows === 1 ? "" : "s"} incomplete
+            </div>
+          )}
         </div>
 
         <button onClick={load} disabled={loading}
           style={{ padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", background:"#cfeaa1", color:"#000", cursor:"pointer" }}>
-          {loading ? "Loading…" : "Reload"}
+          {loading ? (progress ? `${progress.done}/${progress.total} enriched` : "Loading…") : "Reload"}
+        </button>
+
+        <button onClick={exportCards} disabled={cardsProgress != null}
+          style={{ padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" }}>
+          {cardsProgress ? `Cards ${cardsProgress.done}/${cardsProgress.total}…` : "eSIM cards (ZIP)"}
         </button>
 
-        <button onClick={exportCSV}
+        <button onClick={() => exportFile("csv")} disabled={exporting != null}
           style={{ padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" }}>
-          Export CSV
+          {exporting === "csv" ? "Exporting…" : "Export CSV"}
         </button>
 
-        <button onClick={exportExcel}
+        <button onClick={() => exportFile("xlsx")} disabled={exporting != null}
           style={{ padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", background:"#bfe080", color:"#000", cursor:"pointer" }}>
-          Export Excel
+          {exporting === "xlsx" ? "Exporting…" : "Export Excel"}
         </button>
       </header>
 
+      {showCosts && (mixedCurrencies || totals.unconverted.length > 0) && (
+        <div style={{ background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"8px 12px", marginBottom:12, fontSize:13 }}>
+          <div style={{ display:"grid", gridTemplateColumns:"1fr repeat(3, 2fr)", gap:6, maxWidth:720 }}>
+            {["Currency","Subscriber Cost","Reseller Cost","PNL"].map(h => <b key={h}>{h}</b>)}
+            {currencyBreakdown.map(([c, t]) => (
+              <Fragment key={c}>
+                <div>{c}{totals.unconverted.includes(c) && <span style={{ color:"#900" }} title="No FX rate: left out of the converted totals"> ⚠ no rate</span>}</div>
+                <div>{money(t.totalSubscriberOneTime)}</div>
+                <div>{money(t.totalReseller)}</div>
+                <div style={{ color: t.pnl < 0 ? "#900" : "#000" }}>{money(t.pnl)}</div>
+              </Fragment>
+            ))}
+          </div>
+          <div style={{ opacity:.7, marginTop:6, fontSize:12 }}>
+            Totals above are converted to {totals.currency}{fx?.updatedAt ? ` (rates of ${fx.updatedAt.slice(0, 10)})` : ""}.
+          </div>
+        </div>
+      )}
+
+      {mode === "multi" && showCosts && accountTotals.length > 0 && (
+        <div style={{ background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"8px 12px", marginBottom:12, fontSize:13 }}>
+          <div style={{ display:"grid", gridTemplateColumns:"2fr repeat(5, 1fr)", gap:6 }}>
+            {["Account","SIMs",`Subscriber Cost (${totals.currency ?? ""})`,`Reseller Cost (${totals.currency ?? ""})`,`PNL (${totals.currency ?? ""})`,"Incomplete"].map(h => <b key={h}>{h}</b>)}
+            {accountTotals.map(t => (
+              <Fragment key={String(t.accountId)}>
+                <div>{t.accountName ?? ""} — {t.accountId}</div>
+                <div>{t.sims}</div>
+                <div>{money(t.totalSubscriberOneTime)}</div>
+                <div>{money(t.totalReseller)}</div>
+                <div style={{ color: t.pnl < 0 ? "#900" : "#000" }}>{money(t.pnl)}</div>
+                <div>{t.incompleteRows || ""}</div>
+              </Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {accountErrors.length > 0 && (
+        <div style={{ background:"#fff6e0", border:"1px solid #e5c98a", color:"#7a5200", padding:"10px 12px", borderRadius:10, marginBottom:12, fontSize:12 }}>
+          Skipped {accountErrors.length} account{accountErrors.length === 1 ? "" : "s"}: {accountErrors.map(a => `${a.accountName ?? a.accountId}: ${a.message}`).join("; ")}
+        </div>
+      )}
+
       {err && (
         <div style={{ background:"#ffefef", border:"1px solid '#e5a5a5'", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
           {err}
         </div>
       )}
 
-      {/* table */}
-      <div style={{ overflowX:"auto", border:"1px solid #cbd5a7", borderRadius:14 }}>
-        <div style={{ display:"grid", gridTemplateColumns:`repeat(${columns.length}, ${colW}px)`, gap:8, minWidth:columns.length*colW, fontSize:13 }}>
-          {columns.map(h=>(
-            <div key={h} style={headerBox}>{h}</div>
-          ))}
-
-          {filtered.map((r, i) => (
-            <Fragment key={r.iccid || i}>
-              <div style={cellBox(i)}>{r.iccid ?? ""}</div>
-              <div style={cellBox(i)}>{r.imsi ?? ""}</div>
-              <div style={cellBox(i)}>{r.phoneNumber ?? ""}</div>
-              <div style={cellBox(i)}>{r.subscriberStatus ?? ""}</div>
-              <div style={cellBox(i)}>{r.simStatus ?? ""}</div>
-              <div style={cellBox(i)}>{String(r.esim ?? "")}</div>
-              <div style={cellBox(i)}>{r.activationCode ?? ""}</div>
-              <div style={cellBox(i)}>{fmtDT(r.activationDate)}</div>
-              <div style={cellBox(i)}>{fmtDT(r.lastUsageDate)}</div>
-              <div style={cellBox(i)}>{String(r.prepaid ?? "")}</div>
-              <div style={cellBox(i)}>{r.balance ?? ""}</div>
-              <div style={cellBox(i)}>{r.account ?? ""}</div>
-              <div style={cellBox(i)}>{r.reseller ?? ""}</div>
-              <div style={cellBox(i)}>{r.lastMcc ?? ""}</div>
-              <div style={cellBox(i)}>{r.lastMnc ?? ""}</div>
-              <div style={cellBox(i)}>{r.prepaidpackagetemplatename ?? ""}</div>
-              <div style={cellBox(i)}>{r.prepaidpackagetemplateid ?? ""}</div>
-              <div style={cellBox(i)}>{fmtDT(r.tsactivationutc)}</div>
-              <div style={cellBox(i)}>{fmtDT(r.tsexpirationutc)}</div>
-              <div style={cellBox(i)}>{r.pckdatabyte ?? ""}</div>
-              <div style={cellBox(i)}>{r.useddatabyte ?? ""}</div>
-              <div style={cellBox(i)}>{bytesToGB(r.pckdatabyte)}</div>
-              <div style={cellBox(i)}>{bytesToGB(r.useddatabyte)}</div>
-              <div style={cellBox(i)}>{money(r.subscriberOneTimeCost)}</div>
-              <div style={cellBox(i)}>{bytesToGB(r.totalBytesSinceJun1)}</div>
-              <div style={cellBox(i)}>{money(r.resellerCostSinceJun1)}</div>
-            </Fragment>
-          ))}
-        </div>
+      {/* tabs */}
+      <div style={{ display:"flex", gap:8, marginBottom:10 }}>
+        {TABS.filter(([k]) => (showCosts || k !== "templates") && (canManage || k !== "bulk")).map(([k, label]) => (
+          <button
+            key={k}
+            onClick={() => setTab(k)}
+            style={{ padding:"8px 14px", borderRadius:10, border:"1px solid #cbd5a7", background: tab === k ? "#bfe080" : "#fff", color:"#000", cursor:"pointer", fontWeight: tab === k ? 600 : 400 }}
+          >
+            {k === "alerts" ? `${label} (${alerts.length})` : label}
+          </button>
+        ))}
       </div>
 
+      {/* table */}
+      {tab === "subscribers" && (
+        <>
+          <GridFilters
+            view={view}
+            onChange={setView}
+            statuses={statuses}
+            showCosts={showCosts}
+            currency={fx?.reportingCurrency}
+            shown={filtered.length}
+            total={rows.length}
+          />
+          <div style={{ background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:"8px 12px", marginBottom:10, fontSize:13 }}>
+            <ColumnChooser columnKeys={columnKeys} onChange={updateColumns} showCosts={showCosts} />
+          </div>
+          <SubscriberGrid
+            rows={filtered}
+            columns={visibleColumns}
+            sort={view.sort}
+            dir={view.dir}
+            onSort={toggleSort}
+            canManage={canManage}
+            busy={loading}
+            subscriberHref={r => `/subscriber/${encodeURIComponent(r.iccid)}?accountId=${encodeURIComponent(r.accountId ?? accountId)}&from=${period.from}&to=${period.to}`}
+            onQr={setQrRow}
+            onAction={(row, action) => setPendingAction({ row, action })}
+          />
+        </>
+      )}
+
+      {pendingAction && (
+        <SubscriberActionDialog
+          row={pendingAction.row}
+          action={pendingAction.action}
+          period={loadedPeriod ?? period}
+          onDone={actionDone}
+          onClose={() => setPendingAction(null)}
+        />
+      )}
+
+      {qrRow && <EsimQrDialog row={qrRow} logoSrc={logoSrc} onExport={recordExport} onClose={() => setQrRow(null)} />}
+
+      {tab === "templates" && showCosts && <TemplateReport rows={rows} fx={fx} />}
+
+      {tab === "networks" && <NetworkReport rows={rows} fx={fx} showCosts={showCosts} />}
+
+      {tab === "alerts" && <AlertsPanel alerts={alerts} thresholds={thresholds} onThresholdsChange={updateThresholds} />}
+
+      {tab === "history" && <SnapshotHistory accountId={mode === "single" ? accountId : ""} showCosts={showCosts} />}
+
+      {tab === "bulk" && canManage && (
+        <BulkTopup
+          selection={mode === "multi" ? { accountIds: appliedIds } : { accountId }}
+          selectionLabel={mode === "multi"
+            ? `${appliedIds.length} selected account${appliedIds.length === 1 ? "" : "s"}`
+            : `account ${accounts.find(a => String(a.id) === String(accountId))?.name ?? accountId}`}
+        />
+      )}
+
       <p style={{ opacity:.7, marginTop:10, fontSize:12, color:"#000" }}>
-        Costs: package one-time from template; reseller cost aggregated since <b>2025-06-01</b>. PNL = Subscriber One-Time − Reseller Cost.
+        Costs: package one-time from template; reseller cost aggregated from <b>{loadedPeriod?.from ?? period.from}</b> to <b>{loadedPeriod?.to ?? period.to}</b>. PNL = Subscriber One-Time − Reseller Cost.
       </p>
     </main>
   );
@@ -0,0 +1,225 @@
+// app/pnl/page.js
+"use client";
+
+import React, { useEffect, useMemo, useState } from "react";
+import { bytesToGB, fmtDT } from "../../lib/columns";
+
+const money = (n) => Number(n ?? 0).toFixed(2);
+const MAX_SIMS = 500; // rendered at once; search to narrow down
+
+// first day of the month two months back: a quarter up to today by default
+function defaultFrom() {
+  const d = new Date();
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 2, 1)).toISOString().slice(0, 10);
+}
+
+export default function PnlPage() {
+  const [accounts, setAccounts] = useState([]);
+  const [selection, setSelection] = useState("");
+  const [from, setFrom] = useState(defaultFrom);
+  const [to, setTo] = useState(() => new Date().toISOString().slice(0, 10));
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+  const [q, setQ] = useState("");
+  const [open, setOpen] = useState(() => new Set()); // ICCIDs with the package history expanded
+
+  useEffect(() => {
+    fetch("/api/accounts", { cache: "no-store" }).then(r => r.json()).then(j => {
+      if (!j?.ok) return;
+      setAccounts(j.data || []);
+      if (j.data?.length) setSelection(s => s || String(j.data[0].id));
+    }).catch(() => {});
+  }, []);
+
+  async function load(e) {
+    e?.preventDefault();
+    setErr(""); setLoading(true);
+    try {
+      const params = new URLSearchParams({ from, to });
+      if (selection === "all") params.set("all", "1"); else params.set("accountId", selection);
+      const res = await fetch(`/api/pnl?${params}`, { cache: "no-store" });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      setData(j.data); setOpen(new Set());
+    } catch (e) { setErr(e.message || "Failed"); } finally { setLoading(false); }
+  }
+
+  const sims = useMemo(() => {
+    const needle = q.trim().toLowerCase();
+    const list = data?.sims ?? [];
+    return needle ? list.filter(s => `${s.iccid ?? ""} ${s.accountName ?? ""}`.toLowerCase().includes(needle)) : list;
+  }, [data, q]);
+
+  const toggle = (iccid) => setOpen(prev => {
+    const next = new Set(prev);
+    if (next.has(iccid)) next.delete(iccid); else next.add(iccid);
+    return next;
+  });
+
+  const btn = { padding:"6px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#e6f3c2", color:"#000", cursor:"pointer" };
+  const input = { padding:"6px 8px", borderRadius:8, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const th = { textAlign:"left", padding:"8px 10px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7", whiteSpace:"nowrap" };
+  const td = { padding:"6px 10px", borderBottom:"1px solid #cbd5a7", background:"#fff", verticalAlign:"top" };
+  const num = { ...td, textAlign:"right", whiteSpace:"nowrap" };
+  const pnlCell = (v, bold) => <td style={{ ...num, color: v < 0 ? "#900" : "#000", fontWeight: bold ? 600 : 400 }}>{money(v)}</td>;
+  const table = { width:"100%", borderCollapse:"collapse", fontSize:13, border:"1px solid #cbd5a7", marginBottom:20 };
+  const months = data?.months ?? [];
+
+  return (
+    <main style={{ padding: 24, maxWidth: 1400, margin: "0 auto", background:"#eff4db", color:"#000" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:12, marginBottom:12 }}>
+        <img src={process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png"} alt="Teltrip" style={{ height: 40 }} />
+        <h1 style={{ margin:0, fontSize:24 }}>Monthly PNL</h1>
+        <a href="/" style={{ marginLeft:"auto", color:"#000" }}>← Back to dashboard</a>
+      </div>
+
+      <form onSubmit={load} style={{ display:"flex", flexWrap:"wrap", alignItems:"center", gap:10, marginBottom:12, fontSize:13 }}>
+        <select value={selection} onChange={e => setSelection(e.target.value)} style={input}>
+          {accounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.id})</option>)}
+          {accounts.length > 1 && <option value="all">All accounts</option>}
+        </select>
+        <label>From <input type="date" value={from} onChange={e => setFrom(e.target.value)} required style={input} /></label>
+        <label>To <input type="date" value={to} onChange={e => setTo(e.target.value)} required style={input} /></label>
+        <button type="submit" disabled={loading || !selection} style={btn}>{loading ? "Loading…" : "Load"}</button>
+      </form>
+      <p style={{ fontSize:13, marginTop:0 }}>
+        Revenue is the one-time cost of every package a SIM had activated in the period, counted in the month it
+        was activated. Cost is the reseller cost of the usage in each month. Both are converted into the reporting
+        currency with the <a href="/admin/fx" style={{ color:"#000" }}>FX rates</a>.
+      </p>
+
+      {err && (
+        <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
+          {err}
+        </div>
+      )}
+
+      {data && (
+        <>
+          {(data.unconverted.length > 0 || data.total.incompleteRows > 0 || data.accountErrors.length > 0) && (
+            <div style={{ background:"#fff7e0", border:"1px solid #e5cf8f", padding:"10px 12px", borderRadius:10, marginBottom:12, fontSize:13 }}>
+              {data.unconverted.length > 0 && <div>No FX rate for {data.unconverted.join(", ")}: those amounts are left out.</div>}
+              {data.total.incompleteRows > 0 && <div>{data.total.incompleteRows} SIM(s) could not be fully loaded; their figures may be too low.</div>}
+              {data.accountErrors.map(a => <div key={a.accountId}>Account {a.accountName || a.accountId} skipped: {a.message}</div>)}
+            </div>
+          )}
+
+          <h2 style={{ fontSize:18 }}>Total ({data.period.from} – {data.period.to}, {data.currency})</h2>
+          <table style={table}>
+            <thead>
+              <tr><th style={th}></th>{months.map(m => <th key={m} style={{ ...th, textAlign:"right" }}>{m}</th>)}<th style={{ ...th, textAlign:"right" }}>Period</th></tr>
+            </thead>
+            <tbody>
+              {["revenue", "cost"].map(k => (
+                <tr key={k}>
+                  <td style={td}>{k === "revenue" ? "Revenue" : "Reseller cost"}</td>
+                  {months.map(m => <td key={m} style={num}>{money(data.total.byMonth[m][k])}</td>)}
+                  <td style={num}>{money(data.total[k])}</td>
+                </tr>
+              ))}
+              <tr>
+                <td style={{ ...td, fontWeight:600 }}>PNL</td>
+                {months.map(m => <React.Fragment key={m}>{pnlCell(data.total.byMonth[m].pnl, true)}</React.Fragment>)}
+                {pnlCell(data.total.pnl, true)}
+              </tr>
+            </tbody>
+          </table>
+
+          <h2 style={{ fontSize:18 }}>PNL per account</h2>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Account</th><th style={{ ...th, textAlign:"right" }}>SIMs</th>
+                {months.map(m => <th key={m} style={{ ...th, textAlign:"right" }}>{m}</th>)}
+                <th style={{ ...th, textAlign:"right" }}>Revenue</th><th style={{ ...th, textAlign:"right" }}>Cost</th><th style={{ ...th, textAlign:"right" }}>PNL</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.accounts.map(a => (
+                <tr key={a.accountId ?? a.accountName}>
+                  <td style={td}>{a.accountName ? `${a.accountName} (${a.accountId})` : a.accountId}</td>
+                  <td style={num}>{a.sims}</td>
+                  {months.map(m => <React.Fragment key={m}>{pnlCell(a.byMonth[m].pnl)}</React.Fragment>)}
+                  <td style={num}>{money(a.revenue)}</td>
+                  <td style={num}>{money(a.cost)}</td>
+                  {pnlCell(a.pnl, true)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ display:"flex", alignItems:"center", gap:12 }}>
+            <h2 style={{ fontSize:18 }}>PNL per SIM</h2>
+            <input value={q} onChange={e => setQ(e.target.value)} placeholder="Search ICCID or account…" style={{ ...input, width:260 }} />
+            <span style={{ fontSize:12, opacity:.7 }}>
+              Loss-making SIMs first{sims.length > MAX_SIMS ? `; showing ${MAX_SIMS} of ${sims.length}` : ""}
+            </span>
+          </div>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>ICCID</th><th style={th}>Account</th><th style={th}>Status</th>
+                {months.map(m => <th key={m} style={{ ...th, textAlign:"right" }}>{m}</th>)}
+                <th style={{ ...th, textAlign:"right" }}>Revenue</th><th style={{ ...th, textAlign:"right" }}>Cost</th><th style={{ ...th, textAlign:"right" }}>PNL</th>
+                <th style={th}>Packages</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sims.slice(0, MAX_SIMS).map(s => (
+                <React.Fragment key={s.iccid}>
+                  <tr>
+                    <td style={td}>
+                      <a href={`/subscriber/${encodeURIComponent(s.iccid)}?accountId=${encodeURIComponent(s.accountId)}&from=${data.period.from}&to=${data.period.to}`} style={{ color:"#000" }}>{s.iccid}</a>
+                      {s.incomplete && <span style={{ color:"#900" }} title="Could not be fully loaded"> ⚠</span>}
+                    </td>
+                    <td style={td}>{s.accountName ?? s.accountId}</td>
+                    <td style={td}>{s.status}</td>
+                    {months.map(m => <React.Fragment key={m}>{pnlCell(s.byMonth[m].pnl)}</React.Fragment>)}
+                    <td style={num}>{money(s.revenue)}</td>
+                    <td style={num}>{money(s.cost)}</td>
+                    {pnlCell(s.pnl, true)}
+                    <td style={td}>
+                      {s.packages.length
+                        ? <button onClick={() => toggle(s.iccid)} style={{ ...btn, padding:"2px 8px" }}>{open.has(s.iccid) ? "Hide" : "Show"} ({s.packages.length})</button>
+                        : "—"}
+                    </td>
+                  </tr>
+                  {open.has(s.iccid) && (
+                    <tr>
+                      <td colSpan={months.length + 7} style={{ ...td, background:"#f7faec" }}>
+                        <table style={{ borderCollapse:"collapse", fontSize:12 }}>
+                          <thead>
+                            <tr>
+                              {["Package", "Activated (UTC)", "Expires (UTC)", "Data GB", "Used GB", "One-time cost", "Revenue month"].map(h => (
+                                <th key={h} style={{ ...th, padding:"4px 8px" }}>{h}</th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {s.packages.map((p, i) => (
+                              <tr key={p.subscriberprepaidpackageid ?? i}>
+                                <td style={{ ...td, padding:"4px 8px" }}>{p.prepaidpackagetemplatename ?? p.prepaidpackagetemplateid ?? "?"}</td>
+                                <td style={{ ...td, padding:"4px 8px" }}>{fmtDT(p.tsactivationutc)}</td>
+                                <td style={{ ...td, padding:"4px 8px" }}>{fmtDT(p.tsexpirationutc)}</td>
+                                <td style={{ ...num, padding:"4px 8px" }}>{bytesToGB(p.pckdatabyte)}</td>
+                                <td style={{ ...num, padding:"4px 8px" }}>{bytesToGB(p.useddatabyte)}</td>
+                                <td style={{ ...num, padding:"4px 8px" }}>{p.cost == null ? "—" : `${money(p.cost)} ${p.currency ?? ""}`}</td>
+                                <td style={{ ...td, padding:"4px 8px" }}>{p.revenueMonth ?? "before the period"}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {!sims.length && <tr><td colSpan={months.length + 7} style={{ ...td, textAlign:"center", opacity:.7 }}>No SIMs</td></tr>}
+            </tbody>
+          </table>
+        </>
+      )}
+    </main>
+  );
+}
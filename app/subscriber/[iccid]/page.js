@@ -0,0 +1,140 @@
+// app/subscriber/[iccid]/page.js
+"use client";
+
+import React, { useEffect, useState } from "react";
+import BarChart from "../../components/BarChart";
+
+const bytesToGB = (b) => (b == null || isNaN(b)) ? "" : (Number(b) / (1024 ** 3)).toFixed(2);
+const money = (n) => (n == null || isNaN(n)) ? "" : Number(n).toFixed(2);
+const fmtDT = (s) => typeof s === "string" ? s.replace("T", " ") : s ?? "";
+const dateOf = (s) => typeof s === "string" ? s.slice(0, 10) : null;
+
+export default function SubscriberPage({ params, searchParams }) {
+  const iccid = decodeURIComponent(params.iccid);
+  const accountId = searchParams?.accountId || "";
+  const [from, setFrom] = useState(searchParams?.from || "");
+  const [to, setTo] = useState(searchParams?.to || "");
+  const [granularity, setGranularity] = useState(searchParams?.granularity || "day");
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function load() {
+    setErr(""); setLoading(true);
+    try {
+      const url = new URL(`/api/subscriber/${encodeURIComponent(iccid)}`, window.location.origin);
+      if (accountId) url.searchParams.set("accountId", accountId);
+      if (from) url.searchParams.set("from", from);
+      if (to) url.searchParams.set("to", to);
+      url.searchParams.set("granularity", granularity);
+      const res = await fetch(url.toString(), { cache: "no-store" });
+      const j = await res.json().catch(() => null);
+      if (!j?.ok) throw new Error(j?.error || `HTTP ${res.status}`);
+      setData(j.data);
+      if (!from) setFrom(j.data.period.from);
+      if (!to) setTo(j.data.period.to);
+    } catch (e) {
+      setData(null); setErr(e.message || "Failed");
+    } finally { setLoading(false); }
+  }
+  useEffect(() => { load(); }, [from, to, granularity]);
+
+  const series = data?.series ?? [];
+  const label = (w) => granularity === "day" ? w.start.slice(5) : `${w.start.slice(5)}…${w.end.slice(5)}`;
+  const markers = (data?.packages ?? []).flatMap(p => [
+    dateOf(p.tsactivationutc) && { date: dateOf(p.tsactivationutc), label: `▶ ${p.prepaidpackagetemplatename ?? "package"}`, color: "#2e7d32" },
+    dateOf(p.tsexpirationutc) && { date: dateOf(p.tsexpirationutc), label: `■ ${p.prepaidpackagetemplatename ?? "package"}`, color: "#c0392b" }
+  ].filter(Boolean));
+
+  const sumBytes = series.reduce((a, w) => a + (Number.isFinite(w.bytes) ? w.bytes : 0), 0);
+  const sumCost = series.reduce((a, w) => a + (Number.isFinite(w.resellerCost) ? w.resellerCost : 0), 0);
+  const hasCosts = series.some(w => w.resellerCost != null); // null for roles without cost access
+  const costCurrency = series.find(w => w.currency)?.currency ?? "";
+
+  const input = { padding:"8px 10px", borderRadius:10, border:"1px solid #cbd5a7", background:"#fff", color:"#000" };
+  const th = { textAlign:"left", padding:"8px 10px", background:"#eaf6c9", borderBottom:"1px solid #cbd5a7" };
+  const td = { padding:"6px 10px", borderBottom:"1px solid #cbd5a7", background:"#fff" };
+
+  return (
+    <main style={{ padding: 24, maxWidth: 1400, margin: "0 auto", background:"#eff4db", color:"#000" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:12, marginBottom:12 }}>
+        <img src={process.env.NEXT_PUBLIC_LOGO_URL || "/logo.png"} alt="Teltrip" style={{ height: 40 }} />
+        <h1 style={{ margin:0, fontSize:24 }}>SIM {iccid}</h1>
+        <a href="/" style={{ marginLeft:"auto", color:"#000" }}>← Back to dashboard</a>
+      </div>
+
+      <div style={{ display:"flex", gap:12, alignItems:"center", marginBottom:14 }}>
+        <input type="date" value={from} max={to || undefined} onChange={e=>e.target.value && setFrom(e.target.value)} style={input} />
+        <span>→</span>
+        <input type="date" value={to} min={from || undefined} onChange={e=>e.target.value && setTo(e.target.value)} style={input} />
+        <select value={granularity} onChange={e=>setGranularity(e.target.value)} style={input}>
+          <option value="day">Per day</option>
+          <option value="week">Per week</option>
+        </select>
+        <button onClick={load} disabled={loading} style={{ ...input, background:"#cfeaa1", cursor:"pointer" }}>
+          {loading ? "Loading…" : "Reload"}
+        </button>
+      </div>
+
+      {err && (
+        <div style={{ background:"#ffefef", border:"1px solid #e5a5a5", color:"#900", padding:"10px 12px", borderRadius:10, marginBottom:12, whiteSpace:"pre-wrap", fontSize:12 }}>
+          {err}
+        </div>
+      )}
+
+      {data && (
+        <>
+          <p style={{ margin:"0 0 12px" }}>
+            <b>Status:</b> {data.subscriber.subscriberStatus ?? "—"} · <b>SIM:</b> {data.subscriber.simStatus ?? "—"} ·{" "}
+            <b>Phone:</b> {data.subscriber.phoneNumber ?? "—"} · <b>Last usage:</b> {fmtDT(data.subscriber.lastUsageDate) || "—"} ·{" "}
+            <b>Period total:</b> {bytesToGB(sumBytes)} GB{hasCosts && ` / ${money(sumCost)}${costCurrency ? ` ${costCurrency}` : ""} reseller cost`}
+          </p>
+
+          <h3>Data usage (GB)</h3>
+          <BarChart
+            points={series.map(w => ({ label: label(w), start: w.start, end: w.end, value: Number.isFinite(w.bytes) ? w.bytes / (1024 ** 3) : null }))}
+            markers={markers}
+            format={(v) => v.toFixed(2)}
+          />
+
+          {hasCosts && (
+            <>
+              <h3>Reseller cost</h3>
+              <BarChart
+                points={series.map(w => ({ label: label(w), start: w.start, end: w.end, value: w.resellerCost }))}
+                markers={markers}
+                format={(v) => v.toFixed(2)}
+                color="#6b9bd1"
+              />
+            </>
+          )}
+
+          <h3>Packages</h3>
+          <table style={{ borderCollapse:"collapse", width:"100%", fontSize:13 }}>
+            <thead>
+              <tr>{["template","templateId","activation","expiration","pckdata(GB)","used(GB)"].map(h => <th key={h} style={th}>{h}</th>)}</tr>
+            </thead>
+            <tbody>
+              {data.packages.map((p, i) => (
+                <tr key={i}>
+                  <td style={td}>{p.prepaidpackagetemplatename ?? ""}</td>
+                  <td style={td}>{p.prepaidpackagetemplateid ?? ""}</td>
+                  <td style={td}>{fmtDT(p.tsactivationutc)}</td>
+                  <td style={td}>{fmtDT(p.tsexpirationutc)}</td>
+                  <td style={td}>{bytesToGB(p.pckdatabyte)}</td>
+                  <td style={td}>{bytesToGB(p.useddatabyte)}</td>
+                </tr>
+              ))}
+              {!data.packages.length && <tr><td style={td} colSpan={6}>No packages</td></tr>}
+            </tbody>
+          </table>
+
+          <h3>subscriberUsageOverPeriod totals ({data.period.from} → {data.period.to})</h3>
+          <pre style={{ background:"#fff", border:"1px solid #cbd5a7", borderRadius:10, padding:12, fontSize:12, overflowX:"auto" }}>
+            {JSON.stringify(data.totals, null, 2)}
+          </pre>
+        </>
+      )}
+    </main>
+  );
+}
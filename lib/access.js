@@ -0,0 +1,85 @@
+// Per-user data scope: which resellers / accounts a user may load.
+// admin and users flagged allAccounts see everything; everyone else only the accounts of their
+// resellerIds plus their explicit accountIds (no scope = no data).
+
+import { accountsFromQuery, listAccounts, listResellerAccounts } from "./accounts.js";
+import { resolveAccountId } from "./teltrip.js";
+
+const TTL_MS = 5 * 60_000;
+const listCache = new Map(); // resellerId|"all" -> { at, accounts }
+
+function forbidden(message) { const e = new Error(message); e.status = 403; return e; }
+
+// A reseller's accounts come from the strict reseller lookup: an empty or unknown reseller grants
+// nothing. The tenant-wide list (with fallbacks) only names explicitly granted accounts.
+async function cachedList(resellerId) {
+  const key = resellerId ?? "all";
+  const hit = listCache.get(key);
+  if (hit && Date.now() - hit.at < TTL_MS) return hit.accounts;
+  const accounts = resellerId == null
+    ? (await listAccounts()).map(a => ({ ...a, resellerId: a.resellerId ?? null }))
+    : await listResellerAccounts(resellerId);
+  listCache.set(key, { at: Date.now(), accounts });
+  return accounts;
+}
+
+export const isUnrestricted = (user) => user?.role === "admin" || user?.allAccounts === true;
+
+const idSet = (list) => new Set((list || []).map(String));
+
+// -> null when unrestricted, else [{ id, name, resellerId, resellerName }]
+export async function allowedAccounts(user) {
+  if (isUnrestricted(user)) return null;
+  const out = new Map();
+  for (const rid of user.resellerIds || []) {
+    for (const a of await cachedList(Number(rid))) out.set(String(a.id), a);
+  }
+  const explicit = [...idSet(user.accountIds)].filter(id => !out.has(id));
+  if (explicit.length) {
+    const all = await cachedList(undefined).catch(() => []);
+    for (const id of explicit) {
+      out.set(id, all.find(a => String(a.id) === id) ?? { id: Number(id), name: `Account ${id}`, resellerId: null, resellerName: null });
+    }
+  }
+  return Array.from(out.values());
+}
+
+export function assertResellerAccess(user, resellerId) {
+  if (resellerId == null || isUnrestricted(user)) return;
+  if (!idSet(user.resellerIds).has(String(resellerId))) throw forbidden(`No access to reseller ${resellerId}`);
+}
+
+// Throws 403 unless every id is within the user's scope
+export async function assertAccountAccess(user, accountIds) {
+  if (isUnrestricted(user)) return;
+  const allowed = idSet((await allowedAccounts(user)).map(a => a.id));
+  const denied = accountIds.map(String).filter(id => !allowed.has(id));
+  if (denied.length) throw forbidden(`No access to account${denied.length > 1 ? "s" : ""} ${denied.join(", ")}`);
+}
+
+// Keep only accounts within the user's scope (used for "all accounts" style listings)
+export async function filterAllowed(user, accounts) {
+  if (isUnrestricted(user)) return accounts;
+  const allowed = idSet((await allowedAccounts(user)).map(a => a.id));
+  return accounts.filter(a => allowed.has(String(a.id)));
+}
+
+// Account selection of a data request (?accountId= | ?accountIds= | ?all=1[&resellerId=]) checked
+// against the user's scope -> { accountId, accounts } (accounts null in single-account mode)
+export async function scopedSelection(user, searchParams) {
+  if (searchParams.get("all") === "1" && !isUnrestricted(user)) {
+    const resellerId = searchParams.get("resellerId");
+    assertResellerAccess(user, resellerId);
+    const allowed = (await allowedAccounts(user)).filter(a => !resellerId || String(a.resellerId) === resellerId);
+    if (!allowed.length) throw forbidden("No accounts available");
+    return { accountId: undefined, accounts: allowed.map(a => ({ id: a.id, name: a.name })) };
+  }
+  const accounts = await accountsFromQuery(searchParams);
+  if (accounts) {
+    await assertAccountAccess(user, accounts.map(a => a.id));
+    return { accountId: undefined, accounts };
+  }
+  const accountId = resolveAccountId(searchParams.get("accountId") || undefined);
+  await assertAccountAccess(user, [accountId]);
+  return { accountId, accounts: null };
+}
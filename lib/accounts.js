@@ -0,0 +1,98 @@
+// Account discovery: listResellerAccount (flattened) with fallbacks for tenants exposing other shapes.
+
+import { callOCS } from "./ocs.js";
+
+// ?resellerId= when numeric, else env OCS_RESELLER_ID, else undefined (all resellers)
+export function resolveResellerId(q) {
+  if (q && /^\d+$/.test(q)) return Number(q);
+  if (process.env.OCS_RESELLER_ID && /^\d+$/.test(process.env.OCS_RESELLER_ID)) {
+    return Number(process.env.OCS_RESELLER_ID);
+  }
+  return undefined;
+}
+
+export function flattenResellerAccounts(resp) {
+  // Expected shape:
+  // resp.listResellerAccount.reseller[] -> { id, name, account: [{ id, name, ... }, ...] }
+  const resellers = resp?.listResellerAccount?.reseller;
+  if (!Array.isArray(resellers)) return [];
+  const out = [];
+  for (const r of resellers) {
+    const accounts = Array.isArray(r?.account) ? r.account : [];
+    for (const a of accounts) {
+      const id = a?.id ?? a?.accountId;
+      const name = a?.name ?? a?.accountName ?? (id ? `Account ${id}` : null);
+      if (id && name) out.push({ id, name, resellerId: r?.id ?? null, resellerName: r?.name ?? null });
+    }
+  }
+  return out;
+}
+
+// Accounts of one reseller, for access scoping: listResellerAccount only, no fallbacks, and only
+// accounts the OCS files under that reseller -> [{ id, name, resellerId, resellerName }] (may be empty)
+export async function listResellerAccounts(resellerId) {
+  const resp = await callOCS({ listResellerAccount: { resellerId } });
+  return flattenResellerAccounts(resp).filter(a => String(a.resellerId) === String(resellerId));
+}
+
+// -> [{ id, name, resellerId?, resellerName? }]
+export async function listAccounts(resellerId) {
+  // 1) Per guide: listResellerAccount (all or specific reseller)
+  const primary = resellerId
+    ? await callOCS({ listResellerAccount: { resellerId } })
+    : await callOCS({ listResellerAccount: {} });
+
+  let accounts = flattenResellerAccounts(primary);
+
+  // 2) Fallbacks for tenants exposing different shapes
+  if (accounts.length === 0) {
+    const tries = [
+      { body: { listAccount: {} }, pick: r => r?.listAccount?.accounts },
+      { body: { listAccounts: {} }, pick: r => r?.listAccounts?.accounts },
+      { body: { listResellerAccounts: {} }, pick: r => r?.listResellerAccounts?.accounts },
+      { body: { listCustomerAccounts: {} }, pick: r => r?.listCustomerAccounts?.accounts }
+    ];
+    for (const t of tries) {
+      try {
+        const r = await callOCS(t.body, { retries: 0 }); // probing: unknown ops fail fast
+        const arr = t.pick(r);
+        if (Array.isArray(arr) && arr.length) {
+          accounts = arr
+            .map(a => ({
+              id: a?.accountId ?? a?.id,
+              name: a?.accountName ?? a?.name ?? (a?.id ? `Account ${a.id}` : null)
+            }))
+            .filter(a => a.id && a.name);
+          break;
+        }
+      } catch {}
+    }
+  }
+
+  // 3) Ultimate fallback so UI still works
+  if (accounts.length === 0 && process.env.OCS_ACCOUNT_ID) {
+    try {
+      const accId = Number(process.env.OCS_ACCOUNT_ID);
+      const ls = await callOCS({ listSubscriber: { accountId: accId } });
+      const subs = ls?.listSubscriber?.subscriberList || [];
+      const name = subs?.[0]?.account || `Account ${accId}`;
+      accounts = [{ id: accId, name }];
+    } catch {}
+  }
+
+  return accounts;
+}
+
+// Multi-account selection from a query string: ?accountIds=1,2,3 or ?all=1[&resellerId=…].
+// Returns [{ id, name? }], or null when neither is given (single-account mode).
+export async function accountsFromQuery(searchParams) {
+  if (searchParams.get("all") === "1") {
+    const accounts = await listAccounts(resolveResellerId(searchParams.get("resellerId")));
+    return accounts.map(a => ({ id: a.id, name: a.name }));
+  }
+  const ids = (searchParams.get("accountIds") || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!ids.length) return null;
+  const bad = ids.find(id => !/^\d+$/.test(id));
+  if (bad) { const e = new Error(`Invalid accountId "${bad}"`); e.status = 400; throw e; }
+  return ids.map(id => ({ id: Number(id) }));
+}
@@ -0,0 +1,88 @@
+// Package expiry / data exhaustion / idle SIM alerts over fetch-data rows.
+// Pure functions: used by /api/alerts and by the dashboard panel.
+
+export const DEFAULT_THRESHOLDS = {
+  expiryDays: 7,   // package expires within N days
+  usagePct: 80,    // package data used ≥ X %
+  idleDays: 30     // active SIM without usage for M days
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// OCS timestamps come as "YYYY-MM-DD HH:mm:ss" or ISO, without zone: treat them as UTC
+export function parseOcsDate(s) {
+  if (!s || typeof s !== "string") return null;
+  let iso = s.trim().replace(" ", "T");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) iso += "T00:00:00";
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(iso)) iso += "Z";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Merge overrides (numbers or numeric strings) onto the defaults; invalid values are ignored
+export function resolveThresholds(...sources) {
+  const out = { ...DEFAULT_THRESHOLDS };
+  for (const src of sources) {
+    for (const k of Object.keys(DEFAULT_THRESHOLDS)) {
+      const v = src?.[k];
+      if (v == null || v === "") continue;
+      const n = Number(v);
+      if (Number.isFinite(n) && n >= 0) out[k] = n;
+    }
+  }
+  return out;
+}
+
+const isActive = (r) => /^active$/i.test(String(r?.subscriberStatus ?? ""));
+
+export function computeAlerts(rows, thresholds = DEFAULT_THRESHOLDS, now = new Date()) {
+  const t = resolveThresholds(thresholds);
+  const alerts = [];
+  const base = (r) => ({ iccid: r?.iccid ?? null, accountId: r?.accountId ?? null, account: r?.accountName ?? r?.account ?? null });
+
+  for (const r of rows) {
+    const exp = parseOcsDate(r?.tsexpirationutc);
+    if (exp) {
+      const days = (exp - now) / DAY_MS;
+      if (days >= 0 && days <= t.expiryDays) {
+        alerts.push({
+          ...base(r), type: "expiry", severity: days <= 1 ? "critical" : "warning",
+          value: Math.floor(days),
+          message: `${r.prepaidpackagetemplatename ? `Package ${r.prepaidpackagetemplatename}` : "Package"} expires ${days < 1 ? "within 24h" : `in ${Math.floor(days)} day(s)`}`
+        });
+      }
+    }
+
+    const total = Number(r?.pckdatabyte), used = Number(r?.useddatabyte);
+    if (Number.isFinite(total) && total > 0 && Number.isFinite(used)) {
+      const pct = (used / total) * 100;
+      if (pct >= t.usagePct) {
+        alerts.push({
+          ...base(r), type: "dataExhaustion", severity: pct >= 100 ? "critical" : "warning",
+          value: Math.round(pct),
+          message: `${Math.round(pct)}% of package data used`
+        });
+      }
+    }
+
+    if (isActive(r)) {
+      const last = parseOcsDate(r?.lastUsageDate);
+      const since = last ?? parseOcsDate(r?.activationDate);
+      const days = since ? (now - since) / DAY_MS : null;
+      if (days != null && days >= t.idleDays) {
+        alerts.push({
+          ...base(r), type: "idle", severity: "info",
+          value: Math.floor(days),
+          message: last ? `No usage for ${Math.floor(days)} days` : `Never used, activated ${Math.floor(days)} days ago`
+        });
+      }
+    }
+  }
+  return alerts;
+}
+
+export function countAlerts(alerts) {
+  const byType = { expiry: 0, dataExhaustion: 0, idle: 0 };
+  for (const a of alerts) byType[a.type] = (byType[a.type] || 0) + 1;
+  return { total: alerts.length, byType };
+}
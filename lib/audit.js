@@ -0,0 +1,81 @@
+// Append-only audit log (JSON lines): who logged in, which accounts they loaded, what they exported.
+// File: AUDIT_LOG_FILE or .data/audit.jsonl. Entries are only ever appended, never rewritten.
+
+import { promises as fs } from "fs";
+import path from "path";
+
+const AUDIT_FILE = process.env.AUDIT_LOG_FILE || path.join(process.cwd(), ".data", "audit.jsonl");
+
+export const AUDIT_ACTIONS = [
+  "login", "login_failed", "login_blocked", "logout", "session_revoked", "fetch_data", "view_subscriber", "export", "subscriber_action", "bulk_topup",
+  "report_sent", "price_plan", "invoice"
+];
+
+// Client address as seen by our own proxy. The client can send any x-forwarded-for, so its first hops
+// are not trusted: each proxy appends the address it got the request from, and with TRUSTED_PROXIES
+// (default 1: Vercel / one nginx) proxies in front of the app the client is that many hops from the end.
+// TRUSTED_PROXIES=0 (app reached directly) ignores the forwarding headers.
+export function clientIp(req) {
+  const proxies = Number.isInteger(Number(process.env.TRUSTED_PROXIES)) ? Number(process.env.TRUSTED_PROXIES) : 1;
+  if (proxies > 0) {
+    const hops = (req.headers.get("x-forwarded-for") || "").split(",").map(h => h.trim()).filter(Boolean);
+    if (hops.length) return hops[Math.max(0, hops.length - proxies)];
+    const real = req.headers.get("x-real-ip");
+    if (real) return real.trim();
+  }
+  return req.ip ?? null;
+}
+
+// appends are chained so concurrent requests never interleave partial lines
+let queue = Promise.resolve();
+let dirReady = null;
+
+// Never throws: a failing audit write is reported but does not break the request
+export function audit(req, { user, action, ...details }) {
+  const entry = {
+    ts: new Date().toISOString(),
+    user: user ?? null,
+    action,
+    ip: req ? clientIp(req) : null,
+    ...details
+  };
+  queue = queue.then(async () => {
+    dirReady ??= fs.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    await dirReady;
+    await fs.appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n", { mode: 0o600 });
+  }).catch(e => {
+    console.error(JSON.stringify({ level: "error", msg: "audit write failed", error: e.message }));
+  });
+  return queue;
+}
+
+// Resolves once every entry queued so far is written. CLI scripts await it before process.exit(),
+// which would otherwise drop the entries still in the queue.
+export function flushAudit() {
+  return queue;
+}
+
+// -> newest first; filters: user, action, from/to (YYYY-MM-DD, inclusive), limit
+export async function readAudit({ user, action, from, to, limit = 500 } = {}) {
+  let text;
+  try {
+    text = await fs.readFile(AUDIT_FILE, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return { total: 0, entries: [] };
+    throw e;
+  }
+  const toEnd = to ? `${to}T23:59:59.999Z` : null;
+  const matches = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    let e;
+    try { e = JSON.parse(line); } catch { continue; }
+    if (user && e.user !== user) continue;
+    if (action && e.action !== action) continue;
+    if (from && e.ts < from) continue;
+    if (toEnd && e.ts > toEnd) continue;
+    matches.push(e);
+  }
+  matches.reverse();
+  return { total: matches.length, entries: matches.slice(0, limit) };
+}
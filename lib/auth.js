@@ -0,0 +1,44 @@
+// Request authentication for route handlers: verifies the signed session cookie and checks roles.
+// The middleware only verifies the signature; routes re-check here against the server-side session
+// store (revocation, idle expiry) and look the user up again so role changes, password changes and
+// disabled accounts apply immediately.
+
+import { SESSION_COOKIE, verifySession } from "./session.js";
+import { getUser } from "./users.js";
+import { touchSession } from "./sessions.js";
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+function readCookie(req, name) {
+  const v = req.cookies?.get?.(name)?.value;
+  if (v != null) return v;
+  const m = (req.headers.get("cookie") || "").match(new RegExp(`(?:^|;\\s*)${name}=([^;]*)`));
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// -> { username, role, allAccounts, resellerIds, accountIds, sid } or null
+export async function getSessionUser(req) {
+  const payload = await verifySession(readCookie(req, SESSION_COOKIE));
+  if (!payload?.sid) return null;
+  const session = await touchSession(payload.sid);
+  if (!session || session.username !== payload.sub) return null;
+  const user = await getUser(payload.sub);
+  if (!user || user.disabled) return null;
+  if (user.passwordChangedAt && user.passwordChangedAt > session.createdAt) return null;
+  return {
+    sid: session.id,
+    username: user.username,
+    role: user.role,
+    allAccounts: Boolean(user.allAccounts),
+    resellerIds: user.resellerIds || [],
+    accountIds: user.accountIds || []
+  };
+}
+
+// Throws 401 (no valid session) or 403 (role not allowed)
+export async function requireUser(req, roles) {
+  const user = await getSessionUser(req);
+  if (!user) throw httpError(401, "Not signed in");
+  if (roles && !roles.includes(user.role)) throw httpError(403, `Role ${user.role} may not do this`);
+  return user;
+}
@@ -0,0 +1,124 @@
+// Usage-based billing: price plans and the monthly invoice calculation. Pure (no server imports);
+// lib/pricePlans stores the plans, lib/invoices fetches the month's rows, stores invoices and renders them.
+//
+// A plan is per account and in one currency:
+//   monthlyFeePerSim — charged for every billable SIM (activated by the month end, and ACTIVE during
+//                      the month or with usage in it)
+//   includedGbPerSim — data each SIM may use before overage (per SIM, not pooled)
+//   overagePerGb     — per GB above includedGbPerSim
+//   markupPct        — the SIM's reseller cost for the month is billed at cost + markupPct %
+// Reseller costs are converted into the plan currency with the FX table (lib/fx).
+
+import { convertAmount, costCurrency } from "./reports.js";
+
+const GB = 1024 ** 3;
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+export const PLAN_FIELDS = ["monthlyFeePerSim", "includedGbPerSim", "overagePerGb", "markupPct"];
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+const round3 = (n) => Math.round((n + Number.EPSILON) * 1000) / 1000;
+const pad = (n) => String(n).padStart(2, "0");
+
+// { accountId, accountName?, currency, monthlyFeePerSim, includedGbPerSim, overagePerGb, markupPct } -> validated plan
+export function normalizePlan(input = {}) {
+  if (!/^\d+$/.test(String(input.accountId ?? ""))) throw httpError(400, `Invalid accountId "${input.accountId ?? ""}"`);
+  const currency = String(input.currency ?? "").trim().toUpperCase();
+  if (!CURRENCY_RE.test(currency)) throw httpError(400, `Invalid currency "${input.currency ?? ""}" (expected a 3-letter code like EUR)`);
+  const plan = { accountId: Number(input.accountId), accountName: input.accountName ?? null, currency };
+  for (const k of PLAN_FIELDS) {
+    const v = input[k] === "" || input[k] == null ? 0 : Number(input[k]);
+    if (!Number.isFinite(v) || v < 0) throw httpError(400, `Invalid ${k} "${input[k]}" (expected a number ≥ 0)`);
+    plan[k] = v;
+  }
+  return plan;
+}
+
+// "YYYY-MM" -> { key, from, to } (UTC calendar month). Only closed months can be invoiced.
+export function billingMonth(month, now = new Date()) {
+  const key = String(month ?? "");
+  if (!MONTH_RE.test(key)) throw httpError(400, `Invalid month "${key}" (expected YYYY-MM)`);
+  const [y, m] = key.split("-").map(Number);
+  const current = `${now.getUTCFullYear()}-${pad(now.getUTCMonth() + 1)}`;
+  if (key >= current) throw httpError(400, `Month ${key} is not over yet; invoices cover closed months only`);
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return { key, from: `${key}-01`, to: `${key}-${pad(last)}` };
+}
+
+// The previous calendar month at `now` ("YYYY-MM"), the default for a monthly run
+export function previousMonth(now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
+}
+
+const isActive = (status) => String(status ?? "").toUpperCase() === "ACTIVE";
+
+// Whether a SIM is billed for the month { from, to } (YYYY-MM-DD): it must have been activated by the
+// month end, and either used data in the month or been ACTIVE at some point of it. The status comes from
+// statusHistory, not from today's status, since invoices are generated after the month has closed; rows
+// without a history fall back to subscriberStatus.
+export function isBillable(r, { from, to }) {
+  const activated = String(r?.activationDate ?? r?.statusHistory?.[0]?.startDate ?? "").slice(0, 10);
+  if (!activated || activated > to) return false;
+  if (Number.isFinite(r?.totalBytesInPeriod) && r.totalBytesInPeriod > 0) return true;
+  if (!Array.isArray(r?.statusHistory) || !r.statusHistory.length) return isActive(r?.subscriberStatus);
+  // the status in effect at the month start, plus every change within the month
+  let atStart = null;
+  const changes = [];
+  for (const h of r.statusHistory) {
+    const day = String(h.startDate ?? "").slice(0, 10);
+    if (day > to) break;
+    if (day < from) atStart = h; else changes.push(h);
+  }
+  return [atStart, ...changes].some(h => h && isActive(h.status));
+}
+
+// Rows of one account for the invoiced month { from, to } (fetch-data rows over that month) -> { lines, totals }.
+// Amounts are rounded per line; totals are sums of the rounded lines. cost / margin are internal
+// (reseller cost in the plan currency and what the invoice earns over it), not printed on the invoice.
+// Throws 409 when a reseller cost has no FX rate into the plan currency.
+export function computeInvoice(rows, plan, month, fx = null) {
+  const lines = [];
+  const totals = { sims: 0, usageGb: 0, monthlyFees: 0, overage: 0, usage: 0, amount: 0, cost: 0, margin: 0 };
+  const missing = new Set();
+
+  for (const r of rows) {
+    if (!isBillable(r, month)) continue;
+    const cost = convertAmount(r.resellerCostInPeriod, r.resellerCostInPeriodCurrency, plan.currency, fx);
+    if (cost == null) { missing.add(costCurrency(r.resellerCostInPeriodCurrency, fx)); continue; }
+
+    const usageGb = Number.isFinite(r.totalBytesInPeriod) ? r.totalBytesInPeriod / GB : 0;
+    const overageGb = Math.max(0, usageGb - plan.includedGbPerSim);
+    const line = {
+      iccid: r.iccid ?? null,
+      imsi: r.imsi ?? null,
+      phoneNumber: r.phoneNumber ?? null,
+      status: r.subscriberStatus ?? null,
+      package: r.prepaidpackagetemplatename ?? null,
+      usageGb: round3(usageGb),
+      overageGb: round3(overageGb),
+      monthlyFee: round2(plan.monthlyFeePerSim),
+      overage: round2(overageGb * plan.overagePerGb),
+      usage: round2(cost * (1 + plan.markupPct / 100)),
+      cost: round2(cost)
+    };
+    line.amount = round2(line.monthlyFee + line.overage + line.usage);
+    lines.push(line);
+
+    totals.sims++;
+    for (const k of ["usageGb", "monthlyFees", "overage", "usage", "amount", "cost"]) {
+      totals[k] += line[k === "monthlyFees" ? "monthlyFee" : k];
+    }
+  }
+  if (missing.size) {
+    throw httpError(409, `No FX rate to convert ${[...missing].join(", ")} into ${plan.currency}; add it at /admin/fx`);
+  }
+  for (const k of ["monthlyFees", "overage", "usage", "amount", "cost"]) totals[k] = round2(totals[k]);
+  totals.usageGb = round3(totals.usageGb);
+  totals.margin = round2(totals.amount - totals.cost);
+  lines.sort((a, b) => String(a.iccid ?? "").localeCompare(String(b.iccid ?? "")));
+  return { lines, totals };
+}
@@ -0,0 +1,70 @@
+// Bulk package top-up: match an uploaded ICCID list against the selected accounts, then assign one
+// package template to every matched subscriber (worker pool, one OCS call per SIM, no retries).
+
+import { listAccountRows, pMap } from "./teltrip.js";
+import { runLifecycleAction } from "./lifecycle.js";
+
+export const BULK_MAX_ICCIDS = 5000;
+const ICCID_RE = /^\d{6,22}F?$/i;
+
+function badRequest(message) { const e = new Error(message); e.status = 400; return e; }
+
+// Trimmed, de-duplicated list; values Excel turned into numbers ("8.9e+18") are reported as invalid
+export function normalizeIccids(list) {
+  if (!Array.isArray(list) || !list.length) throw badRequest("No ICCIDs given");
+  if (list.length > BULK_MAX_ICCIDS) throw badRequest(`At most ${BULK_MAX_ICCIDS} ICCIDs per run`);
+  const seen = new Set(), iccids = [], invalid = [];
+  for (const v of list) {
+    const s = String(v ?? "").replace(/\s+/g, "");
+    if (!s || seen.has(s)) continue;
+    seen.add(s);
+    (ICCID_RE.test(s) ? iccids : invalid).push(s);
+  }
+  return { iccids, invalid, duplicates: list.length - seen.size };
+}
+
+// -> { matched: [{ iccid, accountId, accountName, subscriberId, subscriberStatus, package }], unmatched, accountErrors }
+export async function matchIccids(accounts, iccids) {
+  const wanted = new Set(iccids);
+  const found = new Map();
+  const accountErrors = [];
+  await pMap(accounts, async (a) => {
+    try {
+      for (const r of await listAccountRows(a)) {
+        if (r.iccid != null && wanted.has(String(r.iccid)) && !found.has(String(r.iccid))) {
+          found.set(String(r.iccid), {
+            iccid: String(r.iccid),
+            accountId: r.accountId,
+            accountName: r.accountName,
+            subscriberId: r._sid,
+            subscriberStatus: r.subscriberStatus
+          });
+        }
+      }
+    } catch (e) {
+      accountErrors.push({ accountId: a.id, accountName: a.name ?? null, message: e.message });
+    }
+  }, 3);
+  return {
+    matched: iccids.filter(i => found.has(i)).map(i => found.get(i)),
+    unmatched: iccids.filter(i => !found.has(i)),
+    accountErrors
+  };
+}
+
+// onResult(result) per SIM as it finishes (errors it throws are ignored) -> [{ iccid, accountId, subscriberId, ok, error }]
+export async function runBulkTopup(matched, templateId, { concurrency, onResult } = {}) {
+  const limit = concurrency ?? (Number(process.env.BULK_CONCURRENCY) || 4);
+  return pMap(matched, async (m) => {
+    let result;
+    try {
+      await runLifecycleAction("assignPackage", { subscriberId: m.subscriberId, params: { templateId } });
+      result = { iccid: m.iccid, accountId: m.accountId, subscriberId: m.subscriberId, ok: true, error: null };
+    } catch (e) {
+      result = { iccid: m.iccid, accountId: m.accountId, subscriberId: m.subscriberId, ok: false, error: e.message };
+    }
+    // a failing listener (e.g. the client went away) must not stop the packages still to be assigned
+    try { await onResult?.(result); } catch { /* ignore */ }
+    return result;
+  }, limit);
+}
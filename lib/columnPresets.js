@@ -0,0 +1,68 @@
+// Saved column presets (which grid / export columns, in which order), per user, next to the
+// built-in ones from lib/columns.
+// Store: COLUMN_PRESETS_FILE or .data/column-presets.json  { version, presets: { username: [{ name, columns, updatedAt }] } }
+
+import { promises as fs } from "fs";
+import path from "path";
+import { BUILTIN_PRESETS, parseColumnKeys } from "./columns.js";
+
+const PRESETS_FILE = process.env.COLUMN_PRESETS_FILE || path.join(process.cwd(), ".data", "column-presets.json");
+const MAX_PRESETS = 50;   // per user
+const MAX_NAME = 60;
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+// ---------- store ----------
+async function readStore() {
+  try {
+    const data = JSON.parse(await fs.readFile(PRESETS_FILE, "utf8"));
+    return data?.presets && typeof data.presets === "object" ? data.presets : {};
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new Error(`Cannot read column presets ${PRESETS_FILE}: ${e.message}`);
+  }
+}
+
+async function writeStore(presets) {
+  await fs.mkdir(path.dirname(PRESETS_FILE), { recursive: true });
+  const tmp = `${PRESETS_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, presets }, null, 2));
+  await fs.rename(tmp, PRESETS_FILE);
+}
+
+function presetName(value) {
+  const name = String(value ?? "").trim();
+  if (!name) throw httpError(400, "Preset name is required");
+  if (name.length > MAX_NAME) throw httpError(400, `Preset name is longer than ${MAX_NAME} characters`);
+  if (BUILTIN_PRESETS.some(p => p.name.toLowerCase() === name.toLowerCase())) throw httpError(400, `"${name}" is a built-in preset`);
+  return name;
+}
+
+// -> built-in presets ({ builtIn: true }) followed by the user's own, sorted by name
+export async function listPresets(username) {
+  const presets = await readStore();
+  const mine = (presets[username] ?? []).slice().sort((a, b) => a.name.localeCompare(b.name));
+  return [...BUILTIN_PRESETS.map(p => ({ ...p, builtIn: true })), ...mine];
+}
+
+// Saves (or replaces, by name) one of the user's presets -> saved entry
+export async function savePreset(username, { name, columns }) {
+  const entry = { name: presetName(name), columns: parseColumnKeys(columns), updatedAt: new Date().toISOString() };
+  const presets = await readStore();
+  const mine = presets[username] ?? [];
+  const i = mine.findIndex(p => p.name === entry.name);
+  if (i < 0 && mine.length >= MAX_PRESETS) throw httpError(400, `At most ${MAX_PRESETS} column presets per user`);
+  if (i >= 0) mine[i] = entry; else mine.push(entry);
+  presets[username] = mine;
+  await writeStore(presets);
+  return entry;
+}
+
+export async function deletePreset(username, name) {
+  const presets = await readStore();
+  const mine = presets[username] ?? [];
+  const next = mine.filter(p => p.name !== name);
+  if (next.length === mine.length) throw httpError(404, `No column preset "${name}"`);
+  if (next.length) presets[username] = next; else delete presets[username];
+  await writeStore(presets);
+}
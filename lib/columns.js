@@ -0,0 +1,99 @@
+// Subscriber columns: one registry for the dashboard grid, its sort (lib/gridView) and the CSV / XLSX export.
+// No server imports: shared by routes and client components.
+//   key      — header in the grid and in exports
+//   value    — raw value (sorting); format turns it into the cell / export text
+//   currency — cost columns: currency of the value; the grid shows it next to the amount, exports add
+//              a "<key>Currency" column after it
+//   cost     — hidden from roles without cost access
+//   sort     — sort value when it differs from value
+
+export const bytesToGB = (b) => (b == null || isNaN(b)) ? "" : (Number(b) / (1024 ** 3)).toFixed(2);
+export const money = (n) => (n == null || isNaN(n)) ? "" : Number(n).toFixed(2);
+export const fmtDT = (s) => typeof s === "string" ? s.replace("T", " ") : s ?? "";
+export const fmtErrors = (errs) => (errs || []).map(e => `${e.stage}${e.window ? ` [${e.window}]` : ""}: ${e.message}`).join("; ");
+
+export const COLUMNS = [
+  { key: "ICCID", value: r => r.iccid },
+  { key: "IMSI", value: r => r.imsi },
+  { key: "phoneNumber", value: r => r.phoneNumber },
+  { key: "subscriberStatus", value: r => r.subscriberStatus },
+  { key: "simStatus", value: r => r.simStatus },
+  { key: "esim", value: r => r.esim },
+  { key: "activationCode", value: r => r.activationCode },
+  { key: "activationDate", value: r => r.activationDate, format: fmtDT },
+  { key: "lastUsageDate", value: r => r.lastUsageDate, format: fmtDT },
+  { key: "prepaid", value: r => r.prepaid },
+  { key: "balance", value: r => r.balance },
+  { key: "account", value: r => r.account },
+  { key: "accountId", value: r => r.accountId },
+  { key: "reseller", value: r => r.reseller },
+  { key: "lastMcc", value: r => r.lastMcc },
+  { key: "lastMnc", value: r => r.lastMnc },
+  { key: "lastCountry", value: r => r.lastCountry },
+  { key: "lastOperator", value: r => r.lastOperator },
+  { key: "prepaidpackagetemplatename", value: r => r.prepaidpackagetemplatename },
+  { key: "prepaidpackagetemplateid", value: r => r.prepaidpackagetemplateid },
+  { key: "tsactivationutc", value: r => r.tsactivationutc, format: fmtDT },
+  { key: "tsexpirationutc", value: r => r.tsexpirationutc, format: fmtDT },
+  { key: "pckdatabyte", value: r => r.pckdatabyte },
+  { key: "useddatabyte", value: r => r.useddatabyte },
+  { key: "pckdata(GB)", value: r => r.pckdatabyte, format: bytesToGB },
+  { key: "used(GB)", value: r => r.useddatabyte, format: bytesToGB },
+  { key: "subscriberOneTimeCost", value: r => r.subscriberOneTimeCost, format: money, currency: r => r.subscriberOneTimeCostCurrency, cost: true },
+  { key: "packagesInPeriod", value: r => r.packagesInPeriod?.length ?? null },
+  { key: "revenueInPeriod", value: r => r.revenueInPeriod, format: money, currency: r => r.revenueInPeriodCurrency, cost: true },
+  { key: "usageInPeriod(GB)", value: r => r.totalBytesInPeriod, format: bytesToGB },
+  { key: "resellerCostInPeriod", value: r => r.resellerCostInPeriod, format: money, currency: r => r.resellerCostInPeriodCurrency, cost: true },
+  { key: "enrichmentErrors", value: r => r._errors, format: fmtErrors, sort: r => r._errors?.length || null }
+];
+
+const BY_KEY = new Map(COLUMNS.map(c => [c.key, c]));
+export const COLUMN_KEYS = COLUMNS.map(c => c.key);
+
+export const getColumn = (key) => BY_KEY.get(key) ?? null;
+
+// Built-in presets (read-only); users save their own next to them (lib/columnPresets)
+export const BUILTIN_PRESETS = [
+  { name: "All columns", columns: COLUMN_KEYS },
+  { name: "Finance", columns: [
+    "ICCID", "account", "accountId", "subscriberStatus", "prepaidpackagetemplatename", "prepaidpackagetemplateid",
+    "tsactivationutc", "tsexpirationutc", "used(GB)", "usageInPeriod(GB)", "subscriberOneTimeCost", "packagesInPeriod",
+    "revenueInPeriod", "resellerCostInPeriod", "enrichmentErrors"
+  ] },
+  { name: "Support", columns: [
+    "ICCID", "IMSI", "phoneNumber", "subscriberStatus", "simStatus", "esim", "activationCode", "lastUsageDate",
+    "balance", "account", "lastCountry", "lastOperator", "prepaidpackagetemplatename", "tsexpirationutc",
+    "pckdata(GB)", "used(GB)", "enrichmentErrors"
+  ] }
+];
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+// ["ICCID", …] | "ICCID,IMSI" -> validated, de-duplicated keys in the given order (400 on unknown keys)
+export function parseColumnKeys(value) {
+  const list = (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map(s => String(s).trim()).filter(Boolean);
+  const bad = list.find(k => !BY_KEY.has(k));
+  if (bad) throw httpError(400, `Unknown column "${bad}"`);
+  const keys = [...new Set(list)];
+  if (!keys.length) throw httpError(400, "At least one column is required");
+  return keys;
+}
+
+// keys (default: all) -> column definitions, cost columns dropped without cost access
+export function resolveColumns(keys = COLUMN_KEYS, { withCosts = true } = {}) {
+  return keys.map(getColumn).filter(c => c && (withCosts || !c.cost));
+}
+
+// formatted cell text, without the currency
+export function cellText(col, r) {
+  const v = col.value(r);
+  return col.format ? String(col.format(v) ?? "") : String(v ?? "");
+}
+
+// [[header, text(row)]] for CSV / XLSX: cost columns are followed by their currency column
+export function exportCells(cols) {
+  return cols.flatMap(col => col.currency
+    ? [[col.key, r => cellText(col, r)], [`${col.key}Currency`, r => col.value(r) != null ? col.currency(r) ?? "" : ""]]
+    : [[col.key, r => cellText(col, r)]]);
+}
@@ -0,0 +1,12 @@
+// Auth for the /api/cron/* routes. No session there: callers (Vercel Cron, crontab + curl) send
+// "Authorization: Bearer <CRON_SECRET>"; without CRON_SECRET every call is refused.
+
+import { createHash, timingSafeEqual } from "crypto";
+
+export function cronAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  const given = (req.headers.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const h = (s) => createHash("sha256").update(s).digest();
+  return timingSafeEqual(h(given), h(secret));
+}
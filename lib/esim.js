@@ -0,0 +1,14 @@
+// eSIM activation: GSMA SGP.22 activation code ("LPA string") from a subscriber row. Client-safe.
+
+// "LPA:1$<SM-DP+ address>$<matching id>"; an activationCode that already is a full LPA string is kept
+export function lpaString({ smdpServer, activationCode } = {}) {
+  const code = String(activationCode ?? "").trim();
+  if (!code) return null;
+  if (/^LPA:1\$/i.test(code)) return code;
+  const smdp = String(smdpServer ?? "").trim().replace(/^https?:\/\//i, "").replace(/\/+$/, "");
+  if (!smdp) return null;
+  return `LPA:1$${smdp}$${code}`;
+}
+
+// rows a QR code / activation card can be made for
+export const hasActivation = (row) => row?.esim !== false && lpaString(row) != null;
@@ -0,0 +1,40 @@
+// Server-side CSV / XLSX of dashboard rows (columns from lib/columns, like the grid), for /api/export and e-mailed reports.
+
+import * as XLSX from "xlsx";
+import { COLUMN_KEYS, exportCells, resolveColumns } from "./columns.js";
+
+export const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// teltrip_dashboard_<from>_<to>.<ext>, optionally with an account tag
+export function exportFilename(period, format, tag) {
+  return `teltrip_dashboard${tag ? `_${String(tag).replace(/[^\w.-]+/g, "_")}` : ""}_${period.from}_${period.to}.${format}`;
+}
+
+// 400 for an unknown format or an empty column list -> the export cells. Routes call it before loading
+// any data, so a bad request never pays for a full OCS load.
+export function checkExport({ format = "xlsx", withCosts = true, columns = COLUMN_KEYS } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    const e = new Error(`Invalid format "${format}" (${Object.keys(EXPORT_FORMATS).join("|")})`); e.status = 400; throw e;
+  }
+  const cols = exportCells(resolveColumns(columns, { withCosts }));
+  if (!cols.length) { const e = new Error("No columns to export"); e.status = 400; throw e; }
+  return cols;
+}
+
+// columns: keys in order (default: all). -> { body: Buffer, contentType }
+export function buildExport(rows, { format = "xlsx", withCosts = true, columns = COLUMN_KEYS } = {}) {
+  const cols = checkExport({ format, withCosts, columns });
+  if (format === "csv") {
+    const quote = (x) => `"${String(x).replace(/"/g, '""')}"`;
+    const lines = [cols.map(([h]) => h).join(","), ...rows.map(r => cols.map(([, get]) => quote(get(r))).join(","))];
+    return { body: Buffer.from(lines.join("\n"), "utf8"), contentType: EXPORT_FORMATS.csv };
+  }
+  const data = rows.map(r => Object.fromEntries(cols.map(([h, get]) => [h, get(r)])));
+  const ws = XLSX.utils.json_to_sheet(data, { header: cols.map(([h]) => h) });
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Teltrip");
+  return { body: XLSX.write(wb, { type: "buffer", bookType: "xlsx" }), contentType: EXPORT_FORMATS.xlsx };
+}
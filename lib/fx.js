@@ -0,0 +1,72 @@
+// FX rate table used to convert template / reseller costs into one reporting currency before summing.
+//   { reportingCurrency, defaultCurrency, rates: { USD: 0.92, … }, updatedAt }
+// rates[X] is the value of 1 X in the reporting currency (the reporting currency itself is always 1).
+// defaultCurrency is assumed for costs the OCS returns without a currency.
+// Store: FX_RATES_FILE or .data/fx-rates.json, edited on /admin/fx. Until it exists the table comes from
+// REPORTING_CURRENCY (default EUR), COST_CURRENCY (default: reporting currency) and FX_RATES ("USD=0.92,GBP=1.17").
+
+import { promises as fs } from "fs";
+import path from "path";
+
+const FX_FILE = process.env.FX_RATES_FILE || path.join(process.cwd(), ".data", "fx-rates.json");
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+function currencyCode(value, label) {
+  const c = String(value ?? "").trim().toUpperCase();
+  if (!CURRENCY_RE.test(c)) throw httpError(400, `Invalid ${label} "${value ?? ""}" (expected a 3-letter code like EUR)`);
+  return c;
+}
+
+// { USD: 0.92 } | "USD=0.92, GBP=1.17" -> { USD: 0.92, GBP: 1.17 }
+function parseRates(value, reportingCurrency) {
+  const entries = typeof value === "string"
+    ? value.split(/[\n,;]+/).map(s => s.trim()).filter(Boolean).map(s => s.split("=").map(x => x.trim()))
+    : Object.entries(value ?? {});
+  const rates = {};
+  for (const [k, v] of entries) {
+    const c = currencyCode(k, "currency");
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) throw httpError(400, `Invalid rate for ${c}: "${v}"`);
+    if (c !== reportingCurrency) rates[c] = n;
+  }
+  return rates;
+}
+
+function fromEnv() {
+  const reportingCurrency = currencyCode(process.env.REPORTING_CURRENCY || "EUR", "REPORTING_CURRENCY");
+  return {
+    reportingCurrency,
+    defaultCurrency: process.env.COST_CURRENCY ? currencyCode(process.env.COST_CURRENCY, "COST_CURRENCY") : reportingCurrency,
+    rates: parseRates(process.env.FX_RATES || "", reportingCurrency),
+    updatedAt: null
+  };
+}
+
+export async function getFxTable() {
+  try {
+    const data = JSON.parse(await fs.readFile(FX_FILE, "utf8"));
+    if (data?.reportingCurrency) return { defaultCurrency: data.reportingCurrency, rates: {}, ...data };
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Cannot read FX rates ${FX_FILE}: ${e.message}`);
+  }
+  return fromEnv();
+}
+
+// { reportingCurrency, defaultCurrency?, rates } -> saved table. Changing the reporting currency
+// does not rebase the rates: send them relative to the new currency.
+export async function saveFxTable({ reportingCurrency, defaultCurrency, rates }) {
+  const reporting = currencyCode(reportingCurrency, "reporting currency");
+  const table = {
+    reportingCurrency: reporting,
+    defaultCurrency: defaultCurrency ? currencyCode(defaultCurrency, "default currency") : reporting,
+    rates: parseRates(rates, reporting),
+    updatedAt: new Date().toISOString()
+  };
+  await fs.mkdir(path.dirname(FX_FILE), { recursive: true });
+  const tmp = `${FX_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(table, null, 2));
+  await fs.rename(tmp, FX_FILE);
+  return table;
+}
@@ -0,0 +1,153 @@
+// Subscriber grid view: free-text search, typed filters and sort over fetch-data rows.
+// Pure (no server imports): the dashboard applies it in the browser, /api/export applies the same
+// view from its query string so the file matches the screen, and views are saved per user.
+
+import { toReporting } from "./reports.js";
+import { getColumn, resolveColumns } from "./columns.js";
+
+const GB = 1024 ** 3;
+
+export const EMPTY_VIEW = {
+  q: "",
+  status: "",                          // subscriberStatus equals (case-insensitive)
+  expiresFrom: "", expiresTo: "",      // tsexpirationutc date range, YYYY-MM-DD inclusive
+  usedGbMin: "", usedGbMax: "",        // useddatabyte in GB
+  costField: "resellerCostInPeriod",   // which cost costMin / costMax apply to
+  costMin: "", costMax: "",            // in the reporting currency
+  hasPackage: "",                      // "" | "yes" | "no"
+  sort: "",                            // column key (lib/columns)
+  dir: "asc"                           // asc | desc
+};
+
+export const COST_FILTER_FIELDS = {
+  subscriberOneTimeCost: "Subscriber cost",
+  revenueInPeriod: "Revenue in period",
+  resellerCostInPeriod: "Reseller cost"
+};
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+function cost(r, field, fx) {
+  if (r[field] == null) return null;
+  return toReporting(r[field], r[`${field}Currency`], fx);
+}
+
+const numOrNull = (s) => s === "" || s == null ? null : Number(s);
+
+// Unknown keys dropped, every value a string; throws 400 on malformed numbers / dates
+export function normalizeView(input = {}) {
+  const view = { ...EMPTY_VIEW };
+  for (const k of Object.keys(EMPTY_VIEW)) {
+    if (input[k] != null) view[k] = String(input[k]).trim();
+  }
+  for (const k of ["expiresFrom", "expiresTo"]) {
+    if (view[k] && !YMD_RE.test(view[k])) throw httpError(400, `Invalid ${k} "${view[k]}" (expected YYYY-MM-DD)`);
+  }
+  for (const k of ["usedGbMin", "usedGbMax", "costMin", "costMax"]) {
+    if (view[k] && !Number.isFinite(Number(view[k]))) throw httpError(400, `Invalid ${k} "${view[k]}"`);
+  }
+  if (!COST_FILTER_FIELDS[view.costField]) throw httpError(400, `Invalid costField "${view.costField}"`);
+  if (!["", "yes", "no"].includes(view.hasPackage)) throw httpError(400, `Invalid hasPackage "${view.hasPackage}" (yes|no)`);
+  if (view.sort && !getColumn(view.sort)) throw httpError(400, `Invalid sort column "${view.sort}"`);
+  if (view.dir !== "asc" && view.dir !== "desc") throw httpError(400, `Invalid dir "${view.dir}" (asc|desc)`);
+  return view;
+}
+
+// non-default fields only, for URLs
+export function viewToParams(view) {
+  const out = {};
+  for (const [k, v] of Object.entries(view)) {
+    if (v !== "" && v !== EMPTY_VIEW[k]) out[k] = v;
+  }
+  return out;
+}
+
+export function viewFromParams(searchParams) {
+  const input = {};
+  for (const k of Object.keys(EMPTY_VIEW)) {
+    const v = searchParams.get(k);
+    if (v != null) input[k] = v;
+  }
+  return normalizeView(input);
+}
+
+// number of active filters (search and sort not counted)
+export function activeFilters(view) {
+  return ["status", "expiresFrom", "expiresTo", "usedGbMin", "usedGbMax", "costMin", "costMax", "hasPackage"]
+    .filter(k => view[k] !== "").length;
+}
+
+// sortable value of a column (null sorts last); costs are compared in the reporting currency
+function sortValue(col, r, fx) {
+  if (col.sort) return col.sort(r);
+  const v = col.value(r);
+  if (col.currency) return v == null ? null : toReporting(v, col.currency(r), fx);
+  return v;
+}
+
+function compare(a, b) {
+  if (a == null || a === "") return b == null || b === "" ? 0 : 1;
+  if (b == null || b === "") return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+}
+
+// -> filtered and sorted copy of rows. withCosts: false ignores cost filters and cost sorts
+// (roles without cost access get nulls there anyway).
+export function applyView(rows, view, { fx = null, withCosts = true } = {}) {
+  const v = { ...EMPTY_VIEW, ...view };
+  const n = String(v.q ?? "").trim().toLowerCase();
+  const status = v.status.toLowerCase();
+  const usedMin = numOrNull(v.usedGbMin), usedMax = numOrNull(v.usedGbMax);
+  const costMin = withCosts ? numOrNull(v.costMin) : null, costMax = withCosts ? numOrNull(v.costMax) : null;
+  // free text matches what the grid can show: plain column values, not nested objects or hidden costs
+  const searchCols = n ? resolveColumns(undefined, { withCosts }) : [];
+  const matchesText = (r) => searchCols.some(c => {
+    const x = c.value(r);
+    return (typeof x === "string" || typeof x === "number" || typeof x === "boolean") && String(x).toLowerCase().includes(n);
+  });
+
+  const out = rows.filter(r => {
+    if (n && !matchesText(r)) return false;
+    if (status && String(r.subscriberStatus ?? "").toLowerCase() !== status) return false;
+    if (v.expiresFrom || v.expiresTo) {
+      const exp = typeof r.tsexpirationutc === "string" ? r.tsexpirationutc.slice(0, 10) : "";
+      if (!exp) return false;
+      if (v.expiresFrom && exp < v.expiresFrom) return false;
+      if (v.expiresTo && exp > v.expiresTo) return false;
+    }
+    if (usedMin != null || usedMax != null) {
+      if (!Number.isFinite(r.useddatabyte)) return false;
+      const gb = r.useddatabyte / GB;
+      if (usedMin != null && gb < usedMin) return false;
+      if (usedMax != null && gb > usedMax) return false;
+    }
+    if (costMin != null || costMax != null) {
+      const c = cost(r, v.costField, fx);
+      if (c == null) return false;
+      if (costMin != null && c < costMin) return false;
+      if (costMax != null && c > costMax) return false;
+    }
+    if (v.hasPackage) {
+      const has = r.prepaidpackagetemplateid != null || r.prepaidpackagetemplatename != null;
+      if (has !== (v.hasPackage === "yes")) return false;
+    }
+    return true;
+  });
+
+  const col = getColumn(v.sort);
+  if (col && (withCosts || !col.cost)) {
+    const sign = v.dir === "desc" ? -1 : 1;
+    const keyed = out.map((r, i) => ({ r, i, k: sortValue(col, r, fx) }));
+    // nulls stay last in both directions; ties keep the load order
+    keyed.sort((a, b) => {
+      const an = a.k == null || a.k === "", bn = b.k == null || b.k === "";
+      if (an || bn) return an === bn ? a.i - b.i : an ? 1 : -1;
+      return sign * compare(a.k, b.k) || a.i - b.i;
+    });
+    return keyed.map(x => x.r);
+  }
+  return out;
+}
@@ -0,0 +1,116 @@
+// Invoice documents (PDF / XLSX) from a stored invoice (lib/invoices). These go to the customer, so the
+// internal cost / margin figures are left out.
+
+import * as XLSX from "xlsx";
+import { jsPDF } from "jspdf";
+
+export const INVOICE_FORMATS = {
+  pdf: "application/pdf",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+const money = (n) => Number(n ?? 0).toFixed(2);
+const gb = (n) => Number(n ?? 0).toFixed(3);
+
+export const invoiceFilename = (inv, format) => `${inv.number}_${String(inv.accountName ?? inv.accountId).replace(/[^\w.-]+/g, "_")}.${format}`;
+
+// [label, amount] summary rows shared by both formats
+function summaryRows(inv) {
+  const { plan, totals, currency } = inv;
+  return [
+    [`Monthly fee: ${totals.sims} SIM(s) x ${money(plan.monthlyFeePerSim)} ${currency}`, totals.monthlyFees],
+    [`Data above ${plan.includedGbPerSim} GB per SIM at ${money(plan.overagePerGb)} ${currency}/GB`, totals.overage],
+    [`Network usage (cost + ${plan.markupPct}%)`, totals.usage],
+    [`Total (${currency})`, totals.amount]
+  ];
+}
+
+const LINE_COLUMNS = [
+  // [header, key, width (pt), number format]
+  ["ICCID", "iccid", 125],
+  ["Status", "status", 62],
+  ["Usage GB", "usageGb", 55, gb],
+  ["Over GB", "overageGb", 50, gb],
+  ["Monthly fee", "monthlyFee", 60, money],
+  ["Overage", "overage", 55, money],
+  ["Usage", "usage", 55, money],
+  ["Amount", "amount", 63, money]
+];
+
+export function invoiceXlsx(inv) {
+  const head = [
+    ["Invoice", inv.number],
+    ["Account", `${inv.accountName ?? ""} (${inv.accountId})`],
+    ["Period", `${inv.period.from} - ${inv.period.to}`],
+    ["Issued", inv.issuedAt.slice(0, 10)],
+    ["Currency", inv.currency],
+    [],
+    ...summaryRows(inv)
+  ];
+  const lines = inv.lines.map(l => Object.fromEntries(LINE_COLUMNS.map(([h, k]) => [h, l[k] ?? ""])));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(head), "Invoice");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(lines, { header: LINE_COLUMNS.map(([h]) => h) }), "Lines");
+  return Buffer.from(XLSX.write(wb, { type: "buffer", bookType: "xlsx" }));
+}
+
+export function invoicePdf(inv) {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const W = doc.internal.pageSize.getWidth(), H = doc.internal.pageSize.getHeight(), M = 30;
+  let y = M + 10;
+
+  doc.setFont("helvetica", "bold").setFontSize(18).text(`Invoice ${inv.number}`, M, y);
+  y += 22;
+  doc.setFont("helvetica", "normal").setFontSize(10);
+  for (const line of [
+    `Account: ${inv.accountName ?? ""} (${inv.accountId})`,
+    `Period: ${inv.period.from} - ${inv.period.to}`,
+    `Issued: ${inv.issuedAt.slice(0, 10)}`
+  ]) { doc.text(line, M, y); y += 14; }
+
+  y += 10;
+  for (const [label, amount] of summaryRows(inv)) {
+    const total = label.startsWith("Total");
+    doc.setFont("helvetica", total ? "bold" : "normal");
+    doc.text(label, M, y);
+    doc.text(money(amount), W - M, y, { align: "right" });
+    y += 15;
+  }
+
+  // line items, header repeated on every page
+  const tableHeader = () => {
+    doc.setFont("helvetica", "bold").setFontSize(8);
+    let x = M;
+    for (const [h, , w, fmt] of LINE_COLUMNS) { doc.text(h, fmt ? x + w - 4 : x, y, fmt ? { align: "right" } : undefined); x += w; }
+    doc.line(M, y + 4, W - M, y + 4);
+    y += 14;
+    doc.setFont("helvetica", "normal");
+  };
+  y += 16;
+  tableHeader();
+  for (const l of inv.lines) {
+    if (y > H - M - 20) { doc.addPage(); y = M + 10; tableHeader(); }
+    let x = M;
+    for (const [, k, w, fmt] of LINE_COLUMNS) {
+      const v = fmt ? fmt(l[k]) : String(l[k] ?? "");
+      doc.text(v, fmt ? x + w - 4 : x, y, fmt ? { align: "right" } : undefined);
+      x += w;
+    }
+    y += 12;
+  }
+  if (!inv.lines.length) doc.text("No billable SIMs in this period.", M, y);
+
+  const pages = doc.getNumberOfPages();
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p).setFontSize(8).text(`${inv.number} - page ${p} of ${pages}`, W - M, H - 15, { align: "right" });
+  }
+  return Buffer.from(doc.output("arraybuffer"));
+}
+
+// -> { body: Buffer, contentType }
+export function buildInvoiceFile(inv, format = "pdf") {
+  if (!INVOICE_FORMATS[format]) {
+    const e = new Error(`Invalid format "${format}" (${Object.keys(INVOICE_FORMATS).join("|")}|json)`); e.status = 400; throw e;
+  }
+  return { body: format === "pdf" ? invoicePdf(inv) : invoiceXlsx(inv), contentType: INVOICE_FORMATS[format] };
+}
@@ -0,0 +1,142 @@
+// Monthly invoices per account: generated from the month's fetch-data rows and the account's price plan
+// (lib/billing), stored as one JSON file per account per month:
+//   INVOICE_DIR (default .data/invoices)/<accountId>/<YYYY-MM>.json
+// plus <accountId>/index.json with each invoice's totals for the history list. An issued invoice is
+// only replaced on request (regenerate); it keeps its number.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { fetchAllData } from "./teltrip.js";
+import { getFxTable } from "./fx.js";
+import { getPlan, listPlans } from "./pricePlans.js";
+import { billingMonth, computeInvoice, previousMonth } from "./billing.js";
+import { audit } from "./audit.js";
+
+const INVOICE_DIR = process.env.INVOICE_DIR || path.join(process.cwd(), ".data", "invoices");
+const MONTH_RE = /^\d{4}-\d{2}$/;
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+const accountDir = (accountId) => {
+  if (!/^\d+$/.test(String(accountId))) throw httpError(400, `Invalid accountId "${accountId}"`);
+  return path.join(INVOICE_DIR, String(accountId));
+};
+const invoiceFile = (accountId, month) => {
+  if (!MONTH_RE.test(String(month))) throw httpError(400, `Invalid month "${month}" (expected YYYY-MM)`);
+  return path.join(accountDir(accountId), `${month}.json`);
+};
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+export const invoiceNumber = (accountId, month) => `INV-${accountId}-${month.replace("-", "")}`;
+
+const summary = ({ lines, plan, fx, ...rest }) => rest;
+
+// Calculate and store the invoice of one account for one closed month -> invoice summary (no lines).
+// regenerate: replace an existing invoice; allowIncomplete: bill even if some SIMs could not be fully
+// loaded (their usage would be under-billed, so this is refused by default with 502).
+export async function generateInvoice({ accountId, month, regenerate = false, allowIncomplete = false, now = new Date() }) {
+  const { key, from, to } = billingMonth(month, now);
+  const file = invoiceFile(accountId, key);
+  const previous = await readJson(file);
+  if (previous && !regenerate) throw httpError(409, `Invoice ${previous.number} for ${key} already exists (regenerate to replace it)`);
+
+  const plan = await getPlan(accountId);
+  const [{ rows }, fx] = await Promise.all([fetchAllData(accountId, { from, to }), getFxTable()]);
+  const incomplete = rows.filter(r => r._errors?.length);
+  if (incomplete.length && !allowIncomplete) {
+    throw httpError(502, `${incomplete.length} SIM(s) could not be fully loaded (e.g. ${incomplete[0].iccid}: ${incomplete[0]._errors[0].message}); retry, or allow incomplete data`);
+  }
+  const { lines, totals } = computeInvoice(rows, plan, { from, to }, fx);
+
+  const invoice = {
+    version: 1,
+    number: invoiceNumber(plan.accountId, key),
+    accountId: plan.accountId,
+    accountName: plan.accountName ?? rows[0]?.accountName ?? rows[0]?.account ?? null,
+    month: key,
+    period: { from, to },
+    currency: plan.currency,
+    issuedAt: new Date().toISOString(),
+    replaces: previous?.issuedAt ?? null,
+    incompleteSims: incomplete.length,
+    plan,
+    fx: { reportingCurrency: fx.reportingCurrency, rates: fx.rates, updatedAt: fx.updatedAt ?? null },
+    totals,
+    lines
+  };
+  await writeJson(file, invoice);
+
+  const indexFile = path.join(accountDir(plan.accountId), "index.json");
+  const index = (await readJson(indexFile))?.invoices ?? [];
+  const next = index.filter(i => i.month !== key).concat(summary(invoice)).sort((a, b) => a.month.localeCompare(b.month));
+  await writeJson(indexFile, { accountId: plan.accountId, invoices: next });
+  return summary(invoice);
+}
+
+// Monthly run (`npm run invoices`): invoice every account with a price plan (or only accountIds) for
+// `month` (default: the previous month). Accounts already invoiced for that month are skipped unless
+// regenerate. -> [{ accountId, ok, skipped?, error?, ...invoice summary }]
+export async function generateInvoices({ month = previousMonth(), accountIds = null, regenerate = false, allowIncomplete = false } = {}) {
+  const plans = (await listPlans())
+    .filter(p => !accountIds || accountIds.map(String).includes(String(p.accountId)));
+  const results = [];
+  for (const p of plans) {
+    if (!regenerate && await readJson(invoiceFile(p.accountId, month))) {
+      results.push({ accountId: p.accountId, month, ok: true, skipped: true });
+      continue;
+    }
+    try {
+      const inv = await generateInvoice({ accountId: p.accountId, month, regenerate, allowIncomplete });
+      results.push({ ...inv, ok: true });
+      audit(null, { user: null, action: "invoice", accountId: inv.accountId, month, number: inv.number,
+        amount: inv.totals.amount, currency: inv.currency, sims: inv.totals.sims, regenerated: Boolean(inv.replaces) });
+    } catch (e) {
+      results.push({ accountId: p.accountId, month, ok: false, error: e.message });
+      audit(null, { user: null, action: "invoice", accountId: p.accountId, month, error: e.message });
+    }
+  }
+  return results;
+}
+
+// -> [{ number, accountId, accountName, month, period, currency, issuedAt, totals, … }] oldest first
+export async function listInvoices(accountId) {
+  return (await readJson(path.join(accountDir(accountId), "index.json")))?.invoices ?? [];
+}
+
+// Invoice history of several accounts, newest first
+export async function listInvoicesFor(accountIds) {
+  const lists = await Promise.all(accountIds.map(id => listInvoices(id)));
+  return lists.flat().sort((a, b) => b.month.localeCompare(a.month) || String(a.accountName ?? a.accountId).localeCompare(String(b.accountName ?? b.accountId)));
+}
+
+// Account ids that have invoices on disk
+export async function invoicedAccountIds() {
+  try {
+    return (await fs.readdir(INVOICE_DIR, { withFileTypes: true }))
+      .filter(d => d.isDirectory() && /^\d+$/.test(d.name)).map(d => Number(d.name));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+export async function readInvoice(accountId, month) {
+  const inv = await readJson(invoiceFile(accountId, month));
+  if (!inv) throw httpError(404, `No invoice of account ${accountId} for ${month}`);
+  return inv;
+}
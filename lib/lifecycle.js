@@ -0,0 +1,75 @@
+// Subscriber lifecycle mutations through callOCS: status changes and package assignment.
+// The OCS operation names are only referenced here.
+//
+// Mutations go out with retries: 0. callOCS retries timeouts and 5xx, and a retried
+// affectPackageToSubscriber could assign (and bill) a package twice.
+
+import { callOCS } from "./ocs.js";
+import { fetchPackageList } from "./teltrip.js";
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+const once = (payload) => callOCS(payload, { retries: 0 });
+
+function templateIdOf(params) {
+  const id = Number(params.templateId);
+  if (!Number.isInteger(id) || id <= 0) throw httpError(400, "templateId is required");
+  return id;
+}
+
+// action -> { label, needsTemplate, run({ subscriberId, params }) -> result summary }
+export const LIFECYCLE_ACTIONS = {
+  suspend: {
+    label: "Suspend",
+    run: async ({ subscriberId }) => {
+      await once({ suspendSubscriber: { subscriberId } });
+      return { status: "SUSPENDED" };
+    }
+  },
+  resume: {
+    label: "Resume",
+    run: async ({ subscriberId }) => {
+      await once({ resumeSubscriber: { subscriberId } });
+      return { status: "ACTIVE" };
+    }
+  },
+  terminate: {
+    label: "Terminate",
+    run: async ({ subscriberId }) => {
+      await once({ terminateSubscriber: { subscriberId } });
+      return { status: "TERMINATED" };
+    }
+  },
+  assignPackage: {
+    label: "Assign package",
+    needsTemplate: true,
+    run: async ({ subscriberId, params }) => {
+      const templateId = templateIdOf(params);
+      await once({ affectPackageToSubscriber: { packageTemplateId: templateId, subscriberId } });
+      return { templateId };
+    }
+  },
+  // assign first, then remove the old package: a failure leaves the SIM with two packages, never none
+  replacePackage: {
+    label: "Replace package",
+    needsTemplate: true,
+    run: async ({ subscriberId, params }) => {
+      const templateId = templateIdOf(params);
+      const current = (await fetchPackageList(subscriberId)).at(-1);
+      if (!current?.subscriberprepaidpackageid) throw httpError(409, "Subscriber has no package to replace");
+      await once({ affectPackageToSubscriber: { packageTemplateId: templateId, subscriberId } });
+      try {
+        await once({ deleteSubscriberPrepaidPackage: { subscriberPrepaidPackageId: current.subscriberprepaidpackageid } });
+      } catch (e) {
+        throw httpError(502, `New package assigned, but removing package ${current.subscriberprepaidpackageid} failed: ${e.message}`);
+      }
+      return { templateId, replacedPackageId: current.subscriberprepaidpackageid };
+    }
+  }
+};
+
+export async function runLifecycleAction(action, { subscriberId, params = {} }) {
+  const def = Object.hasOwn(LIFECYCLE_ACTIONS, action) ? LIFECYCLE_ACTIONS[action] : null;
+  if (!def) throw httpError(400, `Unknown action "${action}" (${Object.keys(LIFECYCLE_ACTIONS).join("|")})`);
+  return def.run({ subscriberId, params });
+}
@@ -0,0 +1,62 @@
+// Login brute-force protection: failed attempts are counted per username and per client IP inside a
+// sliding window; crossing the limit locks that username / IP out for a while. In-memory (per server
+// process), like the OCS rate limiter.
+//
+// env: LOGIN_MAX_FAILURES_USER (5), LOGIN_MAX_FAILURES_IP (20), LOGIN_WINDOW_MINUTES (15),
+//      LOGIN_LOCKOUT_MINUTES (15)
+
+const num = (v, dflt) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : dflt);
+const config = () => ({
+  maxUser: num(process.env.LOGIN_MAX_FAILURES_USER, 5),
+  maxIp: num(process.env.LOGIN_MAX_FAILURES_IP, 20),
+  windowMs: num(process.env.LOGIN_WINDOW_MINUTES, 15) * 60_000,
+  lockoutMs: num(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60_000
+});
+
+const MAX_KEYS = 10_000;
+const state = new Map(); // "user:<name>" | "ip:<addr>" -> { failures: [ms...], lockedUntil }
+
+const keysOf = ({ ip, username }) => [
+  username ? { key: `user:${username}`, limit: "maxUser" } : null,
+  ip ? { key: `ip:${ip}`, limit: "maxIp" } : null
+].filter(Boolean);
+
+function prune(now, windowMs) {
+  if (state.size < MAX_KEYS) return;
+  for (const [k, s] of state) {
+    if (s.lockedUntil <= now && !s.failures.some(t => now - t < windowMs)) state.delete(k);
+  }
+}
+
+// -> { retryAfter (seconds), scope: "user"|"ip" } while locked out, else null
+export function loginLockout({ ip, username }, now = Date.now()) {
+  for (const { key } of keysOf({ ip, username })) {
+    const s = state.get(key);
+    if (s?.lockedUntil > now) return { retryAfter: Math.ceil((s.lockedUntil - now) / 1000), scope: key.split(":")[0] };
+  }
+  return null;
+}
+
+// Count a failed attempt; returns the lockout when this attempt triggered one
+export function recordLoginFailure({ ip, username }, now = Date.now()) {
+  const cfg = config();
+  prune(now, cfg.windowMs);
+  let locked = null;
+  for (const { key, limit } of keysOf({ ip, username })) {
+    const s = state.get(key) ?? { failures: [], lockedUntil: 0 };
+    s.failures = s.failures.filter(t => now - t < cfg.windowMs);
+    s.failures.push(now);
+    if (s.failures.length >= cfg[limit]) {
+      s.lockedUntil = now + cfg.lockoutMs;
+      s.failures = [];
+      locked ??= { retryAfter: Math.ceil(cfg.lockoutMs / 1000), scope: key.split(":")[0] };
+    }
+    state.set(key, s);
+  }
+  return locked;
+}
+
+// A successful login clears the username's failures (the IP counter keeps running)
+export function recordLoginSuccess({ username }) {
+  if (username) state.delete(`user:${username}`);
+}
@@ -0,0 +1,31 @@
+// Outgoing mail over SMTP (nodemailer). Configure with
+//   SMTP_HOST, SMTP_PORT (default 587, or 465 when SMTP_SECURE=1), SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+// For local testing point it at `npm run smtp-sink` (SMTP_HOST=127.0.0.1 SMTP_PORT=2525).
+
+import nodemailer from "nodemailer";
+
+let transport = null;
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+export const mailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+function getTransport() {
+  if (transport) return transport;
+  if (!mailConfigured()) throw httpError(500, "SMTP_HOST is not set");
+  const secure = process.env.SMTP_SECURE === "1" || process.env.SMTP_SECURE === "true";
+  transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" } : undefined
+  });
+  return transport;
+}
+
+// { to: [..], subject, text, attachments: [{ filename, content, contentType }] } -> { messageId, accepted, rejected }
+export async function sendMail({ to, subject, text, attachments = [] }) {
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER || "teltrip-dashboard@localhost";
+  const info = await getTransport().sendMail({ from, to, subject, text, attachments });
+  return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+}
@@ -0,0 +1,86 @@
+// MCC/MNC → country / operator lookup (subset covering Teltrip's usual roaming footprint).
+// Pure data + helpers: safe for client components. Unknown codes resolve to null names.
+
+// MCC -> [ISO 3166 alpha-2, country]
+const COUNTRIES = {
+  "202": ["GR", "Greece"], "204": ["NL", "Netherlands"], "206": ["BE", "Belgium"], "208": ["FR", "France"],
+  "212": ["MC", "Monaco"], "213": ["AD", "Andorra"], "214": ["ES", "Spain"], "216": ["HU", "Hungary"],
+  "218": ["BA", "Bosnia and Herzegovina"], "219": ["HR", "Croatia"], "220": ["RS", "Serbia"], "221": ["XK", "Kosovo"],
+  "222": ["IT", "Italy"], "226": ["RO", "Romania"], "228": ["CH", "Switzerland"], "230": ["CZ", "Czechia"],
+  "231": ["SK", "Slovakia"], "232": ["AT", "Austria"], "234": ["GB", "United Kingdom"], "235": ["GB", "United Kingdom"],
+  "238": ["DK", "Denmark"], "240": ["SE", "Sweden"], "242": ["NO", "Norway"], "244": ["FI", "Finland"],
+  "246": ["LT", "Lithuania"], "247": ["LV", "Latvia"], "248": ["EE", "Estonia"], "250": ["RU", "Russia"],
+  "255": ["UA", "Ukraine"], "257": ["BY", "Belarus"], "259": ["MD", "Moldova"], "260": ["PL", "Poland"],
+  "262": ["DE", "Germany"], "266": ["GI", "Gibraltar"], "268": ["PT", "Portugal"], "270": ["LU", "Luxembourg"],
+  "272": ["IE", "Ireland"], "274": ["IS", "Iceland"], "276": ["AL", "Albania"], "278": ["MT", "Malta"],
+  "280": ["CY", "Cyprus"], "282": ["GE", "Georgia"], "283": ["AM", "Armenia"], "284": ["BG", "Bulgaria"],
+  "286": ["TR", "Türkiye"], "288": ["FO", "Faroe Islands"], "293": ["SI", "Slovenia"], "294": ["MK", "North Macedonia"],
+  "295": ["LI", "Liechtenstein"], "297": ["ME", "Montenegro"],
+  "302": ["CA", "Canada"], "310": ["US", "United States"], "311": ["US", "United States"], "312": ["US", "United States"],
+  "313": ["US", "United States"], "314": ["US", "United States"], "315": ["US", "United States"], "316": ["US", "United States"],
+  "334": ["MX", "Mexico"],
+  "404": ["IN", "India"], "405": ["IN", "India"], "410": ["PK", "Pakistan"], "413": ["LK", "Sri Lanka"],
+  "415": ["LB", "Lebanon"], "416": ["JO", "Jordan"], "418": ["IQ", "Iraq"], "419": ["KW", "Kuwait"],
+  "420": ["SA", "Saudi Arabia"], "422": ["OM", "Oman"], "424": ["AE", "United Arab Emirates"], "425": ["IL", "Israel"],
+  "426": ["BH", "Bahrain"], "427": ["QA", "Qatar"], "432": ["IR", "Iran"], "440": ["JP", "Japan"], "441": ["JP", "Japan"],
+  "450": ["KR", "South Korea"], "452": ["VN", "Vietnam"], "454": ["HK", "Hong Kong"], "455": ["MO", "Macau"],
+  "456": ["KH", "Cambodia"], "460": ["CN", "China"], "466": ["TW", "Taiwan"], "470": ["BD", "Bangladesh"],
+  "502": ["MY", "Malaysia"], "505": ["AU", "Australia"], "510": ["ID", "Indonesia"], "515": ["PH", "Philippines"],
+  "520": ["TH", "Thailand"], "525": ["SG", "Singapore"], "530": ["NZ", "New Zealand"],
+  "602": ["EG", "Egypt"], "603": ["DZ", "Algeria"], "604": ["MA", "Morocco"], "605": ["TN", "Tunisia"],
+  "621": ["NG", "Nigeria"], "639": ["KE", "Kenya"], "655": ["ZA", "South Africa"],
+  "716": ["PE", "Peru"], "722": ["AR", "Argentina"], "724": ["BR", "Brazil"], "730": ["CL", "Chile"],
+  "732": ["CO", "Colombia"], "748": ["UY", "Uruguay"],
+  "901": [null, "International networks"]
+};
+
+// "MCC-MNC" -> operator
+const OPERATORS = {
+  "202-01": "Cosmote", "202-05": "Vodafone GR",
+  "204-04": "Vodafone NL", "204-08": "KPN", "204-16": "Odido (T-Mobile NL)",
+  "206-01": "Proximus", "206-10": "Orange Belgium", "206-20": "BASE",
+  "208-01": "Orange", "208-10": "SFR", "208-15": "Free Mobile", "208-20": "Bouygues Telecom",
+  "214-01": "Vodafone ES", "214-03": "Orange ES", "214-07": "Movistar",
+  "221-01": "Vala", "221-02": "IPKO",
+  "222-01": "TIM", "222-10": "Vodafone IT", "222-88": "WINDTRE", "222-99": "WINDTRE (3)",
+  "228-01": "Swisscom", "228-02": "Sunrise", "228-03": "Salt",
+  "232-01": "A1 Austria", "232-03": "Magenta Telekom", "232-10": "Drei",
+  "234-10": "O2 UK", "234-15": "Vodafone UK", "234-20": "Three UK", "234-30": "EE",
+  "262-01": "Telekom Deutschland", "262-02": "Vodafone DE", "262-03": "O2 Germany",
+  "268-01": "Vodafone PT", "268-03": "NOS", "268-06": "MEO",
+  "276-01": "One Albania", "276-02": "Vodafone AL",
+  "286-01": "Turkcell", "286-02": "Vodafone TR", "286-03": "Türk Telekom",
+  "302-220": "Telus", "302-610": "Bell", "302-720": "Rogers",
+  "310-260": "T-Mobile US", "310-410": "AT&T", "311-480": "Verizon",
+  "420-01": "stc",
+  "424-02": "e& (Etisalat)", "424-03": "du",
+  "440-10": "NTT docomo", "440-20": "SoftBank", "440-50": "KDDI au", "440-51": "KDDI au",
+  "450-05": "SK Telecom", "450-08": "KT",
+  "460-00": "China Mobile", "460-01": "China Unicom",
+  "505-01": "Telstra", "505-02": "Optus", "505-03": "Vodafone AU",
+  "525-01": "Singtel"
+};
+
+const normMcc = (mcc) => mcc == null || mcc === "" ? null : String(mcc).trim().padStart(3, "0");
+
+// MNCs arrive as numbers (10) or strings ("010"); try the 2- and 3-digit spellings
+function operatorFor(mcc, mnc) {
+  if (mcc == null || mnc == null || mnc === "") return null;
+  const raw = String(mnc).trim();
+  const n = String(Number(raw));
+  for (const m of [raw, n.padStart(2, "0"), n.padStart(3, "0")]) {
+    const op = OPERATORS[`${mcc}-${m}`];
+    if (op) return op;
+  }
+  return null;
+}
+
+export function lookupNetwork(mccIn, mncIn) {
+  const mcc = normMcc(mccIn);
+  const mnc = mncIn == null || mncIn === "" ? null : String(mncIn).trim();
+  const [countryCode, country] = (mcc && COUNTRIES[mcc]) || [null, null];
+  return { mcc, mnc, countryCode, country, operator: operatorFor(mcc, mnc) };
+}
+
+// Stable key for grouping per network
+export const networkKey = (mcc, mnc) => `${normMcc(mcc) ?? "?"}-${mnc == null || mnc === "" ? "?" : Number.isFinite(Number(mnc)) ? String(Number(mnc)) : String(mnc)}`;
@@ -0,0 +1,23 @@
+// NDJSON reader for streamed API responses (browser). Client-safe: no server imports.
+
+// Calls onBatch(messages) once per received chunk; init is passed to fetch (e.g. method/body for POST)
+export async function streamNDJSON(url, onBatch, signal, init = {}) {
+  const res = await fetch(url, { cache: "no-store", ...init, signal });
+  if (!res.ok || !res.body) {
+    const txt = await res.text();
+    throw new Error(`HTTP ${res.status} ${res.statusText}${txt ? " :: " + txt.slice(0,300) : ""}`);
+  }
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    buf += decoder.decode(value ?? new Uint8Array(), { stream: !done });
+    const lines = buf.split("\n");
+    buf = lines.pop();
+    const msgs = lines.filter(l => l.trim()).map(l => JSON.parse(l));
+    if (msgs.length) onBatch(msgs);
+    if (done) break;
+  }
+  if (buf.trim()) onBatch([JSON.parse(buf)]);
+}
@@ -0,0 +1,129 @@
+// Shared OCS client used by every route and lib module.
+// - bounded retries with exponential backoff (+ jitter) on 429, 5xx, timeouts and network errors
+// - one process-wide requests-per-second limiter, shared by all concurrent pMap workers
+// - one structured JSON log line per attempt, with the token redacted
+
+const envNum = (name, dflt) => {
+  const v = process.env[name];
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : dflt;
+};
+
+const config = () => ({
+  base: process.env.OCS_BASE_URL,
+  token: process.env.OCS_TOKEN,
+  maxRetries: envNum("OCS_MAX_RETRIES", 3),
+  timeoutMs: envNum("OCS_TIMEOUT_MS", 25_000),
+  rps: envNum("OCS_RPS", 10),            // 0 disables the limiter
+  backoffBaseMs: envNum("OCS_BACKOFF_MS", 500),
+  backoffMaxMs: 10_000,
+  log: process.env.OCS_LOG || "info"     // off | error | info
+});
+
+export class OcsError extends Error {
+  constructor(message, { status = null, op = null, retriable = false } = {}) {
+    super(message);
+    this.name = "OcsError";
+    this.status = status;
+    this.op = op;
+    this.retriable = retriable;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ---------- rate limiter ----------
+// Requests are spaced 1000/rps ms apart; each caller reserves the next free slot.
+let nextSlot = 0;
+async function acquireSlot(rps) {
+  if (!rps || rps <= 0) return;
+  const now = Date.now();
+  const at = Math.max(now, nextSlot);
+  nextSlot = at + 1000 / rps;
+  if (at > now) await sleep(at - now);
+}
+
+// ---------- logging ----------
+function redact(s, token) {
+  if (!s) return s;
+  let out = String(s).replace(/([?&]token=)[^&\s"]*/gi, "$1***");
+  if (token) out = out.split(token).join("***").split(encodeURIComponent(token)).join("***");
+  return out;
+}
+
+function log(cfg, level, fields) {
+  if (cfg.log === "off") return;
+  if (cfg.log === "error" && level !== "error") return;
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, scope: "ocs", ...fields });
+  (level === "error" ? console.error : console.log)(redact(line, cfg.token));
+}
+
+// ---------- core ----------
+function backoffDelay(cfg, attempt, retryAfter) {
+  const ra = Number(retryAfter);
+  if (Number.isFinite(ra) && ra >= 0) return Math.min(ra * 1000, cfg.backoffMaxMs);
+  const exp = Math.min(cfg.backoffBaseMs * 2 ** attempt, cfg.backoffMaxMs);
+  return exp / 2 + Math.random() * exp / 2;
+}
+
+async function attemptOnce(cfg, op, payload) {
+  const url = `${cfg.base}?token=${encodeURIComponent(cfg.token)}`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), cfg.timeoutMs);
+  let r;
+  try {
+    r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      cache: "no-store",
+      signal: controller.signal
+    });
+  } catch (e) {
+    const timedOut = e?.name === "AbortError";
+    throw new OcsError(timedOut ? `Timeout after ${cfg.timeoutMs}ms` : `Network error: ${e?.cause?.message || e.message}`, { op, retriable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+  const text = await r.text();
+  let json = null; try { json = text ? JSON.parse(text) : null; } catch {}
+  if (!r.ok) {
+    const err = new OcsError(`HTTP ${r.status} ${r.statusText}${text ? " :: " + text.slice(0,300) : ""}`, {
+      status: r.status, op, retriable: r.status === 429 || r.status >= 500
+    });
+    err.retryAfter = r.headers.get("retry-after");
+    throw err;
+  }
+  return { json: json ?? {}, status: r.status, bytes: text.length };
+}
+
+export async function callOCS(payload, { retries } = {}) {
+  const cfg = config();
+  if (!cfg.base) throw new OcsError("OCS_BASE_URL missing");
+  if (!cfg.token) throw new OcsError("OCS_TOKEN missing");
+  const op = Object.keys(payload || {})[0] || "unknown";
+  const maxRetries = retries ?? cfg.maxRetries;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(cfg.rps);
+    const t0 = Date.now();
+    log(cfg, "info", { event: "request", op, attempt, url: `${cfg.base}?token=***` });
+    try {
+      const res = await attemptOnce(cfg, op, payload);
+      log(cfg, "info", { event: "response", op, attempt, status: res.status, ms: Date.now() - t0, bytes: res.bytes });
+      return res.json;
+    } catch (e) {
+      const willRetry = e.retriable && attempt < maxRetries;
+      const delay = willRetry ? Math.round(backoffDelay(cfg, attempt, e.retryAfter)) : null;
+      log(cfg, willRetry ? "info" : "error", {
+        event: willRetry ? "retry" : "failure", op, attempt, status: e.status ?? null,
+        ms: Date.now() - t0, error: e.message.slice(0, 300), ...(willRetry ? { delayMs: delay } : {})
+      });
+      if (!willRetry) {
+        e.message = redact(e.message, cfg.token);
+        throw e;
+      }
+      await sleep(delay);
+    }
+  }
+}
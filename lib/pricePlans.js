@@ -0,0 +1,57 @@
+// Per-account price plans for invoicing (see lib/billing for what the fields mean).
+// Store: PRICE_PLANS_FILE or .data/price-plans.json, one plan per account, edited on /billing.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { normalizePlan } from "./billing.js";
+
+const PLANS_FILE = process.env.PRICE_PLANS_FILE || path.join(process.cwd(), ".data", "price-plans.json");
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+// ---------- store ----------
+async function readStore() {
+  try {
+    const data = JSON.parse(await fs.readFile(PLANS_FILE, "utf8"));
+    return Array.isArray(data?.plans) ? data.plans : [];
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw new Error(`Cannot read price plans ${PLANS_FILE}: ${e.message}`);
+  }
+}
+
+async function writeStore(plans) {
+  await fs.mkdir(path.dirname(PLANS_FILE), { recursive: true });
+  const tmp = `${PLANS_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, plans }, null, 2));
+  await fs.rename(tmp, PLANS_FILE);
+}
+
+export async function listPlans() {
+  return readStore();
+}
+
+// -> the account's plan; 404 when it has none
+export async function getPlan(accountId) {
+  const plan = (await readStore()).find(p => String(p.accountId) === String(accountId));
+  if (!plan) throw httpError(404, `No price plan for account ${accountId}`);
+  return plan;
+}
+
+// Creates or replaces the account's plan -> saved plan
+export async function savePlan(input) {
+  const plans = await readStore();
+  const i = plans.findIndex(p => String(p.accountId) === String(input?.accountId));
+  const plan = normalizePlan({ ...input, accountName: input?.accountName ?? (i >= 0 ? plans[i].accountName : null) });
+  plan.updatedAt = new Date().toISOString();
+  if (i >= 0) plans[i] = plan; else plans.push(plan);
+  await writeStore(plans);
+  return plan;
+}
+
+export async function deletePlan(accountId) {
+  const plans = await readStore();
+  const next = plans.filter(p => String(p.accountId) !== String(accountId));
+  if (next.length === plans.length) throw httpError(404, `No price plan for account ${accountId}`);
+  await writeStore(next);
+}
@@ -0,0 +1,184 @@
+// E-mailed account reports: the dashboard export (CSV/XLSX) of one account, sent to its recipients
+//   weekly  — on Mondays, covering the previous Monday–Sunday
+//   monthly — on the 1st, covering the previous calendar month
+// Store: REPORT_SCHEDULES_FILE or .data/report-schedules.json, one entry per account.
+// runDueReports() is meant to be called daily (cron route or `npm run reports`); a report that was
+// missed (server down on Monday) is sent on the next run of the same week / month, never twice.
+// The first report of a new schedule goes out on the next Monday / 1st.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { fetchAllData } from "./teltrip.js";
+import { buildExport, exportFilename, EXPORT_FORMATS } from "./export.js";
+import { sumTotals } from "./reports.js";
+import { sendMail } from "./mailer.js";
+import { getFxTable } from "./fx.js";
+import { audit } from "./audit.js";
+
+const SCHEDULES_FILE = process.env.REPORT_SCHEDULES_FILE || path.join(process.cwd(), ".data", "report-schedules.json");
+const EMAIL_RE = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+export const REPORT_KINDS = ["weekly", "monthly"];
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+// ---------- store ----------
+async function readStore() {
+  try {
+    const data = JSON.parse(await fs.readFile(SCHEDULES_FILE, "utf8"));
+    return Array.isArray(data?.schedules) ? data.schedules : [];
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw new Error(`Cannot read report schedules ${SCHEDULES_FILE}: ${e.message}`);
+  }
+}
+
+async function writeStore(schedules) {
+  await fs.mkdir(path.dirname(SCHEDULES_FILE), { recursive: true });
+  const tmp = `${SCHEDULES_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, schedules }, null, 2));
+  await fs.rename(tmp, SCHEDULES_FILE);
+}
+
+// "a@x.com, b@y.com" | ["a@x.com", …] -> unique, validated addresses
+function parseRecipients(value) {
+  const list = (Array.isArray(value) ? value : String(value ?? "").split(/[\s,;]+/))
+    .map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const bad = list.find(s => !EMAIL_RE.test(s));
+  if (bad) throw httpError(400, `Invalid e-mail address "${bad}"`);
+  return [...new Set(list)];
+}
+
+export async function listSchedules() {
+  return readStore();
+}
+
+// { accountId, accountName?, recipients, weekly?, monthly?, format? } -> saved schedule (replaces the account's entry)
+export async function saveSchedule({ accountId, accountName, recipients, weekly = true, monthly = true, format = "xlsx" }) {
+  if (!/^\d+$/.test(String(accountId ?? ""))) throw httpError(400, `Invalid accountId "${accountId ?? ""}"`);
+  if (!EXPORT_FORMATS[format]) throw httpError(400, `Invalid format "${format}" (${Object.keys(EXPORT_FORMATS).join("|")})`);
+  const to = parseRecipients(recipients);
+  if (!to.length) throw httpError(400, "At least one recipient is required");
+
+  const schedules = await readStore();
+  const i = schedules.findIndex(s => String(s.accountId) === String(accountId));
+  const prev = i >= 0 ? schedules[i] : null;
+  const schedule = {
+    accountId: Number(accountId),
+    accountName: accountName ?? prev?.accountName ?? null,
+    recipients: to,
+    weekly: Boolean(weekly),
+    monthly: Boolean(monthly),
+    format,
+    // a new schedule starts with the next Monday / 1st rather than catching up on the current one
+    lastSent: prev?.lastSent ?? Object.fromEntries(REPORT_KINDS.map(k => [k, reportPeriod(k).key])),
+    updatedAt: new Date().toISOString()
+  };
+  if (i >= 0) schedules[i] = schedule; else schedules.push(schedule);
+  await writeStore(schedules);
+  return schedule;
+}
+
+export async function deleteSchedule(accountId) {
+  const schedules = await readStore();
+  const next = schedules.filter(s => String(s.accountId) !== String(accountId));
+  if (next.length === schedules.length) throw httpError(404, `No report schedule for account ${accountId}`);
+  await writeStore(next);
+}
+
+// ---------- periods (UTC) ----------
+const ymd = (d) => d.toISOString().slice(0, 10);
+const utcDay = (y, m, d) => new Date(Date.UTC(y, m, d));
+
+// The run a report belongs to at `now`: key = the Monday / the 1st it is due on, period = what it covers
+export function reportPeriod(kind, now = new Date()) {
+  const y = now.getUTCFullYear(), m = now.getUTCMonth(), d = now.getUTCDate();
+  if (kind === "weekly") {
+    const monday = utcDay(y, m, d - ((now.getUTCDay() + 6) % 7));
+    const from = utcDay(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate() - 7);
+    const to = utcDay(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate() - 1);
+    return { key: ymd(monday), from: ymd(from), to: ymd(to) };
+  }
+  if (kind === "monthly") {
+    return { key: ymd(utcDay(y, m, 1)), from: ymd(utcDay(y, m - 1, 1)), to: ymd(utcDay(y, m, 0)) };
+  }
+  throw httpError(400, `Invalid report kind "${kind}" (${REPORT_KINDS.join("|")})`);
+}
+
+// ---------- sending ----------
+const money = (n) => Number(n ?? 0).toFixed(2);
+
+function reportText(schedule, kind, period, rows, fx) {
+  const t = sumTotals(rows, fx);
+  const cur = t.currency ? ` ${t.currency}` : "";
+  const perCurrency = Object.entries(t.byCurrency);
+  return [
+    `Teltrip ${kind} report for ${schedule.accountName || `account ${schedule.accountId}`}`,
+    `Period: ${period.from} – ${period.to}`,
+    "",
+    `SIMs: ${rows.length}`,
+    `Subscriber cost: ${money(t.totalSubscriberOneTime)}${cur}`,
+    `Reseller cost: ${money(t.totalReseller)}${cur}`,
+    `PNL: ${money(t.pnl)}${cur}`,
+    ...(perCurrency.length > 1 || t.unconverted.length ? [
+      "",
+      "Per original currency (subscriber cost / reseller cost / PNL):",
+      ...perCurrency.map(([c, g]) => `  ${c}: ${money(g.totalSubscriberOneTime)} / ${money(g.totalReseller)} / ${money(g.pnl)}${t.unconverted.includes(c) ? " (no FX rate, not in the totals above)" : ""}`)
+    ] : []),
+    ...(t.incompleteRows ? ["", `${t.incompleteRows} row(s) could not be fully loaded; see the enrichmentErrors column.`] : []),
+    "",
+    "The full subscriber list is attached."
+  ].join("\n");
+}
+
+// Build and mail one report -> { accountId, kind, period, rows, recipients, messageId }
+export async function sendReport(schedule, kind, now = new Date()) {
+  const { from, to } = reportPeriod(kind, now);
+  const [{ rows, period }, fx] = await Promise.all([fetchAllData(schedule.accountId, { from, to }), getFxTable()]);
+  const accountName = schedule.accountName || rows[0]?.account || null;
+  const { body, contentType } = buildExport(rows, { format: schedule.format });
+  const info = await sendMail({
+    to: schedule.recipients,
+    subject: `Teltrip ${kind} report – ${accountName || `account ${schedule.accountId}`} – ${period.from} to ${period.to}`,
+    text: reportText({ ...schedule, accountName }, kind, period, rows, fx),
+    attachments: [{ filename: exportFilename(period, schedule.format, schedule.accountId), content: body, contentType }]
+  });
+  return { accountId: schedule.accountId, kind, period, rows: rows.length, recipients: schedule.recipients, messageId: info.messageId };
+}
+
+// Send every report that is due at `now` and not sent yet for its run.
+// force: send even if already sent for this run, kinds: limit to some kinds, accountIds: limit to some accounts,
+// dryRun: only list what would be sent.
+// -> [{ accountId, kind, key, ok, error?, ...sendReport result }]
+export async function runDueReports({ now = new Date(), force = false, kinds = REPORT_KINDS, accountIds = null, dryRun = false } = {}) {
+  const schedules = (await readStore())
+    .filter(s => !accountIds || accountIds.map(String).includes(String(s.accountId)));
+  const results = [];
+  for (const s of schedules) {
+    for (const kind of kinds) {
+      if (!s[kind]) continue;
+      const { key } = reportPeriod(kind, now);
+      if (!force && s.lastSent?.[kind] === key) continue;
+      if (dryRun) { results.push({ accountId: s.accountId, kind, key, ok: true, dryRun: true }); continue; }
+      try {
+        const sent = await sendReport(s, kind, now);
+        results.push({ ...sent, key, ok: true });
+        await markSent(s.accountId, kind, key);
+        audit(null, { user: null, action: "report_sent", accountId: s.accountId, kind, from: sent.period.from, to: sent.period.to, rows: sent.rows, recipients: sent.recipients.join(",") });
+      } catch (e) {
+        results.push({ accountId: s.accountId, kind, key, ok: false, error: e.message });
+        audit(null, { user: null, action: "report_sent", accountId: s.accountId, kind, error: e.message });
+      }
+    }
+  }
+  return results;
+}
+
+// re-read before writing so concurrent edits to other schedules are kept
+async function markSent(accountId, kind, key) {
+  const schedules = await readStore();
+  const s = schedules.find(x => String(x.accountId) === String(accountId));
+  if (!s) return;
+  s.lastSent = { ...s.lastSent, [kind]: key, [`${kind}At`]: new Date().toISOString() };
+  await writeStore(schedules);
+}
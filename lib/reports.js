@@ -0,0 +1,294 @@
+// Pure aggregations over fetch-data rows. No server imports: safe to use from client components.
+
+import { lookupNetwork, networkKey } from "./mccmnc.js";
+
+const num = (v) => Number.isFinite(v) ? Number(v) : 0;
+
+// ---------- currencies ----------
+// fx is the table from lib/fx.js ({ reportingCurrency, defaultCurrency, rates }); without one nothing is converted.
+
+// Currency of a cost amount; costs the OCS returned without one are in fx.defaultCurrency
+export const costCurrency = (currency, fx) => String(currency || fx?.defaultCurrency || "").toUpperCase() || null;
+
+// amount in the reporting currency; null when there is no rate for its currency
+export function toReporting(amount, currency, fx) {
+  if (!Number.isFinite(amount) || amount === 0) return 0;
+  if (!fx) return Number(amount);
+  const c = costCurrency(currency, fx);
+  if (c === fx.reportingCurrency) return Number(amount);
+  const rate = fx.rates?.[c];
+  return Number.isFinite(rate) ? amount * rate : null;
+}
+
+// amount in `target` (any currency of the table, via the reporting currency); null without a rate
+export function convertAmount(amount, currency, target, fx) {
+  if (!Number.isFinite(amount) || amount === 0) return 0;
+  if (!fx) return Number(amount);
+  const to = String(target).toUpperCase();
+  if (costCurrency(currency, fx) === to) return Number(amount);
+  const inReporting = toReporting(amount, currency, fx);
+  if (inReporting == null) return null;
+  if (to === fx.reportingCurrency) return inReporting;
+  const rate = fx.rates?.[to];
+  return Number.isFinite(rate) ? inReporting / rate : null;
+}
+
+// ---------- revenue ----------
+// One-time revenue of a row -> [{ amount, currency, month }]: every package activated in the period, in its
+// activation month. Rows without a package history (e.g. snapshots taken before it was kept) fall back to
+// the current package's cost, with no month.
+export function revenueItems(r) {
+  if (Array.isArray(r?.packagesInPeriod)) {
+    return r.packagesInPeriod.filter(p => p.revenueMonth).map(p => ({ amount: p.cost, currency: p.currency, month: p.revenueMonth }));
+  }
+  return [{ amount: r?.subscriberOneTimeCost, currency: r?.subscriberOneTimeCostCurrency, month: null }];
+}
+
+// Subscriber one-time revenue vs reseller cost (PNL) for a set of rows.
+// With fx the totals are in fx.reportingCurrency (amounts without a rate are left out and their
+// currencies listed in `unconverted`); byCurrency always has the unconverted sums per original currency.
+export function sumTotals(rows, fx = null) {
+  let totalReseller = 0, totalSubscriberOneTime = 0, totalBytes = 0, incompleteRows = 0;
+  const byCurrency = {}, unconverted = new Set();
+  const add = (field, amount, currency) => {
+    if (!Number.isFinite(amount) || amount === 0) return 0;
+    const c = costCurrency(currency, fx) ?? "?";
+    const g = byCurrency[c] ??= { totalSubscriberOneTime: 0, totalReseller: 0, pnl: 0 };
+    g[field] += amount;
+    g.pnl = g.totalSubscriberOneTime - g.totalReseller;
+    const converted = toReporting(amount, currency, fx);
+    if (converted == null) { unconverted.add(c); return 0; }
+    return converted;
+  };
+  for (const r of rows) {
+    if (r?._errors?.length) incompleteRows++;
+    totalReseller += add("totalReseller", r?.resellerCostInPeriod, r?.resellerCostInPeriodCurrency);
+    for (const i of revenueItems(r)) totalSubscriberOneTime += add("totalSubscriberOneTime", i.amount, i.currency);
+    totalBytes += num(r?.totalBytesInPeriod);
+  }
+  return {
+    sims: rows.length,
+    totalReseller,
+    totalSubscriberOneTime,
+    totalBytes,
+    pnl: totalSubscriberOneTime - totalReseller,
+    currency: fx?.reportingCurrency ?? null,
+    byCurrency,
+    unconverted: Array.from(unconverted),
+    incompleteRows
+  };
+}
+
+// Totals per account, ordered by account name
+export function totalsByAccount(rows, fx = null) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = String(r?.accountId ?? r?.account ?? "");
+    if (!groups.has(key)) groups.set(key, { accountId: r?.accountId ?? null, accountName: r?.accountName ?? r?.account ?? null, rows: [] });
+    groups.get(key).rows.push(r);
+  }
+  return Array.from(groups.values())
+    .map(({ rows: list, ...g }) => ({ ...g, ...sumTotals(list, fx) }))
+    .sort((a, b) => String(a.accountName ?? a.accountId).localeCompare(String(b.accountName ?? b.accountId)));
+}
+
+// A row split over the templates it had in the period -> [{ templateId, templateName, revenue, cost, bytes }]
+// (revenue / cost converted with fx, null without a rate). Each package's revenue goes to its own
+// template; the SIM's reseller cost and usage are allocated to its packages in proportion to the data
+// each used (equally when none reports usage), so a template change mid-period does not credit the old
+// template's revenue to the new one. Rows without a package history count as their current template.
+function templateParts(r, fx) {
+  const cost = toReporting(r?.resellerCostInPeriod, r?.resellerCostInPeriodCurrency, fx);
+  const bytes = num(r?.totalBytesInPeriod);
+  const pkgs = Array.isArray(r?.packagesInPeriod) ? r.packagesInPeriod : [];
+  if (!pkgs.length) {
+    const revenue = revenueItems(r).reduce((a, i) => {
+      const v = toReporting(i.amount, i.currency, fx);
+      return a == null || v == null ? null : a + v;
+    }, 0);
+    return [{ templateId: r?.prepaidpackagetemplateid ?? null, templateName: r?.prepaidpackagetemplatename ?? null, revenue, cost, bytes }];
+  }
+  const used = pkgs.map(p => num(p.useddatabyte));
+  const usedTotal = used.reduce((a, b) => a + b, 0);
+  const parts = new Map();
+  pkgs.forEach((p, i) => {
+    const key = p.prepaidpackagetemplateid != null ? String(p.prepaidpackagetemplateid) : "";
+    const part = parts.get(key) ?? { templateId: p.prepaidpackagetemplateid ?? null, templateName: p.prepaidpackagetemplatename ?? null, revenue: 0, cost: 0, bytes: 0 };
+    const share = usedTotal > 0 ? used[i] / usedTotal : 1 / pkgs.length;
+    const revenue = p.revenueMonth ? toReporting(p.cost, p.currency, fx) : 0;
+    part.revenue = part.revenue == null || revenue == null ? null : part.revenue + revenue;
+    part.cost = cost == null ? null : part.cost + cost * share;
+    part.bytes += bytes * share;
+    part.templateName ??= p.prepaidpackagetemplatename ?? null;
+    parts.set(key, part);
+  });
+  return Array.from(parts.values());
+}
+
+// Profitability per prepaid package template (name/id as resolved by fetchTemplateCost), over the
+// templates each SIM had in the period (templateParts). Revenue and cost are converted with fx; a SIM
+// is loss-making for a template when its revenue there < its cost there. SIM parts whose amounts have
+// no FX rate are left out and counted in unconvertedSims.
+export function templateProfitability(rows, fx = null) {
+  const groups = new Map();
+  for (const r of rows) {
+    for (const part of templateParts(r, fx)) {
+      const key = part.templateId != null ? String(part.templateId) : "";
+      if (!groups.has(key)) {
+        groups.set(key, {
+          templateId: part.templateId,
+          templateName: part.templateName,
+          sims: 0, revenue: 0, resellerCost: 0, totalBytes: 0, lossSims: 0, incompleteRows: 0, unconvertedSims: 0
+        });
+      }
+      const g = groups.get(key);
+      g.templateName ??= part.templateName;
+      if (part.revenue == null || part.cost == null) { g.unconvertedSims++; continue; }
+      g.sims++;
+      g.revenue += part.revenue;
+      g.resellerCost += part.cost;
+      g.totalBytes += part.bytes;
+      if (part.revenue - part.cost < 0) g.lossSims++;
+      if (r?._errors?.length) g.incompleteRows++;
+    }
+  }
+  return Array.from(groups.values())
+    .map(g => ({
+      ...g,
+      margin: g.revenue - g.resellerCost,
+      marginPerSim: g.sims ? (g.revenue - g.resellerCost) / g.sims : 0,
+      avgGB: g.sims ? g.totalBytes / g.sims / (1024 ** 3) : 0,
+      lossShare: g.sims ? g.lossSims / g.sims : 0
+    }))
+    .sort((a, b) => a.marginPerSim - b.marginPerSim);
+}
+
+// SIM count, usage and reseller cost per country and per network. Rows carrying an OCS per-network
+// split (usageByNetwork) are attributed network by network; other rows are attributed entirely to
+// their last seen network (lastMcc/lastMnc) and counted in `attributedSims`. Costs are converted with fx
+// (a cost without a rate counts as 0).
+export function networkBreakdown(rows, fx = null) {
+  const countries = new Map(), networks = new Map();
+  const bump = (map, key, base, idx, bytes, cost, attributed) => {
+    if (!map.has(key)) map.set(key, { ...base, sims: new Set(), attributed: new Set(), bytes: 0, resellerCost: 0 });
+    const g = map.get(key);
+    g.sims.add(idx);
+    if (attributed) g.attributed.add(idx);
+    g.bytes += num(bytes);
+    g.resellerCost += num(cost);
+  };
+
+  rows.forEach((r, idx) => {
+    const split = r?.usageByNetwork ? Object.values(r.usageByNetwork) : null;
+    const parts = split?.length
+      ? split
+      : [{ mcc: r?.lastMcc, mnc: r?.lastMnc, bytes: r?.totalBytesInPeriod, resellerCost: r?.resellerCostInPeriod }];
+    for (const p of parts) {
+      const net = lookupNetwork(p.mcc, p.mnc);
+      const cost = toReporting(p.resellerCost, r?.resellerCostInPeriodCurrency, fx) ?? 0;
+      const attributed = !split?.length;
+      bump(countries, net.mcc ? (net.countryCode ?? `MCC ${net.mcc}`) : "?",
+        { countryCode: net.countryCode, country: net.country ?? (net.mcc ? `MCC ${net.mcc}` : "Unknown") },
+        idx, p.bytes, cost, attributed);
+      bump(networks, networkKey(p.mcc, p.mnc),
+        { mcc: net.mcc, mnc: net.mnc, country: net.country, operator: net.operator },
+        idx, p.bytes, cost, attributed);
+    }
+  });
+
+  const finish = (map) => Array.from(map.values())
+    .map(({ sims, attributed, ...g }) => ({ ...g, sims: sims.size, attributedSims: attributed.size }))
+    .sort((a, b) => b.resellerCost - a.resellerCost);
+  return { byCountry: finish(countries), byNetwork: finish(networks) };
+}
+
+// ---------- reporting period presets ----------
+// Built from the UTC date, like resolvePeriod on the server: a local date ahead of UTC would ask for
+// a `to` the server clamps back to yesterday, before `from` on the 1st.
+const utcYMD = (d) => d.toISOString().slice(0, 10);
+export const PERIOD_PRESETS = [
+  ["thisMonth", "This month"],
+  ["lastMonth", "Last month"],
+  ["quarterToDate", "Quarter to date"],
+  ["custom", "Custom range"]
+];
+export function presetPeriod(preset, now = new Date()) {
+  const y = now.getUTCFullYear(), m = now.getUTCMonth();
+  if (preset === "lastMonth") return { from: utcYMD(new Date(Date.UTC(y, m - 1, 1))), to: utcYMD(new Date(Date.UTC(y, m, 0))) };
+  if (preset === "quarterToDate") return { from: utcYMD(new Date(Date.UTC(y, m - (m % 3), 1))), to: utcYMD(now) };
+  return { from: utcYMD(new Date(Date.UTC(y, m, 1))), to: utcYMD(now) };
+}
+
+// ---------- monthly PNL ----------
+// "YYYY-MM" of every calendar month touched by { from, to }
+export function monthsOf({ from, to }) {
+  const out = [];
+  let [y, m] = from.split("-").map(Number);
+  for (let key = from.slice(0, 7); key <= to.slice(0, 7); ) {
+    out.push(key);
+    const d = new Date(Date.UTC(y, m, 1)); // next month
+    y = d.getUTCFullYear(); m = d.getUTCMonth() + 1;
+    key = `${y}-${String(m).padStart(2, "0")}`;
+  }
+  return out;
+}
+
+// Revenue, reseller cost and PNL per calendar month of the period, in total, per account and per SIM.
+// Revenue is recognised in the month a package was activated (revenueItems), cost in the month the
+// usage happened (usageByMonth); both are converted with fx. Amounts without a rate are left out and
+// their currencies listed in `unconverted`. Each level has byMonth { "YYYY-MM": { revenue, cost, pnl } }
+// plus revenue / cost / pnl over the period; SIMs carry their package history (packagesInPeriod).
+export function monthlyPnl(rows, period, fx = null) {
+  const months = monthsOf(period);
+  const blank = () => ({
+    byMonth: Object.fromEntries(months.map(m => [m, { revenue: 0, cost: 0, pnl: 0 }])),
+    revenue: 0, cost: 0, pnl: 0
+  });
+  const unconverted = new Set();
+  const book = (targets, month, field, amount, currency) => {
+    if (!Number.isFinite(amount) || amount === 0 || !months.includes(month)) return;
+    const v = toReporting(amount, currency, fx);
+    if (v == null) { unconverted.add(costCurrency(currency, fx) ?? "?"); return; }
+    for (const t of targets) {
+      const m = t.byMonth[month];
+      m[field] += v;
+      m.pnl = m.revenue - m.cost;
+      t[field] += v;
+      t.pnl = t.revenue - t.cost;
+    }
+  };
+
+  const total = { ...blank(), sims: rows.length, incompleteRows: 0 };
+  const accounts = new Map();
+  const sims = rows.map(r => {
+    const key = String(r?.accountId ?? r?.account ?? "");
+    if (!accounts.has(key)) accounts.set(key, { accountId: r?.accountId ?? null, accountName: r?.accountName ?? r?.account ?? null, sims: 0, ...blank() });
+    const account = accounts.get(key);
+    account.sims++;
+    const sim = {
+      iccid: r?.iccid ?? null,
+      accountId: r?.accountId ?? null,
+      accountName: r?.accountName ?? r?.account ?? null,
+      status: r?.subscriberStatus ?? null,
+      packages: r?.packagesInPeriod ?? [],
+      incomplete: Boolean(r?._errors?.length),
+      ...blank()
+    };
+    if (sim.incomplete) total.incompleteRows++;
+    for (const i of revenueItems(r)) book([total, account, sim], i.month, "revenue", i.amount, i.currency);
+    for (const [month, u] of Object.entries(r?.usageByMonth ?? {})) {
+      book([total, account, sim], month, "cost", u.resellerCost, r?.resellerCostInPeriodCurrency);
+    }
+    return sim;
+  });
+
+  return {
+    months,
+    currency: fx?.reportingCurrency ?? null,
+    total,
+    accounts: Array.from(accounts.values())
+      .sort((a, b) => String(a.accountName ?? a.accountId).localeCompare(String(b.accountName ?? b.accountId))),
+    sims: sims.sort((a, b) => a.pnl - b.pnl),
+    unconverted: Array.from(unconverted)
+  };
+}
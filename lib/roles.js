@@ -0,0 +1,56 @@
+// Roles and what they may see. No server imports: shared by routes and client components.
+
+export const ROLES = ["admin", "finance", "support"];
+
+// Cost / PNL fields hidden from roles without cost access
+export const COST_FIELDS = ["subscriberOneTimeCost", "packageOneTimeCost", "resellerCostInPeriod", "revenueInPeriod"];
+
+// Cost fields of sumTotals() results
+export const COST_TOTALS = ["totalReseller", "totalSubscriberOneTime", "pnl", "byCurrency"];
+
+export const canSeeCosts = (role) => role === "admin" || role === "finance";
+export const isAdmin = (role) => role === "admin";
+// suspend / resume / terminate subscribers, assign / replace packages
+export const canManageSubscribers = (role) => role === "admin" || role === "support";
+
+export function stripCosts(row) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const k of COST_FIELDS) if (k in out) out[k] = null;
+  if (out.usageByNetwork) {
+    out.usageByNetwork = Object.fromEntries(
+      Object.entries(out.usageByNetwork).map(([k, n]) => [k, { ...n, resellerCost: null }])
+    );
+  }
+  if (out.usageByMonth) {
+    out.usageByMonth = Object.fromEntries(
+      Object.entries(out.usageByMonth).map(([k, m]) => [k, { ...m, resellerCost: null }])
+    );
+  }
+  if (out.packagesInPeriod) out.packagesInPeriod = out.packagesInPeriod.map(p => ({ ...p, cost: null }));
+  return out;
+}
+
+// Subscriber drill-down (fetchSubscriberUsage) without costs: windows and their networks lose the
+// reseller cost, and the raw OCS totals keep only the allow-listed usage quantities.
+export function stripUsageCosts(detail) {
+  if (!detail) return detail;
+  return {
+    ...detail,
+    subscriber: stripCosts(detail.subscriber),
+    packages: (detail.packages || []).map(stripCosts),
+    series: (detail.series || []).map(w => ({
+      ...w,
+      resellerCost: null,
+      networks: w.networks ? w.networks.map(n => ({ ...n, resellerCost: null })) : w.networks
+    })),
+    totals: { quantityPerType: detail.totals?.quantityPerType ?? {} }
+  };
+}
+
+export function stripTotalCosts(totals) {
+  if (!totals) return totals;
+  const out = { ...totals };
+  for (const k of COST_TOTALS) if (k in out) out[k] = null;
+  return out;
+}
@@ -0,0 +1,56 @@
+// Signed session tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+// Uses Web Crypto only, so the same code runs in middleware (edge) and in route handlers (node).
+
+export const SESSION_COOKIE = "session";
+export const SESSION_MAX_AGE = 60 * 60; // seconds of inactivity; the middleware re-signs the cookie while in use
+
+export function sessionCookieOptions(maxAge = SESSION_MAX_AGE) {
+  return { httpOnly: true, sameSite: "lax", secure: process.env.NODE_ENV === "production", path: "/", maxAge };
+}
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+let cachedSecret = null, cachedKey = null;
+function hmacKey() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error("SESSION_SECRET missing");
+  if (secret !== cachedSecret) {
+    cachedSecret = secret;
+    cachedKey = crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+  }
+  return cachedKey;
+}
+
+function b64url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromB64url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((s.length + 3) % 4));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+// payload: { sub, sid, ... }; exp (epoch seconds) is added from maxAge
+export async function signSession(payload, maxAge = SESSION_MAX_AGE) {
+  const body = b64url(enc.encode(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + maxAge })));
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", await hmacKey(), enc.encode(body)));
+  return `${body}.${b64url(sig)}`;
+}
+
+// -> payload, or null when the token is malformed, forged or expired
+export async function verifySession(token) {
+  if (!token || typeof token !== "string") return null;
+  const [body, sig, extra] = token.split(".");
+  if (!body || !sig || extra !== undefined) return null;
+  try {
+    const ok = await crypto.subtle.verify("HMAC", await hmacKey(), fromB64url(sig), enc.encode(body));
+    if (!ok) return null;
+    const payload = JSON.parse(dec.decode(fromB64url(body)));
+    if (!payload?.sub || !Number.isFinite(payload.exp) || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
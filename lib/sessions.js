@@ -0,0 +1,121 @@
+// Server-side session store (JSON file, same pattern as the usage cache). The signed cookie only
+// carries the session id; a session is valid while it is in here, not revoked and not idle for longer
+// than SESSION_MAX_AGE. Each authenticated request slides the idle expiry; SESSION_LIFETIME_HOURS
+// (default 12) caps a session regardless of activity.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { randomBytes } from "crypto";
+import { SESSION_MAX_AGE } from "./session.js";
+
+const SESSIONS_FILE = process.env.SESSIONS_FILE || path.join(process.cwd(), ".data", "sessions.json");
+const FLUSH_DELAY_MS = 1_000;
+const TOUCH_PERSIST_MS = 60_000; // lastSeenAt is written to disk at most once a minute per session
+
+const lifetimeMs = () => (Number(process.env.SESSION_LIFETIME_HOURS) || 12) * 3600_000;
+
+let sessions = null;  // id -> { id, ref, username, createdAt, lastSeenAt, expiresAt, ip, userAgent }
+let loading = null;
+let flushTimer = null;
+let writing = Promise.resolve();
+
+async function load() {
+  if (sessions) return sessions;
+  if (!loading) {
+    loading = (async () => {
+      let data = {};
+      try {
+        data = JSON.parse(await fs.readFile(SESSIONS_FILE, "utf8"))?.sessions ?? {};
+      } catch (e) {
+        if (e.code !== "ENOENT") console.warn(`[sessions] ignoring unreadable ${SESSIONS_FILE}: ${e.message}`);
+      }
+      sessions = new Map(Object.entries(data));
+      return sessions;
+    })();
+  }
+  return loading;
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => { flushTimer = null; flush(); }, FLUSH_DELAY_MS);
+}
+
+function flush() {
+  if (!sessions) return writing;
+  const now = Date.now();
+  for (const [id, s] of sessions) if (!isLive(s, now)) sessions.delete(id);
+  const snapshot = JSON.stringify({ version: 1, sessions: Object.fromEntries(sessions) });
+  writing = writing.then(async () => {
+    try {
+      await fs.mkdir(path.dirname(SESSIONS_FILE), { recursive: true });
+      const tmp = `${SESSIONS_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot, { mode: 0o600 });
+      await fs.rename(tmp, SESSIONS_FILE);
+    } catch (e) {
+      console.warn(`[sessions] write failed: ${e.message}`);
+    }
+  });
+  return writing;
+}
+
+const isLive = (s, now = Date.now()) =>
+  Date.parse(s.expiresAt) > now && Date.parse(s.createdAt) + lifetimeMs() > now;
+
+// the id is a bearer secret; admins list and revoke sessions by their public ref instead
+const publicSession = ({ id, ...s }) => s;
+
+export async function createSession(username, { ip = null, userAgent = null } = {}) {
+  const map = await load();
+  const now = new Date();
+  const s = {
+    id: randomBytes(24).toString("base64url"),
+    ref: randomBytes(6).toString("hex"),
+    username,
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_MAX_AGE * 1000).toISOString(),
+    ip,
+    userAgent: userAgent ? String(userAgent).slice(0, 200) : null
+  };
+  map.set(s.id, s);
+  await flush(); // a new session must survive a restart right away
+  return s;
+}
+
+// -> session (expiry slid forward) or null when unknown, revoked or expired
+export async function touchSession(id) {
+  if (!id) return null;
+  const map = await load();
+  const s = map.get(id);
+  if (!s) return null;
+  const now = Date.now();
+  if (!isLive(s, now)) { map.delete(id); scheduleFlush(); return null; }
+  const persist = now - Date.parse(s.lastSeenAt) > TOUCH_PERSIST_MS;
+  s.lastSeenAt = new Date(now).toISOString();
+  s.expiresAt = new Date(now + SESSION_MAX_AGE * 1000).toISOString();
+  if (persist) scheduleFlush();
+  return s;
+}
+
+export async function listSessions() {
+  const map = await load();
+  const now = Date.now();
+  return Array.from(map.values())
+    .filter(s => isLive(s, now))
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+    .map(publicSession);
+}
+
+// Revoke by session id (logout), public ref (admin) or every session of a user; returns the number removed
+export async function revokeSessions({ id, ref, username } = {}) {
+  if (!id && !ref && !username) throw new Error("Provide a session id, ref or username");
+  const map = await load();
+  let removed = 0;
+  for (const [k, s] of map) {
+    const hit = id ? k === id : ref ? s.ref === ref : s.username === username;
+    if (hit) { map.delete(k); removed++; }
+  }
+  if (removed) await flush();
+  return removed;
+}
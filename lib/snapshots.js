@@ -0,0 +1,165 @@
+// Daily snapshots of fetchAllData output, one JSON file per account per day:
+//   SNAPSHOT_DIR (default .data/snapshots)/<accountId>/<YYYY-MM-DD>.json
+// plus <accountId>/index.json with each day's totals, so the history chart never reads whole snapshots.
+// Taking a snapshot twice on the same day replaces that day's file.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { fetchAllData } from "./teltrip.js";
+import { sumTotals } from "./reports.js";
+import { getFxTable } from "./fx.js";
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(process.cwd(), ".data", "snapshots");
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+const accountDir = (accountId) => {
+  if (!/^\d+$/.test(String(accountId))) throw httpError(400, `Invalid accountId "${accountId}"`);
+  return path.join(SNAPSHOT_DIR, String(accountId));
+};
+const snapshotFile = (accountId, date) => {
+  if (!YMD_RE.test(String(date))) throw httpError(400, `Invalid snapshot date "${date}" (expected YYYY-MM-DD)`);
+  return path.join(accountDir(accountId), `${date}.json`);
+};
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// Account-level numbers stored in the index (and charted over time); costs converted with the
+// FX table of the day the snapshot is taken
+export function snapshotTotals(rows, fx = null) {
+  const t = sumTotals(rows, fx);
+  return {
+    ...t,
+    activeSims: rows.filter(r => String(r.subscriberStatus ?? "").toUpperCase() === "ACTIVE").length,
+    usedPackageBytes: rows.reduce((a, r) => a + (Number.isFinite(r.useddatabyte) ? r.useddatabyte : 0), 0)
+  };
+}
+
+// -> { accountId, date, takenAt, period, totals }
+export async function takeSnapshot(account, { date = new Date().toISOString().slice(0, 10) } = {}) {
+  const started = Date.now();
+  const [{ rows, period }, fx] = await Promise.all([fetchAllData(account.id), getFxTable()]);
+  const snapshot = {
+    version: 1,
+    accountId: Number(account.id),
+    accountName: account.name ?? rows[0]?.accountName ?? null,
+    date,
+    takenAt: new Date().toISOString(),
+    durationMs: Date.now() - started,
+    period,
+    totals: snapshotTotals(rows, fx),
+    rows
+  };
+  await writeJson(snapshotFile(account.id, date), snapshot);
+
+  const indexFile = path.join(accountDir(account.id), "index.json");
+  const index = (await readJson(indexFile))?.snapshots ?? [];
+  const entry = { date, takenAt: snapshot.takenAt, period, totals: snapshot.totals };
+  const next = index.filter(s => s.date !== date).concat(entry).sort((a, b) => a.date.localeCompare(b.date));
+  await writeJson(indexFile, { accountId: snapshot.accountId, accountName: snapshot.accountName, snapshots: next });
+
+  const { rows: _rows, ...summary } = snapshot;
+  return summary;
+}
+
+// Accounts one after another (each one already fans out over its SIMs); failures are collected.
+// deadline (epoch ms): no account is started after it; those left come back as { ok: false, pending: true }.
+// skipExisting: accounts that already have the day's snapshot come back as { ok: true, skipped: true },
+// so a run cut short by its deadline resumes where it stopped when called again.
+export async function takeSnapshots(accounts, { date = new Date().toISOString().slice(0, 10), deadline = null, skipExisting = false } = {}) {
+  const results = [];
+  for (const a of accounts) {
+    if (deadline != null && Date.now() >= deadline) {
+      results.push({ accountId: a.id, ok: false, pending: true, error: "Not started: time budget used up" });
+      continue;
+    }
+    try {
+      if (skipExisting && (await listSnapshots(a.id)).some(s => s.date === date)) {
+        results.push({ accountId: a.id, ok: true, skipped: true, date });
+        continue;
+      }
+      results.push({ accountId: a.id, ok: true, ...(await takeSnapshot(a, { date })) });
+    } catch (e) {
+      results.push({ accountId: a.id, ok: false, error: e.message });
+    }
+  }
+  return results;
+}
+
+// -> [{ date, takenAt, period, totals }] oldest first
+export async function listSnapshots(accountId) {
+  return (await readJson(path.join(accountDir(accountId), "index.json")))?.snapshots ?? [];
+}
+
+export async function readSnapshot(accountId, date) {
+  const s = await readJson(snapshotFile(accountId, date));
+  if (!s) throw httpError(404, `No snapshot of account ${accountId} on ${date}`);
+  return s;
+}
+
+// ---------- compare ----------
+const pkgKey = (r) => r.prepaidpackagetemplateid != null ? `${r.prepaidpackagetemplateid}|${r.tsactivationutc ?? ""}` : null;
+const num = (v) => (Number.isFinite(v) ? v : null);
+
+// What changed between two snapshots of one account (a = older, b = newer)
+export function compareSnapshots(a, b) {
+  const before = new Map(a.rows.filter(r => r.iccid != null).map(r => [String(r.iccid), r]));
+  const after = new Map(b.rows.filter(r => r.iccid != null).map(r => [String(r.iccid), r]));
+  const newSims = [], removedSims = [], statusChanges = [], packageChanges = [], usage = [];
+
+  for (const [iccid, r] of after) {
+    const o = before.get(iccid);
+    if (!o) { newSims.push({ iccid, subscriberStatus: r.subscriberStatus ?? null, package: r.prepaidpackagetemplatename ?? null }); continue; }
+    if ((o.subscriberStatus ?? null) !== (r.subscriberStatus ?? null) || (o.simStatus ?? null) !== (r.simStatus ?? null)) {
+      statusChanges.push({
+        iccid,
+        from: o.subscriberStatus ?? null, to: r.subscriberStatus ?? null,
+        simFrom: o.simStatus ?? null, simTo: r.simStatus ?? null
+      });
+    }
+    if (pkgKey(o) !== pkgKey(r)) {
+      packageChanges.push({
+        iccid,
+        from: o.prepaidpackagetemplatename ?? o.prepaidpackagetemplateid ?? null,
+        to: r.prepaidpackagetemplatename ?? r.prepaidpackagetemplateid ?? null,
+        activated: r.tsactivationutc ?? null
+      });
+    } else if (num(o.useddatabyte) != null && num(r.useddatabyte) != null && r.useddatabyte !== o.useddatabyte) {
+      // same package in both: how much of it was used in between
+      usage.push({ iccid, package: r.prepaidpackagetemplatename ?? null, from: o.useddatabyte, to: r.useddatabyte, delta: r.useddatabyte - o.useddatabyte });
+    }
+  }
+  for (const [iccid, o] of before) {
+    if (!after.has(iccid)) removedSims.push({ iccid, subscriberStatus: o.subscriberStatus ?? null });
+  }
+  usage.sort((x, y) => y.delta - x.delta);
+
+  const delta = {};
+  for (const k of Object.keys(b.totals)) {
+    if (Number.isFinite(b.totals[k]) && Number.isFinite(a.totals?.[k])) delta[k] = b.totals[k] - a.totals[k];
+  }
+  return {
+    accountId: b.accountId,
+    from: { date: a.date, takenAt: a.takenAt, period: a.period, totals: a.totals },
+    to: { date: b.date, takenAt: b.takenAt, period: b.period, totals: b.totals },
+    // period totals (usage, costs) restart each month: their delta is only meaningful within one period
+    samePeriod: a.period?.from === b.period?.from,
+    delta,
+    newSims, removedSims, statusChanges, packageChanges, usage
+  };
+}
@@ -1,35 +1,34 @@
-// Teltrip data layer: subscribers + packages + aggregated usage (Jun 1 → today)
+// Teltrip data layer: subscribers + packages + aggregated usage over a reporting period
 // subscriberOneTimeCost now comes from Template cost (robust lookup + pkg fallback).
 
-const BASE = process.env.OCS_BASE_URL;
-const TOKEN = process.env.OCS_TOKEN;
+import { callOCS } from "./ocs.js";
+import { getCachedWindow, putCachedWindow } from "./usageCache.js";
+import { lookupNetwork, networkKey } from "./mccmnc.js";
+
 const DEFAULT_ACCOUNT_ID = parseInt(process.env.OCS_ACCOUNT_ID || "0", 10);
-const RANGE_START_YMD = "2025-06-01";
 
-function must(v, name) { if (!v) throw new Error(`${name} missing`); return v; }
 const toYMD = (d) => d.toISOString().slice(0, 10);
 
-// ---------- core fetch ----------
-async function callOCS(payload) {
-  must(BASE, "OCS_BASE_URL"); must(TOKEN, "OCS_TOKEN");
-  const url = `${BASE}?token=${encodeURIComponent(TOKEN)}`;
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 25_000);
-  const r = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-    cache: "no-store",
-    signal: controller.signal
-  }).finally(() => clearTimeout(timer));
-  const text = await r.text();
-  let json = null; try { json = text ? JSON.parse(text) : null; } catch {}
-  if (!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText}${text ? " :: " + text.slice(0,300) : ""}`);
-  return json ?? {};
+// ---------- reporting period ----------
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(message) { const e = new Error(message); e.status = 400; return e; }
+
+// Normalise { from, to } (YYYY-MM-DD). Defaults to the current month; `to` is clamped to today.
+export function resolvePeriod({ from, to } = {}) {
+  const todayYMD = toYMD(new Date());
+  const fromYMD = from || `${todayYMD.slice(0, 7)}-01`;
+  let toYMDValue = to || todayYMD;
+  for (const [k, v] of [["from", fromYMD], ["to", toYMDValue]]) {
+    if (!YMD_RE.test(v) || toYMD(parseYMD(v)) !== v) throw badRequest(`Invalid ${k} date "${v}" (expected YYYY-MM-DD)`);
+  }
+  if (toYMDValue > todayYMD) toYMDValue = todayYMD;
+  if (fromYMD > toYMDValue) throw badRequest(`Period start ${fromYMD} is after end ${toYMDValue}`);
+  return { from: fromYMD, to: toYMDValue };
 }
 
 // ---------- small worker pool ----------
-async function pMap(list, fn, concurrency = 5) {
+export async function pMap(list, fn, concurrency = 5) {
   const out = new Array(list.length);
   let i = 0;
   await Promise.all(
@@ -51,27 +50,8 @@ function latestByDate(arr) {
 // ---------- template cost (robust) ----------
 const templateCostCache = new Map(); // id -> { cost, currency, name }
 
-async function fetchTemplateCost(templateId) {
-  if (!templateId) return null;
-  if (templateCostCache.has(templateId)) return templateCostCache.get(templateId);
-
-  // Try documented list-by-id first (often carries pricing arrays)
-  let tpl = null;
-  try {
-    const r1 = await callOCS({ listPrepaidPackageTemplate: { templateId: Number(templateId) } });
-    tpl = r1?.listPrepaidPackageTemplateRsp?.prepaidPackageTemplate?.[0]
-       ?? r1?.listPrepaidPackageTemplateRsp?.prepaidPackageTemplate
-       ?? null;
-  } catch {}
-
-  // Fallback: get-by-id
-  if (!tpl) {
-    try {
-      const r2 = await callOCS({ getPrepaidPackageTemplate: { prepaidPackageTemplateId: Number(templateId) } });
-      tpl = r2?.prepaidPackageTemplate ?? r2?.prepaidPackageTemplates ?? r2?.template ?? null;
-    } catch {}
-  }
-
+// { cost, currency, name } from a template object as returned by the OCS (shapes vary by tenant)
+function templateCostInfo(tpl) {
   // Extract a usable number; prefer one-time/activation/setup, ignore zeros unless nothing else
   function asNum(v) {
     if (typeof v === "number" && Number.isFinite(v)) return v;
@@ -125,166 +105,461 @@ async function fetchTemplateCost(templateId) {
 
   const name = tpl?.name ?? tpl?.prepaidpackagetemplatename ?? null;
   const currency = tpl?.currency ?? tpl?.curr ?? null;
-  const val = {
+  return {
     cost: Number.isFinite(costNum) ? costNum : null,
     currency: currency || null,
     name: name || null
   };
+}
+
+async function fetchTemplateCost(templateId) {
+  if (!templateId) return null;
+  if (templateCostCache.has(templateId)) return templateCostCache.get(templateId);
+
+  // Try documented list-by-id first (often carries pricing arrays)
+  let tpl = null;
+  const failures = [];
+  try {
+    const r1 = await callOCS({ listPrepaidPackageTemplate: { templateId: Number(templateId) } });
+    tpl = r1?.listPrepaidPackageTemplateRsp?.prepaidPackageTemplate?.[0]
+       ?? r1?.listPrepaidPackageTemplateRsp?.prepaidPackageTemplate
+       ?? null;
+  } catch (e) { failures.push(`listPrepaidPackageTemplate: ${e.message}`); }
+
+  // Fallback: get-by-id
+  if (!tpl) {
+    try {
+      const r2 = await callOCS({ getPrepaidPackageTemplate: { prepaidPackageTemplateId: Number(templateId) } });
+      tpl = r2?.prepaidPackageTemplate ?? r2?.prepaidPackageTemplates ?? r2?.template ?? null;
+    } catch (e) { failures.push(`getPrepaidPackageTemplate: ${e.message}`); }
+  }
+
+  // Both lookups failed: surface it (and do not cache) rather than report an unknown cost
+  if (!tpl && failures.length === 2) throw new Error(`Template ${templateId}: ${failures.join("; ")}`);
+
+  const val = templateCostInfo(tpl);
   templateCostCache.set(templateId, val);
   return val;
 }
 
+// All templates visible to the token, for package pickers -> [{ id, name, cost, currency, dataBytes }]
+export async function listPackageTemplates() {
+  const resp = await callOCS({ listPrepaidPackageTemplate: {} });
+  const list = resp?.listPrepaidPackageTemplateRsp?.prepaidPackageTemplate;
+  return (Array.isArray(list) ? list : list ? [list] : [])
+    .map(t => ({
+      id: t?.prepaidpackagetemplateid ?? t?.id ?? null,
+      ...templateCostInfo(t),
+      dataBytes: t?.databyte ?? t?.pckdatabyte ?? null
+    }))
+    .filter(t => t.id != null)
+    .sort((a, b) => String(a.name ?? "").localeCompare(String(b.name ?? "")));
+}
+
 // ---------- packages ----------
-async function fetchPackagesFor(subscriberId) {
+// All packages of a subscriber, oldest activation first
+export async function fetchPackageList(subscriberId) {
   const resp = await callOCS({ listSubscriberPrepaidPackages: { subscriberId } });
   const pkgs = resp?.listSubscriberPrepaidPackages?.packages || [];
-  if (!pkgs.length) return null;
   pkgs.sort((a,b)=> new Date(a.tsactivationutc||0) - new Date(b.tsactivationutc||0));
-  const p = pkgs.at(-1);
+  return pkgs.map(normalizePackage);
+}
+
+function normalizePackage(p) {
   const tpl = p?.packageTemplate || {};
   const packageOneTimeCost =
     (typeof p?.cost === "number" ? p.cost : null) ??
     (typeof p?.oneTimePrice === "number" ? p.oneTimePrice : null) ??
     (typeof p?.activationFee === "number" ? p.activationFee : null) ??
     (typeof p?.price?.value === "number" ? p.price.value : null) ?? null;
+  const packageOneTimeCostCurrency = p?.currency ?? p?.price?.currency ?? null;
 
   return {
+    subscriberprepaidpackageid: p?.subscriberprepaidpackageid ?? p?.id ?? null,
     prepaidpackagetemplatename: tpl.prepaidpackagetemplatename ?? tpl.name ?? null,
     prepaidpackagetemplateid: tpl.prepaidpackagetemplateid ?? tpl.id ?? null,
     tsactivationutc: p?.tsactivationutc ?? null,
     tsexpirationutc: p?.tsexpirationutc ?? null,
     pckdatabyte: p?.pckdatabyte ?? null,
     useddatabyte: p?.useddatabyte ?? null,
-    packageOneTimeCost
+    packageOneTimeCost,
+    packageOneTimeCostCurrency: packageOneTimeCost == null ? null : packageOneTimeCostCurrency
   };
 }
 
+// Current (most recently activated) package + the packages active at some point in the period,
+// i.e. activated by period.to and not expired before period.from. Packages never activated are left out.
+async function fetchPackagesFor(subscriberId, period) {
+  const pkgs = await fetchPackageList(subscriberId);
+  const inPeriod = pkgs.filter(p =>
+    p.tsactivationutc && p.tsactivationutc.slice(0, 10) <= period.to &&
+    (!p.tsexpirationutc || p.tsexpirationutc.slice(0, 10) >= period.from));
+  return { current: pkgs.at(-1) ?? null, inPeriod };
+}
+
 // ---------- usage windows ----------
 function addDays(base, n) { const d = new Date(base); d.setDate(d.getDate() + n); return d; }
 function parseYMD(s) { const [y,m,d]=s.split("-").map(Number); return new Date(Date.UTC(y, m-1, d)); }
+// 7-day windows, cut at month ends so usage and cost can be split per calendar month
 function* weekWindows(startYMD, endYMD) {
   let start = parseYMD(startYMD);
   const endHard = parseYMD(endYMD);
   while (start <= endHard) {
-    const end = addDays(start, 6);
-    const endClamped = end > endHard ? endHard : end;
-    yield { start: toYMD(start), end: toYMD(endClamped) };
-    start = addDays(endClamped, 1);
+    const monthEnd = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0));
+    const end = [addDays(start, 6), monthEnd, endHard].reduce((a, b) => (b < a ? b : a));
+    yield { start: toYMD(start), end: toYMD(end) };
+    start = addDays(end, 1);
+  }
+}
+function* dayWindows(startYMD, endYMD) {
+  const endHard = parseYMD(endYMD);
+  for (let d = parseYMD(startYMD); d <= endHard; d = addDays(d, 1)) {
+    yield { start: toYMD(d), end: toYMD(d) };
   }
 }
 
-async function fetchUsageWindow(subscriberId, startYMD, endYMD) {
+// Raw subscriberUsageOverPeriod block ({ total: { quantityPerType, resellerCost, … }, … })
+async function fetchUsageRaw(subscriberId, startYMD, endYMD) {
   const resp = await callOCS({
     subscriberUsageOverPeriod: {
       subscriber: { subscriberId },
       period: { start: startYMD, end: endYMD }
     }
   });
-  const total = resp?.subscriberUsageOverPeriod?.total || {};
+  return resp?.subscriberUsageOverPeriod || {};
+}
+
+// Usage split per visited network, when the tenant returns one. The list/field names vary like the
+// template pricing does, so try the known spellings; null means "no breakdown available".
+function extractNetworkBreakdown(usage) {
+  const list = [usage?.usagePerNetwork, usage?.perNetwork, usage?.networkList, usage?.detail, usage?.total?.perNetwork]
+    .find(Array.isArray);
+  if (!list) return null;
+  const out = [];
+  for (const n of list) {
+    const mcc = n?.mcc ?? n?.network?.mcc ?? null;
+    const mnc = n?.mnc ?? n?.network?.mnc ?? null;
+    if (mcc == null) continue;
+    const qty = n?.quantityPerType ?? n?.total?.quantityPerType ?? {};
+    const cost = n?.resellerCost ?? n?.total?.resellerCost;
+    out.push({
+      mcc: String(mcc),
+      mnc: mnc == null ? null : String(mnc),
+      bytes: typeof qty["33"] === "number" ? qty["33"] : null,
+      resellerCost: Number.isFinite(cost) ? cost : null
+    });
+  }
+  return out;
+}
+
+// meta ({ accountId, iccid }) is stored alongside cached windows so they can be invalidated later.
+// An answer without usage (idle SIM) is cached like any other; a failed call throws and is not cached.
+async function fetchUsageWindow(subscriberId, startYMD, endYMD, meta = {}) {
+  const cached = await getCachedWindow(subscriberId, startYMD, endYMD);
+  if (cached) return { bytes: cached.bytes, resellerCost: cached.resellerCost, currency: cached.currency ?? null, networks: cached.networks ?? null };
+
+  const usage = await fetchUsageRaw(subscriberId, startYMD, endYMD);
+  const total = usage?.total || {};
   const qty = total?.quantityPerType || {};
   const bytes = typeof qty["33"] === "number" ? qty["33"] : null; // data
   const resellerCost = Number.isFinite(total?.resellerCost) ? total.resellerCost : null;
-  return { bytes, resellerCost };
+  const currency = total?.currency ?? total?.resellerCurrency ?? usage?.currency ?? null;
+  const networks = extractNetworkBreakdown(usage);
+  await putCachedWindow({ ...meta, subscriberId, start: startYMD, end: endYMD, bytes, resellerCost, currency, networks });
+  return { bytes, resellerCost, currency, networks };
 }
 
-async function fetchAggregatedUsage(subscriberId) {
-  const todayYMD = toYMD(new Date());
-  const windows = Array.from(weekWindows(RANGE_START_YMD, todayYMD));
-  let sumBytes = 0, sumResCost = 0;
+// A failed window does not abort the sum: it is reported in `errors` so the total is known to be partial
+async function fetchAggregatedUsage(subscriberId, period, meta) {
+  const windows = Array.from(weekWindows(period.from, period.to));
+  let sumBytes = 0, sumResCost = 0, currency = null;
+  let byNetwork = null; // networkKey -> { mcc, mnc, bytes, resellerCost }
+  const byMonth = {};    // "YYYY-MM" -> { bytes, resellerCost } (windows never span two months)
+  const errors = [];
   await pMap(windows, async (win) => {
-    const { bytes, resellerCost } = await fetchUsageWindow(subscriberId, win.start, win.end);
-    if (Number.isFinite(bytes))        sumBytes += bytes;
-    if (Number.isFinite(resellerCost)) sumResCost += resellerCost;
+    try {
+      const { bytes, resellerCost, currency: c, networks } = await fetchUsageWindow(subscriberId, win.start, win.end, meta);
+      if (c && currency && c !== currency) throw new Error(`Reseller cost in ${c}, earlier windows in ${currency}`);
+      currency ??= c;
+      if (Number.isFinite(bytes))        sumBytes += bytes;
+      if (Number.isFinite(resellerCost)) sumResCost += resellerCost;
+      const month = byMonth[win.start.slice(0, 7)] ??= { bytes: 0, resellerCost: 0 };
+      if (Number.isFinite(bytes))        month.bytes += bytes;
+      if (Number.isFinite(resellerCost)) month.resellerCost += resellerCost;
+      for (const n of networks || []) {
+        byNetwork ??= {};
+        const k = networkKey(n.mcc, n.mnc);
+        const acc = byNetwork[k] ??= { mcc: n.mcc, mnc: n.mnc, bytes: 0, resellerCost: 0 };
+        if (Number.isFinite(n.bytes))        acc.bytes += n.bytes;
+        if (Number.isFinite(n.resellerCost)) acc.resellerCost += n.resellerCost;
+      }
+    } catch (e) {
+      errors.push(rowError("usage", e, `${win.start}..${win.end}`));
+    }
   }, 6);
-  return { sumBytes, sumResCost };
+  return { sumBytes, sumResCost, currency, byNetwork, byMonth, errors };
+}
+
+// ---------- rows ----------
+// Enrichment failures are kept on the row (r._errors) instead of looking like zero usage/cost
+function rowError(stage, e, window = null) {
+  return { stage, window, message: e?.message || String(e) };
+}
+
+export function summarizeErrors(rows) {
+  const byStage = { packages: 0, template: 0, usage: 0 };
+  let total = 0, incompleteRows = 0;
+  const samples = [];
+  for (const r of rows) {
+    const errs = r?._errors || [];
+    if (!errs.length) continue;
+    incompleteRows++;
+    for (const e of errs) {
+      total++;
+      byStage[e.stage] = (byStage[e.stage] || 0) + 1;
+      if (samples.length < 5) samples.push({ iccid: r.iccid ?? null, ...e });
+    }
+  }
+  return { total, incompleteRows, byStage, samples };
+}
+
+function subscriberToRow(s) {
+  const imsi = s?.imsiList?.[0]?.imsi ?? null;
+  const iccid = s?.imsiList?.[0]?.iccid ?? s?.sim?.iccid ?? null;
+  const phone = s?.phoneNumberList?.[0]?.phoneNumber ?? null;
+  const st = latestByDate(s?.status) || null;
+  const net = lookupNetwork(s?.lastMcc, s?.lastMnc);
+  return {
+    iccid,
+    imsi,
+    phoneNumber: phone,
+    activationDate: s?.activationDate ?? null,
+    lastUsageDate: s?.lastUsageDate ?? null,
+    subscriberStatus: st?.status ?? null,
+    // [{ status, startDate }] oldest first, e.g. to tell what the status was during a past month
+    statusHistory: Array.isArray(s?.status)
+      ? s.status.map(x => ({ status: x?.status ?? null, startDate: x?.startDate ?? null }))
+          .sort((a, b) => new Date(a.startDate || 0) - new Date(b.startDate || 0))
+      : null,
+    simStatus: s?.sim?.status ?? null,
+    esim: s?.sim?.esim ?? null,
+    smdpServer: s?.sim?.smdpServer ?? null,
+    activationCode: s?.sim?.activationCode ?? null,
+    prepaid: s?.prepaid ?? null,
+    balance: s?.balance ?? null,
+    account: s?.account ?? null,
+    reseller: s?.reseller ?? null,
+    lastMcc: s?.lastMcc ?? null,
+    lastMnc: s?.lastMnc ?? null,
+    lastCountry: net.country,
+    lastOperator: net.operator,
+
+    // package
+    prepaidpackagetemplatename: null,
+    prepaidpackagetemplateid: null,
+    tsactivationutc: null,
+    tsexpirationutc: null,
+    pckdatabyte: null,
+    useddatabyte: null,
+    // cost (each with the currency it is in; null = not reported by the OCS)
+    subscriberOneTimeCost: null,
+    subscriberOneTimeCostCurrency: null,
+
+    // packages active in the period, oldest first, each with its one-time cost (template cost, else the
+    // package's own); revenue = the packages activated in the period, recognised in their activation month
+    packagesInPeriod: null,
+    revenueInPeriod: null,
+    revenueInPeriodCurrency: null,
+
+    // totals over the reporting period
+    totalBytesInPeriod: null,
+    resellerCostInPeriod: null,
+    resellerCostInPeriodCurrency: null,
+    usageByNetwork: null, // only when OCS returns a per-network split
+    usageByMonth: null,   // "YYYY-MM" -> { bytes, resellerCost } (in resellerCostInPeriodCurrency)
+
+    _errors: [],
+    _sid: s?.subscriberId ?? null
+  };
 }
 
 // ---------- main ----------
-export async function fetchAllData(accountIdParam) {
+export function resolveAccountId(accountIdParam) {
   const accountId = parseInt(accountIdParam || DEFAULT_ACCOUNT_ID || "0", 10);
   if (!accountId) throw new Error("Provide accountId (env OCS_ACCOUNT_ID or ?accountId=)");
+  return accountId;
+}
 
-  const subsResp = await callOCS({ listSubscriber: { accountId } });
+export async function listAccountRows(account) {
+  const subsResp = await callOCS({ listSubscriber: { accountId: account.id } });
   const subscribers = subsResp?.listSubscriber?.subscriberList || [];
+  return subscribers.map((s) => ({
+    ...subscriberToRow(s),
+    accountId: account.id,
+    accountName: account.name ?? s?.account ?? null
+  }));
+}
 
-  const rows = subscribers.map((s) => {
-    const imsi = s?.imsiList?.[0]?.imsi ?? null;
-    const iccid = s?.imsiList?.[0]?.iccid ?? s?.sim?.iccid ?? null;
-    const phone = s?.phoneNumberList?.[0]?.phoneNumber ?? null;
-    const st = latestByDate(s?.status) || null;
-    return {
-      iccid,
-      imsi,
-      phoneNumber: phone,
-      activationDate: s?.activationDate ?? null,
-      lastUsageDate: s?.lastUsageDate ?? null,
-      subscriberStatus: st?.status ?? null,
-      simStatus: s?.sim?.status ?? null,
-      esim: s?.sim?.esim ?? null,
-      smdpServer: s?.sim?.smdpServer ?? null,
-      activationCode: s?.sim?.activationCode ?? null,
-      prepaid: s?.prepaid ?? null,
-      balance: s?.balance ?? null,
-      account: s?.account ?? null,
-      reseller: s?.reseller ?? null,
-      lastMcc: s?.lastMcc ?? null,
-      lastMnc: s?.lastMnc ?? null,
-
-      // package
-      prepaidpackagetemplatename: null,
-      prepaidpackagetemplateid: null,
-      tsactivationutc: null,
-      tsexpirationutc: null,
-      pckdatabyte: null,
-      useddatabyte: null,
-      // cost
-      subscriberOneTimeCost: null,
-
-      // totals since 2025-06-01
-      totalBytesSinceJun1: null,
-      resellerCostSinceJun1: null,
-
-      _sid: s?.subscriberId ?? null
-    };
-  });
-
-  await pMap(rows, async (r) => {
-    if (!r._sid) return;
-
-    // 1) packages
-    try {
-      const pkg = await fetchPackagesFor(r._sid);
-      if (pkg) Object.assign(r, pkg);
-    } catch {}
+// { cost, currency, name } of a package: its template cost, else (missing / 0) the package's own one-time
+// fee. A failed template lookup is recorded once per template in `errors`.
+async function packageCost(pkg, errors) {
+  let tpl = null;
+  try {
+    if (pkg.prepaidpackagetemplateid) tpl = await fetchTemplateCost(pkg.prepaidpackagetemplateid);
+  } catch (e) {
+    if (!errors.some(x => x.stage === "template" && x.message === e.message)) errors.push(rowError("template", e));
+  }
+  let cost = tpl?.cost ?? null, currency = tpl?.cost != null ? tpl.currency : null;
+  if ((cost == null || cost === 0) && typeof pkg.packageOneTimeCost === "number") {
+    cost = pkg.packageOneTimeCost;
+    currency = pkg.packageOneTimeCostCurrency;
+  }
+  return { cost, currency, name: tpl?.name ?? null };
+}
 
-    // 2) get template cost by ID
-    try {
-      if (r.prepaidpackagetemplateid) {
-        const tpl = await fetchTemplateCost(r.prepaidpackagetemplateid);
-        if (tpl?.cost != null) {
-          r.subscriberOneTimeCost = tpl.cost;
-          // (optional) r.packageCurrency = tpl.currency;
-        }
-        if (tpl?.name && !r.prepaidpackagetemplatename) {
-          r.prepaidpackagetemplatename = tpl.name;
-        }
-      }
-    } catch {}
+async function enrichRow(r, period, { usage = true } = {}) {
+  // 1) packages
+  let pkgs = null;
+  try {
+    pkgs = await fetchPackagesFor(r._sid, period);
+    if (pkgs.current) Object.assign(r, pkgs.current);
+  } catch (e) { r._errors.push(rowError("packages", e)); }
 
-    // Fallback to package one-time fee if template cost missing/0
-    if ((r.subscriberOneTimeCost == null || r.subscriberOneTimeCost === 0) && typeof r.packageOneTimeCost === 'number') {
-      r.subscriberOneTimeCost = r.packageOneTimeCost;
+  // 2) one-time cost of the current package and of every package in the period (templates are cached)
+  if (pkgs?.current) {
+    const { cost, currency, name } = await packageCost(pkgs.current, r._errors);
+    r.subscriberOneTimeCost = cost;
+    r.subscriberOneTimeCostCurrency = currency;
+    if (name && !r.prepaidpackagetemplatename) r.prepaidpackagetemplatename = name;
+  }
+  if (pkgs) {
+    r.packagesInPeriod = [];
+    for (const p of pkgs.inPeriod) {
+      const { cost, currency, name } = await packageCost(p, r._errors);
+      const activated = p.tsactivationutc.slice(0, 10);
+      r.packagesInPeriod.push({
+        subscriberprepaidpackageid: p.subscriberprepaidpackageid,
+        prepaidpackagetemplateid: p.prepaidpackagetemplateid,
+        prepaidpackagetemplatename: p.prepaidpackagetemplatename ?? name,
+        tsactivationutc: p.tsactivationutc,
+        tsexpirationutc: p.tsexpirationutc,
+        pckdatabyte: p.pckdatabyte,
+        useddatabyte: p.useddatabyte,
+        cost,
+        currency,
+        // month the one-time revenue is recognised in; null for packages activated before the period
+        revenueMonth: activated >= period.from ? activated.slice(0, 7) : null
+      });
     }
+    // revenue in one currency only; SIMs with packages in several currencies are summed per package by lib/reports
+    const recognised = r.packagesInPeriod.filter(p => p.revenueMonth && Number.isFinite(p.cost));
+    const currencies = new Set(recognised.filter(p => p.cost).map(p => p.currency ?? null));
+    if (currencies.size <= 1) {
+      r.revenueInPeriod = recognised.reduce((a, p) => a + p.cost, 0);
+      r.revenueInPeriodCurrency = recognised.length ? [...currencies][0] ?? null : null;
+    }
+  }
 
-    // 3) aggregated usage & reseller cost (Jun 1 → today)
+  // 3) aggregated usage & reseller cost (period.from → period.to)
+  if (!usage) return;
+  try {
+    const aggr = await fetchAggregatedUsage(r._sid, period, { accountId: r.accountId, iccid: r.iccid });
+    r.totalBytesInPeriod   = aggr.sumBytes;
+    r.resellerCostInPeriod = aggr.sumResCost;
+    r.resellerCostInPeriodCurrency = aggr.currency;
+    r.usageByNetwork       = aggr.byNetwork;
+    r.usageByMonth         = aggr.byMonth;
+    r._errors.push(...aggr.errors);
+  } catch (e) { r._errors.push(rowError("usage", e)); }
+}
+
+// Progressive consumers (streaming route) can pass:
+//   onRows(rows, period) — once, with the un-enriched subscriber list
+//   onRow(index, row)    — each time a row finishes package/cost/usage enrichment
+// With tolerateAccountErrors a failing listSubscriber skips that account (reported in accountErrors).
+// usage: false skips the (expensive) usage windows, e.g. for package-only consumers like alerts.
+// signal (AbortSignal): once aborted, rows not yet started are left un-enriched and the load throws.
+async function loadRows(accounts, period, { onRows, onRow, tolerateAccountErrors = false, usage = true, signal } = {}) {
+  const accountErrors = [];
+  const lists = await pMap(accounts, async (a) => {
     try {
-      const aggr = await fetchAggregatedUsage(r._sid);
-      r.totalBytesSinceJun1   = aggr.sumBytes;
-      r.resellerCostSinceJun1 = aggr.sumResCost;
-    } catch {}
+      return await listAccountRows(a);
+    } catch (e) {
+      if (!tolerateAccountErrors) throw e;
+      accountErrors.push({ accountId: a.id, accountName: a.name ?? null, message: e.message });
+      return [];
+    }
+  }, 3);
+  const rows = lists.flat();
+  if (onRows) await onRows(rows.map(({ _sid, ...r }) => r), period);
 
+  await pMap(rows, async (r, idx) => {
+    if (signal?.aborted) return;
+    if (r._sid) await enrichRow(r, period, { usage });
     delete r._sid;
+    if (onRow && !signal?.aborted) await onRow(idx, r);
   }, 6);
+  if (signal?.aborted) {
+    const e = new Error("Load cancelled"); e.status = 499; throw e;
+  }
+
+  return { rows, accountErrors };
+}
+
+export async function fetchAllData(accountIdParam, periodParam, options = {}) {
+  const accountId = resolveAccountId(accountIdParam);
+  const period = resolvePeriod(periodParam);
+  const { rows } = await loadRows([{ id: accountId }], period, options);
+  return { rows, period };
+}
+
+// Consolidated view over several accounts ([{ id, name? }]); rows are tagged with accountId/accountName
+export async function fetchAccountsData(accounts, periodParam, options = {}) {
+  if (!accounts?.length) throw badRequest("No accounts selected");
+  const period = resolvePeriod(periodParam);
+  const list = accounts.map(a => ({ id: parseInt(a.id, 10), name: a.name ?? null }));
+  const { rows, accountErrors } = await loadRows(list, period, { ...options, tolerateAccountErrors: true });
+  return { rows, period, accounts: list, accountErrors };
+}
+
+// Row (with _sid) of one ICCID in an account; 404 when it is not there
+export async function findSubscriber(accountIdParam, iccid) {
+  const accountId = resolveAccountId(accountIdParam);
+  const row = (await listAccountRows({ id: accountId })).find(r => r.iccid != null && String(r.iccid) === String(iccid));
+  if (!row) {
+    const e = new Error(`ICCID ${iccid} not found in account ${accountId}`); e.status = 404; throw e;
+  }
+  if (!row._sid) throw new Error(`ICCID ${iccid} has no subscriberId`);
+  return row;
+}
+
+// One freshly enriched dashboard row, e.g. after a lifecycle action
+export async function fetchSubscriberRow(accountIdParam, iccid, periodParam) {
+  const period = resolvePeriod(periodParam);
+  const row = await findSubscriber(accountIdParam, iccid);
+  await enrichRow(row, period);
+  delete row._sid;
+  return row;
+}
+
+// ---------- subscriber drill-down ----------
+// Usage time series (per day or per week) + package history for one ICCID of an account
+export async function fetchSubscriberUsage(accountIdParam, iccid, { from, to, granularity = "day" } = {}) {
+  const accountId = resolveAccountId(accountIdParam);
+  const period = resolvePeriod({ from, to });
+  if (granularity !== "day" && granularity !== "week") throw badRequest(`Invalid granularity "${granularity}" (day|week)`);
+
+  const subscriber = await findSubscriber(accountId, iccid);
+  const sid = subscriber._sid;
+  delete subscriber._sid;
+
+  const windows = Array.from(granularity === "week" ? weekWindows(period.from, period.to) : dayWindows(period.from, period.to));
+  const meta = { accountId, iccid: subscriber.iccid };
+  const [packages, series, totals] = await Promise.all([
+    fetchPackageList(sid),
+    pMap(windows, async (win) => ({ ...win, ...(await fetchUsageWindow(sid, win.start, win.end, meta)) }), 6),
+    fetchUsageRaw(sid, period.from, period.to).then(u => u?.total || {})
+  ]);
 
-  return rows;
+  return { subscriber, period, granularity, series, packages, totals };
 }
@@ -0,0 +1,106 @@
+// Persistent cache for subscriberUsageOverPeriod windows (JSON file store).
+// Only settled windows are stored: the end date must be USAGE_CACHE_SETTLE_DAYS (default 3) before today,
+// UTC, since late usage records keep changing a recently closed window. Newer windows are always re-fetched.
+
+import { promises as fs } from "fs";
+import path from "path";
+
+const CACHE_FILE = process.env.USAGE_CACHE_FILE || path.join(process.cwd(), ".data", "usage-cache.json");
+const FLUSH_DELAY_MS = 1_000;
+const settle = Number(process.env.USAGE_CACHE_SETTLE_DAYS);
+const SETTLE_DAYS = Number.isInteger(settle) && settle >= 0 ? settle : 3;
+
+let entries = null;   // key -> { accountId, subscriberId, iccid, start, end, bytes, resellerCost, currency, networks, fetchedAt }
+let loading = null;
+let flushTimer = null;
+let writing = Promise.resolve();
+
+const keyOf = (subscriberId, start, end) => `${subscriberId}:${start}:${end}`;
+
+export function isClosedWindow(endYMD, todayYMD = new Date().toISOString().slice(0, 10), settleDays = SETTLE_DAYS) {
+  const cutoff = new Date(`${todayYMD}T00:00:00Z`);
+  cutoff.setUTCDate(cutoff.getUTCDate() - settleDays);
+  return endYMD < cutoff.toISOString().slice(0, 10);
+}
+
+async function load() {
+  if (entries) return entries;
+  if (!loading) {
+    loading = (async () => {
+      let data = {};
+      try {
+        const text = await fs.readFile(CACHE_FILE, "utf8");
+        data = JSON.parse(text)?.entries ?? {};
+      } catch (e) {
+        if (e.code !== "ENOENT") console.warn(`[usage-cache] ignoring unreadable ${CACHE_FILE}: ${e.message}`);
+      }
+      entries = new Map(Object.entries(data));
+      return entries;
+    })();
+  }
+  return loading;
+}
+
+// debounce writes: a full reload stores hundreds of windows in a burst
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => { flushTimer = null; flush(); }, FLUSH_DELAY_MS);
+}
+
+export function flush() {
+  if (!entries) return writing;
+  const snapshot = JSON.stringify({ version: 1, entries: Object.fromEntries(entries) });
+  writing = writing.then(async () => {
+    try {
+      await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+      const tmp = `${CACHE_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, CACHE_FILE);
+    } catch (e) {
+      console.warn(`[usage-cache] write failed: ${e.message}`);
+    }
+  });
+  return writing;
+}
+
+export async function getCachedWindow(subscriberId, start, end) {
+  const map = await load();
+  return map.get(keyOf(subscriberId, start, end)) ?? null;
+}
+
+export async function putCachedWindow({ accountId = null, subscriberId, iccid = null, start, end, bytes, resellerCost, currency = null, networks = null }) {
+  if (!isClosedWindow(end)) return;
+  const map = await load();
+  map.set(keyOf(subscriberId, start, end), {
+    accountId, subscriberId, iccid, start, end, bytes, resellerCost, currency, networks,
+    fetchedAt: new Date().toISOString()
+  });
+  scheduleFlush();
+}
+
+// Drop cached windows matching every given criterion; returns the number removed.
+export async function invalidateUsageCache({ accountId, subscriberId, iccid, all = false } = {}) {
+  if (!all && accountId == null && subscriberId == null && iccid == null) {
+    throw new Error("Provide accountId, subscriberId or iccid (or all)");
+  }
+  const map = await load();
+  let removed = 0;
+  for (const [k, e] of map) {
+    if (!all) {
+      if (accountId != null && String(e.accountId) !== String(accountId)) continue;
+      if (subscriberId != null && String(e.subscriberId) !== String(subscriberId)) continue;
+      if (iccid != null && String(e.iccid) !== String(iccid)) continue;
+    }
+    map.delete(k);
+    removed++;
+  }
+  if (removed) await flush();
+  return removed;
+}
+
+export async function usageCacheStats() {
+  const map = await load();
+  const accounts = new Set(), subscribers = new Set();
+  for (const e of map.values()) { accounts.add(e.accountId); subscribers.add(e.subscriberId); }
+  return { file: CACHE_FILE, windows: map.size, accounts: accounts.size, subscribers: subscribers.size };
+}
@@ -0,0 +1,126 @@
+// User store (JSON file) with scrypt password hashes.
+// First start: when the store is empty and LOGIN_USER/LOGIN_PASS are set, that user is created as admin.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { randomBytes, scrypt as scryptCb, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { ROLES } from "./roles.js";
+
+const scrypt = promisify(scryptCb);
+const USERS_FILE = process.env.USERS_FILE || path.join(process.cwd(), ".data", "users.json");
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+// ---------- password hashing ----------
+// format: scrypt$N$r$p$salt(b64)$hash(b64)
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [alg, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (alg !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length, { N: +N, r: +r, p: +p });
+  return timingSafeEqual(actual, expected);
+}
+
+// ---------- store ----------
+async function readStore() {
+  try {
+    const data = JSON.parse(await fs.readFile(USERS_FILE, "utf8"));
+    return Array.isArray(data?.users) ? data.users : [];
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw new Error(`Cannot read user store ${USERS_FILE}: ${e.message}`);
+  }
+}
+
+async function writeStore(users) {
+  await fs.mkdir(path.dirname(USERS_FILE), { recursive: true });
+  const tmp = `${USERS_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, users }, null, 2), { mode: 0o600 });
+  await fs.rename(tmp, USERS_FILE);
+}
+
+async function loadUsers() {
+  const users = await readStore();
+  if (!users.length && process.env.LOGIN_USER && process.env.LOGIN_PASS) {
+    users.push({
+      username: process.env.LOGIN_USER,
+      passwordHash: await hashPassword(process.env.LOGIN_PASS),
+      role: "admin",
+      createdAt: new Date().toISOString()
+    });
+    await writeStore(users);
+  }
+  return users;
+}
+
+const publicUser = ({ passwordHash, ...u }) => u;
+
+export async function listUsers() {
+  return (await loadUsers()).map(publicUser);
+}
+
+export async function getUser(username) {
+  const u = (await loadUsers()).find(x => x.username === username);
+  return u ? publicUser(u) : null;
+}
+
+// -> public user, or null for unknown user / wrong password / disabled account
+const DUMMY_HASH = "scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$" + Buffer.alloc(64).toString("base64");
+export async function authenticate(username, password) {
+  if (!username || !password) return null;
+  const u = (await loadUsers()).find(x => x.username === username);
+  // always run one scrypt so unknown usernames take as long as wrong passwords
+  const ok = await verifyPassword(password, u?.passwordHash ?? DUMMY_HASH);
+  return ok && u && !u.disabled ? publicUser(u) : null;
+}
+
+// Data scope: list of numeric reseller/account ids (accepts "1,2" strings too)
+function parseIds(value, label) {
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const ids = list.map(v => String(v).trim()).filter(Boolean);
+  const bad = ids.find(id => !/^\d+$/.test(id));
+  if (bad) throw httpError(400, `Invalid ${label} "${bad}"`);
+  return [...new Set(ids.map(Number))];
+}
+
+// Create or update a user; password is only changed when given.
+// Scope: allAccounts, or resellerIds + accountIds (admins always see everything).
+export async function saveUser({ username, password, role, disabled, allAccounts, resellerIds, accountIds }) {
+  if (!username || !/^[\w.@+-]{2,64}$/.test(username)) throw httpError(400, "Invalid username");
+  if (role != null && !ROLES.includes(role)) throw httpError(400, `Invalid role "${role}" (${ROLES.join("|")})`);
+  if (password != null && String(password).length < 10) throw httpError(400, "Password must be at least 10 characters");
+  const users = await loadUsers();
+  let u = users.find(x => x.username === username);
+  if (!u) {
+    if (!password || !role) throw httpError(400, "New users need a password and a role");
+    u = { username, createdAt: new Date().toISOString() };
+    users.push(u);
+  }
+  if (password != null) {
+    u.passwordHash = await hashPassword(password);
+    u.passwordChangedAt = new Date().toISOString(); // sessions opened before this stop working
+  }
+  if (role != null) u.role = role;
+  if (disabled != null) u.disabled = Boolean(disabled);
+  if (allAccounts != null) u.allAccounts = Boolean(allAccounts);
+  if (resellerIds != null) u.resellerIds = parseIds(resellerIds, "resellerId");
+  if (accountIds != null) u.accountIds = parseIds(accountIds, "accountId");
+  u.updatedAt = new Date().toISOString();
+  await writeStore(users);
+  return publicUser(u);
+}
+
+export async function deleteUser(username) {
+  const users = await loadUsers();
+  const next = users.filter(x => x.username !== username);
+  if (next.length === users.length) throw httpError(404, `User ${username} not found`);
+  await writeStore(next);
+}
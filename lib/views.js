@@ -0,0 +1,65 @@
+// Saved subscriber grid views (search, filters and sort from lib/gridView), per user.
+// Store: VIEWS_FILE or .data/views.json  { version, views: { username: [{ name, view, updatedAt }] } }
+
+import { promises as fs } from "fs";
+import path from "path";
+import { normalizeView } from "./gridView.js";
+
+const VIEWS_FILE = process.env.VIEWS_FILE || path.join(process.cwd(), ".data", "views.json");
+const MAX_VIEWS = 50;   // per user
+const MAX_NAME = 60;
+
+function httpError(status, message) { const e = new Error(message); e.status = status; return e; }
+
+// ---------- store ----------
+async function readStore() {
+  try {
+    const data = JSON.parse(await fs.readFile(VIEWS_FILE, "utf8"));
+    return data?.views && typeof data.views === "object" ? data.views : {};
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new Error(`Cannot read saved views ${VIEWS_FILE}: ${e.message}`);
+  }
+}
+
+async function writeStore(views) {
+  await fs.mkdir(path.dirname(VIEWS_FILE), { recursive: true });
+  const tmp = `${VIEWS_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, views }, null, 2));
+  await fs.rename(tmp, VIEWS_FILE);
+}
+
+function viewName(value) {
+  const name = String(value ?? "").trim();
+  if (!name) throw httpError(400, "View name is required");
+  if (name.length > MAX_NAME) throw httpError(400, `View name is longer than ${MAX_NAME} characters`);
+  return name;
+}
+
+// -> [{ name, view, updatedAt }] sorted by name
+export async function listViews(username) {
+  const views = await readStore();
+  return (views[username] ?? []).slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Saves (or replaces, by name) one of the user's views -> saved entry
+export async function saveView(username, { name, view }) {
+  const entry = { name: viewName(name), view: normalizeView(view ?? {}), updatedAt: new Date().toISOString() };
+  const views = await readStore();
+  const mine = views[username] ?? [];
+  const i = mine.findIndex(v => v.name === entry.name);
+  if (i < 0 && mine.length >= MAX_VIEWS) throw httpError(400, `At most ${MAX_VIEWS} saved views per user`);
+  if (i >= 0) mine[i] = entry; else mine.push(entry);
+  views[username] = mine;
+  await writeStore(views);
+  return entry;
+}
+
+export async function deleteView(username, name) {
+  const views = await readStore();
+  const mine = views[username] ?? [];
+  const next = mine.filter(v => v.name !== name);
+  if (next.length === mine.length) throw httpError(404, `No saved view "${name}"`);
+  if (next.length) views[username] = next; else delete views[username];
+  await writeStore(views);
+}
@@ -1,18 +1,23 @@
-
 import { NextResponse } from "next/server";
+import { SESSION_COOKIE, SESSION_MAX_AGE, sessionCookieOptions, signSession, verifySession } from "./lib/session";
 
-export function middleware(req) {
+export async function middleware(req) {
   const { pathname } = req.nextUrl;
-  const session = req.cookies.get("session")?.value;
 
   if (
     pathname.startsWith("/_next/") || pathname.startsWith("/public/") ||
     /\.(ico|png|jpg|jpeg|svg|webp|css|js|woff2?)$/.test(pathname)
   ) return NextResponse.next();
 
+  // only a correctly signed, unexpired token counts as logged in
+  const session = await verifySession(req.cookies.get(SESSION_COOKIE)?.value);
+
   const isLoginPage = pathname === "/login";
   const isLoginApi  = pathname.startsWith("/api/login");
   const isLogoutApi = pathname.startsWith("/api/logout");
+  const isCronApi   = pathname.startsWith("/api/cron/"); // authenticated by CRON_SECRET in the route
+
+  if (isCronApi) return NextResponse.next();
 
   if (isLoginPage || isLoginApi || isLogoutApi) {
     if (session && isLoginPage) {
@@ -23,11 +28,21 @@ export function middleware(req) {
   }
 
   if (!session) {
+    if (pathname.startsWith("/api/")) {
+      return NextResponse.json({ ok: false, error: "Not signed in" }, { status: 401 });
+    }
     const url = req.nextUrl.clone(); url.pathname = "/login";
     return NextResponse.redirect(url);
   }
 
-  return NextResponse.next();
+  // sliding expiry: re-sign the cookie once half its lifetime is used up (the server-side session
+  // store slides its own idle expiry and is what revocation is checked against)
+  const res = NextResponse.next();
+  if (session.exp * 1000 - Date.now() < SESSION_MAX_AGE * 500) {
+    const { exp, ...payload } = session;
+    res.cookies.set(SESSION_COOKIE, await signSession(payload), sessionCookieOptions());
+  }
+  return res;
 }
 
 export const config = { matcher: ["/((?!_next/static|_next/image).*)"] };
@@ -0,0 +1,77 @@
+// Local mock of the OCS JSON API, answering from recorded fixtures. Used by the test suite and by
+// `npm run demo`; `npm run mock-ocs` runs it standalone.
+//
+// A fixture file is { token?, responses: [{ request, response, status? }] }:
+//   request  — an OCS payload, e.g. { "listSubscriber": { "accountId": 3771 } }. It matches any call with
+//              the same operation whose parameters contain it (so { "subscriberUsageOverPeriod":
+//              { "subscriber": { "subscriberId": 1 } } } answers every period of subscriber 1).
+//   response — the JSON body returned as-is
+//   status   — HTTP status (default 200), e.g. 503 to simulate an outage
+// The first matching entry wins, so list specific requests before generic ones. Calls without a match
+// get 404 { error }, which the client treats like an unknown operation. When `token` is set, calls
+// with another ?token= get 401.
+
+import http from "http";
+import { promises as fs } from "fs";
+
+// every key of `pattern` is present (recursively) with the same value in `value`
+function contains(value, pattern) {
+  if (pattern === null || typeof pattern !== "object") return value === pattern;
+  if (value === null || typeof value !== "object") return false;
+  if (Array.isArray(pattern)) {
+    return Array.isArray(value) && pattern.length === value.length && pattern.every((p, i) => contains(value[i], p));
+  }
+  return Object.keys(pattern).every(k => contains(value[k], pattern[k]));
+}
+
+export function findResponse(responses, payload) {
+  return responses.find(f => contains(payload, f.request)) ?? null;
+}
+
+export async function loadFixtures(file) {
+  const data = JSON.parse(await fs.readFile(file, "utf8"));
+  if (!Array.isArray(data?.responses)) throw new Error(`${file}: expected { responses: [...] }`);
+  return data;
+}
+
+// -> { url, calls, close() }; calls records every request as { op, payload, status }
+export function startMockOCS({ responses = [], token = null, port = 0, host = "127.0.0.1" } = {}) {
+  const calls = [];
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    let payload;
+    try {
+      payload = JSON.parse(body || "null");
+    } catch {
+      return send(400, { error: "Invalid JSON" });
+    }
+    const op = Object.keys(payload || {})[0] || "unknown";
+    const given = new URL(req.url, "http://mock").searchParams.get("token");
+    if (req.method !== "POST") return send(405, { error: "POST only" });
+    if (token && given !== token) {
+      calls.push({ op, payload, status: 401 });
+      return send(401, { error: "Invalid token" });
+    }
+    const hit = findResponse(responses, payload);
+    const status = hit ? hit.status ?? 200 : 404;
+    calls.push({ op, payload, status });
+    send(status, hit ? hit.response ?? {} : { error: `No fixture for ${op}` });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const { port: actual } = server.address();
+      resolve({
+        url: `http://${host}:${actual}/`,
+        calls,
+        close: () => new Promise(r => server.close(() => r()))
+      });
+    });
+  });
+}
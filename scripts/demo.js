@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Demo mode: the dashboard against the mock OCS with recorded demo data (mock/fixtures/demo.json).
+//   npm run demo              http://localhost:3000, sign in as demo / demo
+//   PORT=3100 npm run demo
+// Users, sessions, caches and other stores go to .data/demo, so a demo never touches real data.
+
+import path from "path";
+import { spawn } from "child_process";
+import { createRequire } from "module";
+import { loadFixtures, startMockOCS } from "../mock/ocs.js";
+
+const dataDir = path.join(process.cwd(), ".data", "demo");
+const port = process.env.PORT || "3000";
+
+try {
+  const { token, responses } = await loadFixtures(path.join(process.cwd(), "mock", "fixtures", "demo.json"));
+  const mock = await startMockOCS({ responses, token, port: Number(process.env.MOCK_OCS_PORT) || 0 });
+  console.log(`mock OCS on ${mock.url}`);
+
+  const env = {
+    ...process.env,
+    OCS_BASE_URL: mock.url,
+    OCS_TOKEN: token,
+    OCS_ACCOUNT_ID: "3771",
+    OCS_RESELLER_ID: "",
+    OCS_LOG: process.env.OCS_LOG || "error",
+    LOGIN_USER: "demo",
+    LOGIN_PASS: "demo",
+    SESSION_SECRET: process.env.SESSION_SECRET || "demo-session-secret-not-for-production",
+    USERS_FILE: path.join(dataDir, "users.json"),
+    SESSIONS_FILE: path.join(dataDir, "sessions.json"),
+    AUDIT_LOG_FILE: path.join(dataDir, "audit.jsonl"),
+    USAGE_CACHE_FILE: path.join(dataDir, "usage-cache.json"),
+    SNAPSHOT_DIR: path.join(dataDir, "snapshots"),
+    REPORT_SCHEDULES_FILE: path.join(dataDir, "report-schedules.json"),
+    FX_RATES_FILE: path.join(dataDir, "fx-rates.json"),
+    VIEWS_FILE: path.join(dataDir, "views.json"),
+    COLUMN_PRESETS_FILE: path.join(dataDir, "column-presets.json"),
+    PRICE_PLANS_FILE: path.join(dataDir, "price-plans.json"),
+    INVOICE_DIR: path.join(dataDir, "invoices"),
+    REPORTING_CURRENCY: "EUR",
+    FX_RATES: "USD=0.92"
+  };
+  const next = spawn(process.execPath, [createRequire(import.meta.url).resolve("next/dist/bin/next"), "dev", "-p", port], { env, stdio: "inherit" });
+  console.log(`dashboard on http://localhost:${port} — sign in as demo / demo`);
+
+  const stop = () => next.kill("SIGINT");
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+  next.on("exit", async (code) => {
+    await mock.close();
+    process.exit(code ?? 0);
+  });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
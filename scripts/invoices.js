@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Monthly invoices for every account with a price plan. Run early each month from cron, e.g.
+//   0 7 2 * *  cd /srv/dashboard && npm run invoices
+//
+//   npm run invoices                                  last month, accounts not invoiced yet
+//   npm run invoices -- --month=2025-05 3771          one account, one month
+//   npm run invoices -- --regenerate 3771             replace an existing invoice
+//   npm run invoices -- --allow-incomplete            bill even if some SIMs could not be fully loaded
+//
+// Needs the same OCS_* env as the app. Plans are edited on /billing; invoices go to INVOICE_DIR or .data/invoices.
+
+import { generateInvoices } from "../lib/invoices.js";
+import { previousMonth } from "../lib/billing.js";
+import { flushAudit } from "../lib/audit.js";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+const value = (name) => flag(name)?.split("=")[1];
+
+try {
+  const ids = args.filter(a => !a.startsWith("--"));
+  const bad = ids.find(id => !/^\d+$/.test(id));
+  if (bad) throw new Error(`Invalid accountId "${bad}". Usage: invoices.js [--month=YYYY-MM] [--regenerate] [--allow-incomplete] [accountId ...]`);
+
+  const results = await generateInvoices({
+    month: value("month") || previousMonth(),
+    regenerate: Boolean(flag("regenerate")),
+    allowIncomplete: Boolean(flag("allow-incomplete")),
+    accountIds: ids.length ? ids : null
+  });
+  if (!results.length) console.log("No accounts with a price plan");
+  for (const r of results) {
+    console.log(!r.ok
+      ? `${r.accountId}\t${r.month}\tFAILED\t${r.error}`
+      : r.skipped
+        ? `${r.accountId}\t${r.month}\talready invoiced`
+        : `${r.accountId}\t${r.month}\t${r.number}\t${r.totals.sims} SIMs\t${r.totals.amount.toFixed(2)} ${r.currency}`);
+  }
+  await flushAudit();
+  process.exit(results.every(r => r.ok) ? 0 : 1);
+} catch (e) {
+  console.error(e.message);
+  await flushAudit();
+  process.exit(1);
+}
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Standalone mock OCS answering from recorded fixtures (see mock/ocs.js for the fixture format).
+//   npm run mock-ocs                              mock/fixtures/demo.json on 127.0.0.1:4599
+//   npm run mock-ocs -- my-fixtures.json --port=4600
+// Point the app at it with OCS_BASE_URL=http://127.0.0.1:4599/ and OCS_TOKEN set to the fixture token.
+
+import path from "path";
+import { loadFixtures, startMockOCS } from "../mock/ocs.js";
+
+const args = process.argv.slice(2);
+const file = args.find(a => !a.startsWith("--")) || path.join(process.cwd(), "mock", "fixtures", "demo.json");
+const port = Number(args.find(a => a.startsWith("--port="))?.split("=")[1] ?? process.env.MOCK_OCS_PORT ?? 4599);
+
+try {
+  const { token = null, responses } = await loadFixtures(file);
+  const mock = await startMockOCS({ responses, token, port });
+  console.log(`mock OCS on ${mock.url} (${responses.length} fixtures from ${file}${token ? `, token "${token}"` : ""})`);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
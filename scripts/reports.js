@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// E-mail the weekly / monthly account reports that are due. Run daily from cron, e.g.
+//   30 6 * * *  cd /srv/dashboard && npm run reports
+//
+//   npm run reports                                   everything due today and not sent yet
+//   npm run reports -- --dry-run                      only list what would be sent
+//   npm run reports -- --force --kind=weekly 3771     send again, even if already sent for this run
+//   npm run reports -- --now=2025-06-02               act as if it were that day (UTC)
+//
+// Needs the same OCS_* env as the app plus SMTP_* (see lib/mailer.js). Schedules are edited on /admin/reports.
+
+import { runDueReports, REPORT_KINDS } from "../lib/reportSchedules.js";
+import { flushAudit } from "../lib/audit.js";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+const value = (name) => flag(name)?.split("=")[1];
+
+try {
+  const ids = args.filter(a => !a.startsWith("--"));
+  const bad = ids.find(id => !/^\d+$/.test(id));
+  if (bad) throw new Error(`Invalid accountId "${bad}". Usage: reports.js [--dry-run] [--force] [--kind=weekly|monthly] [--now=YYYY-MM-DD] [accountId ...]`);
+  const kind = value("kind");
+  if (kind && !REPORT_KINDS.includes(kind)) throw new Error(`Invalid --kind "${kind}" (${REPORT_KINDS.join("|")})`);
+  const nowArg = value("now");
+  const now = nowArg ? new Date(`${nowArg}T12:00:00Z`) : new Date();
+  if (isNaN(now)) throw new Error(`Invalid --now "${nowArg}" (expected YYYY-MM-DD)`);
+
+  const results = await runDueReports({
+    now,
+    force: Boolean(flag("force")),
+    dryRun: Boolean(flag("dry-run")),
+    kinds: kind ? [kind] : REPORT_KINDS,
+    accountIds: ids.length ? ids : null
+  });
+  if (!results.length) console.log("No reports due");
+  for (const r of results) {
+    console.log(!r.ok
+      ? `${r.accountId}\t${r.kind}\tFAILED\t${r.error}`
+      : r.dryRun
+        ? `${r.accountId}\t${r.kind}\tdue (${r.key})`
+        : `${r.accountId}\t${r.kind}\t${r.period.from}..${r.period.to}\t${r.rows} rows\t-> ${r.recipients.join(", ")}`);
+  }
+  await flushAudit();
+  process.exit(results.every(r => r.ok) ? 0 : 1);
+} catch (e) {
+  console.error(e.message);
+  await flushAudit();
+  process.exit(1);
+}
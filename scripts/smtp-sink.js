@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Local SMTP sink for testing e-mailed reports: accepts every message and stores it as an .eml file.
+//   npm run smtp-sink                 listens on 127.0.0.1:2525, writes to .data/mail
+//   SMTP_SINK_PORT=2526 SMTP_SINK_DIR=/tmp/mail npm run smtp-sink
+// Then run the app / `npm run reports` with SMTP_HOST=127.0.0.1 SMTP_PORT=2525.
+// Plain SMTP only (no TLS, no auth); never expose it beyond localhost.
+
+import net from "net";
+import path from "path";
+import { promises as fs } from "fs";
+
+const PORT = Number(process.env.SMTP_SINK_PORT) || 2525;
+const DIR = process.env.SMTP_SINK_DIR || path.join(process.cwd(), ".data", "mail");
+let counter = 0;
+
+async function store(envelope, data) {
+  await fs.mkdir(DIR, { recursive: true });
+  const file = path.join(DIR, `${new Date().toISOString().replace(/[:.]/g, "-")}-${++counter}.eml`);
+  await fs.writeFile(file, data);
+  const subject = /^Subject: (.*(?:\r\n[ \t].*)*)/mi.exec(data)?.[1].replace(/\r\n[ \t]/g, " ") ?? "";
+  console.log(`${envelope.from} -> ${envelope.to.join(", ")}\t${subject}\t${file}`);
+}
+
+net.createServer((socket) => {
+  let buf = "";
+  let envelope = { from: null, to: [] };
+  let data = null; // collected lines while in DATA
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply("220 localhost smtp-sink");
+
+  // Lines are handled one at a time: a chunk that arrives while a message is being stored waits for it,
+  // so the replies keep the order of the commands.
+  async function drain() {
+    let i;
+    while ((i = buf.indexOf("\r\n")) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      if (data) {
+        if (line !== ".") { data.push(line.startsWith("..") ? line.slice(1) : line); continue; }
+        const message = data.join("\r\n") + "\r\n";
+        data = null;
+        await store(envelope, message).catch(e => console.error(`store failed: ${e.message}`));
+        envelope = { from: null, to: [] };
+        reply("250 OK: stored");
+        continue;
+      }
+      const cmd = line.slice(0, 4).toUpperCase();
+      if (cmd === "EHLO" || cmd === "HELO") reply("250 localhost");
+      else if (cmd === "MAIL") { envelope.from = /<([^>]*)>/.exec(line)?.[1] ?? ""; reply("250 OK"); }
+      else if (cmd === "RCPT") { envelope.to.push(/<([^>]*)>/.exec(line)?.[1] ?? ""); reply("250 OK"); }
+      else if (cmd === "DATA") { data = []; reply("354 End data with <CR><LF>.<CR><LF>"); }
+      else if (cmd === "RSET") { envelope = { from: null, to: [] }; reply("250 OK"); }
+      else if (cmd === "NOOP") reply("250 OK");
+      else if (cmd === "QUIT") { reply("221 Bye"); socket.end(); }
+      else reply("502 Command not implemented");
+    }
+  }
+
+  let queue = Promise.resolve();
+  socket.on("data", (chunk) => {
+    buf += chunk.toString("utf8");
+    queue = queue.then(drain).catch(e => console.error(`smtp-sink: ${e.message}`));
+  });
+  socket.on("error", () => {});
+}).listen(PORT, "127.0.0.1", () => console.log(`smtp-sink listening on 127.0.0.1:${PORT}, writing to ${DIR}`));
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Store today's snapshot (fetchAllData output) per account. Run daily from cron, e.g.
+//   15 23 * * *  cd /srv/dashboard && npm run snapshot
+//
+//   npm run snapshot                 every account of OCS_RESELLER_ID (or all resellers)
+//   npm run snapshot -- 3771 3772    only these accounts
+//
+// Needs the same OCS_* env as the app; files go to SNAPSHOT_DIR or .data/snapshots.
+
+import { listAccounts, resolveResellerId } from "../lib/accounts.js";
+import { takeSnapshots } from "../lib/snapshots.js";
+
+const ids = process.argv.slice(2);
+
+try {
+  const bad = ids.find(id => !/^\d+$/.test(id));
+  if (bad) throw new Error(`Invalid accountId "${bad}". Usage: snapshot.js [accountId ...]`);
+  const accounts = ids.length
+    ? ids.map(id => ({ id: Number(id) }))
+    : await listAccounts(resolveResellerId());
+  if (!accounts.length) throw new Error("No accounts found (set OCS_RESELLER_ID / OCS_ACCOUNT_ID or pass account ids)");
+
+  const results = await takeSnapshots(accounts);
+  for (const r of results) {
+    console.log(r.ok
+      ? `${r.accountId}\t${r.date}\t${r.totals.sims} SIMs\t${r.durationMs} ms`
+      : `${r.accountId}\tFAILED\t${r.error}`);
+  }
+  process.exit(results.every(r => r.ok) ? 0 : 1);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Manage dashboard users (same JSON store as the app: USERS_FILE or .data/users.json).
+//
+//   npm run users -- list
+//   npm run users -- add <username> <admin|finance|support>
+//   npm run users -- password <username>
+//   npm run users -- role <username> <admin|finance|support>
+//   npm run users -- disable|enable|delete <username>
+//   npm run users -- scope <username> all | [resellers=1,2] [accounts=3,4]
+//
+// Passwords are read from the PASSWORD env var, else prompted for (not echoed).
+
+import readline from "readline";
+import { deleteUser, listUsers, saveUser } from "../lib/users.js";
+
+function promptHidden(question) {
+  if (process.env.PASSWORD) return Promise.resolve(process.env.PASSWORD);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  const write = rl._writeToOutput.bind(rl);
+  rl._writeToOutput = (s) => write(s.startsWith(question) ? s : "");
+  return new Promise(resolve => rl.question(question, (answer) => { rl.close(); process.stdout.write("\n"); resolve(answer); }));
+}
+
+const [cmd, username, arg, ...rest] = process.argv.slice(2);
+
+const scopeText = (u) => u.role === "admin" || u.allAccounts
+  ? "all accounts"
+  : `resellers=${(u.resellerIds || []).join(",") || "-"} accounts=${(u.accountIds || []).join(",") || "-"}`;
+
+// "all" | "resellers=1,2" "accounts=3" (omitted lists are cleared)
+function parseScope(args) {
+  if (args[0] === "all") return { allAccounts: true, resellerIds: [], accountIds: [] };
+  const opts = Object.fromEntries(args.map(a => a.split("=")));
+  return { allAccounts: false, resellerIds: opts.resellers || [], accountIds: opts.accounts || [] };
+}
+
+try {
+  switch (cmd) {
+    case "list":
+      for (const u of await listUsers()) console.log(`${u.username}\t${u.role}\t${scopeText(u)}${u.disabled ? "\tdisabled" : ""}`);
+      break;
+    case "add":
+      console.log(await saveUser({ username, role: arg, password: await promptHidden("Password: ") }));
+      break;
+    case "password":
+      await saveUser({ username, password: await promptHidden("New password: ") });
+      console.log("Password updated");
+      break;
+    case "role":
+      console.log(await saveUser({ username, role: arg }));
+      break;
+    case "disable":
+    case "enable":
+      console.log(await saveUser({ username, disabled: cmd === "disable" }));
+      break;
+    case "scope":
+      if (!arg) throw new Error("Usage: scope <user> all | [resellers=1,2] [accounts=3,4]");
+      console.log(await saveUser({ username, ...parseScope([arg, ...rest]) }));
+      break;
+    case "delete":
+      await deleteUser(username);
+      console.log(`Deleted ${username}`);
+      break;
+    default:
+      console.error("Usage: users.js list | add <user> <role> | password <user> | role <user> <role> | scope <user> all|resellers=…|accounts=… | disable|enable|delete <user>");
+      process.exit(1);
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -0,0 +1,100 @@
+import { useMockOCS } from "./helpers.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { flattenResellerAccounts, listAccounts, resolveResellerId } from "../lib/accounts.js";
+import { allowedAccounts, scopedSelection } from "../lib/access.js";
+
+let mock = null;
+const serve = async (responses) => {
+  await mock?.close();
+  mock = await useMockOCS(responses);
+};
+after(() => mock?.close());
+
+test("flattenResellerAccounts: one row per account with its reseller", () => {
+  const resp = {
+    listResellerAccount: {
+      reseller: [
+        { id: 12, name: "R12", account: [{ id: 1, name: "A" }, { accountId: 2, accountName: "B" }] },
+        { id: 13, name: "R13", account: [{ id: 3 }, { name: "no id" }] },
+        { id: 14, name: "R14" }
+      ]
+    }
+  };
+  assert.deepEqual(flattenResellerAccounts(resp), [
+    { id: 1, name: "A", resellerId: 12, resellerName: "R12" },
+    { id: 2, name: "B", resellerId: 12, resellerName: "R12" },
+    { id: 3, name: "Account 3", resellerId: 13, resellerName: "R13" }
+  ]);
+  assert.deepEqual(flattenResellerAccounts({}), []);
+  assert.deepEqual(flattenResellerAccounts({ listResellerAccount: { reseller: {} } }), []);
+});
+
+test("listAccounts: listResellerAccount, optionally for one reseller", async () => {
+  await serve([
+    { request: { listResellerAccount: { resellerId: 13 } }, response: { listResellerAccount: { reseller: [{ id: 13, account: [{ id: 3, name: "C" }] }] } } },
+    { request: { listResellerAccount: {} }, response: { listResellerAccount: { reseller: [{ id: 12, account: [{ id: 1, name: "A" }] }, { id: 13, account: [{ id: 3, name: "C" }] }] } } }
+  ]);
+  assert.deepEqual((await listAccounts()).map(a => a.id), [1, 3]);
+  assert.deepEqual(await listAccounts(13), [{ id: 3, name: "C", resellerId: 13, resellerName: null }]);
+  assert.deepEqual(mock.calls.map(c => c.payload), [{ listResellerAccount: {} }, { listResellerAccount: { resellerId: 13 } }]);
+});
+
+test("listAccounts: falls back to other list operations", async () => {
+  await serve([
+    { request: { listResellerAccount: {} }, response: { listResellerAccount: { reseller: [] } } },
+    // listAccount is unknown (404 from the mock); listAccounts answers
+    { request: { listAccounts: {} }, response: { listAccounts: { accounts: [{ accountId: 7, accountName: "G" }, { id: 8 }, { name: "no id" }] } } }
+  ]);
+  assert.deepEqual(await listAccounts(), [{ id: 7, name: "G" }, { id: 8, name: "Account 8" }]);
+  assert.deepEqual(mock.calls.map(c => c.op), ["listResellerAccount", "listAccount", "listAccounts"]);
+});
+
+test("listAccounts: last resort is OCS_ACCOUNT_ID, named after its subscribers", async () => {
+  await serve([
+    { request: { listResellerAccount: {} }, response: {} },
+    { request: { listSubscriber: { accountId: 3771 } }, response: { listSubscriber: { subscriberList: [{ account: "Alpine" }] } } }
+  ]);
+  process.env.OCS_ACCOUNT_ID = "3771";
+  try {
+    assert.deepEqual(await listAccounts(), [{ id: 3771, name: "Alpine" }]);
+  } finally {
+    delete process.env.OCS_ACCOUNT_ID;
+  }
+  assert.deepEqual(await listAccounts(), []);
+});
+
+test("allowedAccounts: a reseller's own accounts only, never the tenant-wide fallbacks", async () => {
+  await serve([
+    { request: { listResellerAccount: { resellerId: 21 } }, response: { listResellerAccount: { reseller: [
+      { id: 21, account: [{ id: 5, name: "Mine" }] },
+      { id: 22, account: [{ id: 6, name: "Other reseller" }] }
+    ] } } },
+    { request: { listResellerAccount: { resellerId: 23 } }, response: { listResellerAccount: { reseller: [] } } },
+    { request: { listAccounts: {} }, response: { listAccounts: { accounts: [{ accountId: 7, accountName: "Tenant" }] } } }
+  ]);
+  process.env.OCS_ACCOUNT_ID = "7";
+  try {
+    const user = { role: "user", resellerIds: [21] };
+    assert.deepEqual(await allowedAccounts(user), [{ id: 5, name: "Mine", resellerId: 21, resellerName: null }]);
+    const empty = { role: "user", resellerIds: [23] };
+    assert.deepEqual(await allowedAccounts(empty), []);
+    await assert.rejects(scopedSelection(empty, new URLSearchParams("all=1")), { status: 403 });
+    await assert.rejects(scopedSelection(empty, new URLSearchParams("accountId=7")), { status: 403 });
+  } finally {
+    delete process.env.OCS_ACCOUNT_ID;
+  }
+  assert.ok(!mock.calls.some(c => c.op !== "listResellerAccount"), "no fallback lookups");
+});
+
+test("resolveResellerId: query, then OCS_RESELLER_ID", () => {
+  assert.equal(resolveResellerId("12"), 12);
+  assert.equal(resolveResellerId("x"), undefined);
+  process.env.OCS_RESELLER_ID = "13";
+  try {
+    assert.equal(resolveResellerId(null), 13);
+    assert.equal(resolveResellerId("12"), 12);
+  } finally {
+    delete process.env.OCS_RESELLER_ID;
+  }
+});
@@ -0,0 +1,143 @@
+import { useMockOCS, subscriber } from "./helpers.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { normalizePlan, billingMonth, previousMonth, computeInvoice } from "../lib/billing.js";
+import { convertAmount } from "../lib/reports.js";
+import { savePlan, getPlan, listPlans, deletePlan } from "../lib/pricePlans.js";
+import { generateInvoice, listInvoices, readInvoice } from "../lib/invoices.js";
+import { buildInvoiceFile } from "../lib/invoiceExport.js";
+
+const GB = 1024 ** 3;
+const FX = { reportingCurrency: "EUR", defaultCurrency: "EUR", rates: { USD: 0.8, GBP: 1.2 } };
+const PLAN = normalizePlan({ accountId: 5, currency: "EUR", monthlyFeePerSim: 2, includedGbPerSim: 1, overagePerGb: 3, markupPct: 50 });
+const JUNE = { from: "2025-06-01", to: "2025-06-30" };
+const row = (iccid, extra = {}) => ({
+  iccid, subscriberStatus: "ACTIVE", activationDate: "2025-01-10T08:00:00", totalBytesInPeriod: 0, resellerCostInPeriod: 0, resellerCostInPeriodCurrency: "EUR", ...extra
+});
+
+test("normalizePlan: validates ids, currency and amounts", () => {
+  assert.deepEqual(normalizePlan({ accountId: "7", currency: "usd", monthlyFeePerSim: "1.5", overagePerGb: "" }),
+    { accountId: 7, accountName: null, currency: "USD", monthlyFeePerSim: 1.5, includedGbPerSim: 0, overagePerGb: 0, markupPct: 0 });
+  assert.throws(() => normalizePlan({ accountId: "x", currency: "EUR" }), { status: 400 });
+  assert.throws(() => normalizePlan({ accountId: 7, currency: "EURO" }), { status: 400 });
+  assert.throws(() => normalizePlan({ accountId: 7, currency: "EUR", markupPct: -1 }), { status: 400 });
+});
+
+test("billingMonth: closed calendar months only", () => {
+  const now = new Date("2025-03-10T12:00:00Z");
+  assert.deepEqual(billingMonth("2024-02", now), { key: "2024-02", from: "2024-02-01", to: "2024-02-29" });
+  assert.deepEqual(billingMonth("2025-02", now), { key: "2025-02", from: "2025-02-01", to: "2025-02-28" });
+  assert.throws(() => billingMonth("2025-03", now), { status: 400 });
+  assert.throws(() => billingMonth("2025-13", now), { status: 400 });
+  assert.equal(previousMonth(now), "2025-02");
+  assert.equal(previousMonth(new Date("2025-01-05T00:00:00Z")), "2024-12");
+});
+
+test("convertAmount: via the reporting currency", () => {
+  assert.equal(convertAmount(10, "USD", "EUR", FX), 8);
+  assert.equal(convertAmount(12, "GBP", "USD", FX).toFixed(6), "18.000000");
+  assert.equal(convertAmount(5, null, "EUR", FX), 5);
+  assert.equal(convertAmount(5, "CHF", "EUR", FX), null);
+  assert.equal(convertAmount(5, "CHF", "EUR", null), 5);
+});
+
+test("computeInvoice: monthly fee, per-SIM overage and marked-up cost", () => {
+  const { lines, totals } = computeInvoice([
+    row("b", { totalBytesInPeriod: 3 * GB, resellerCostInPeriod: 10, resellerCostInPeriodCurrency: "USD" }),
+    row("a", { totalBytesInPeriod: 0.5 * GB, resellerCostInPeriod: 1 }),
+    row("c", { subscriberStatus: "SUSPENDED" }),                                    // idle and not active: not billed
+    row("d", { subscriberStatus: "SUSPENDED", totalBytesInPeriod: GB })             // used data: billed
+  ], PLAN, JUNE, FX);
+  assert.deepEqual(lines.map(l => l.iccid), ["a", "b", "d"]);
+  const b = lines[1];
+  assert.equal(b.overageGb, 2);
+  assert.equal(b.overage, 6);
+  assert.equal(b.cost, 8);
+  assert.equal(b.usage, 12);
+  assert.equal(b.amount, 20);
+  assert.equal(lines[0].overage, 0);
+  assert.equal(lines[0].amount, 3.5);
+  assert.deepEqual(totals, { sims: 3, usageGb: 4.5, monthlyFees: 6, overage: 6, usage: 13.5, amount: 25.5, cost: 9, margin: 16.5 });
+});
+
+test("computeInvoice: billed from the month's activation and status, not today's", () => {
+  const history = (...changes) => changes.map(([status, startDate]) => ({ status, startDate }));
+  const { lines } = computeInvoice([
+    // activated after the month: no fee, even though active now
+    row("late", { activationDate: "2025-07-03T10:00:00", statusHistory: history(["ACTIVE", "2025-07-03T10:00:00"]) }),
+    // active in June, suspended before the run, no usage: still billed
+    row("gone", { subscriberStatus: "SUSPENDED", statusHistory: history(["ACTIVE", "2025-01-10T08:00:00"], ["SUSPENDED", "2025-07-10T00:00:00"]) }),
+    // suspended mid-June: active for part of the month
+    row("mid", { subscriberStatus: "SUSPENDED", statusHistory: history(["ACTIVE", "2025-01-10T08:00:00"], ["SUSPENDED", "2025-06-15T00:00:00"]) }),
+    // suspended all of June, resumed since: not billed
+    row("idle", { statusHistory: history(["ACTIVE", "2025-01-10T08:00:00"], ["SUSPENDED", "2025-05-20T00:00:00"], ["ACTIVE", "2025-07-02T00:00:00"]) }),
+    // no activationDate: the first status change counts as activation
+    row("hist", { activationDate: null, statusHistory: history(["ACTIVE", "2025-08-01T00:00:00"]) })
+  ], PLAN, JUNE, FX);
+  assert.deepEqual(lines.map(l => l.iccid), ["gone", "mid"]);
+});
+
+test("computeInvoice: 409 when a cost cannot be converted", () => {
+  assert.throws(() => computeInvoice([row("a", { resellerCostInPeriod: 1, resellerCostInPeriodCurrency: "CHF" })], PLAN, JUNE, FX),
+    { status: 409, message: /CHF into EUR/ });
+});
+
+test("price plans: save, replace, delete", async () => {
+  await savePlan({ accountId: 9, accountName: "Nine", currency: "EUR", monthlyFeePerSim: 1 });
+  await savePlan({ accountId: 9, currency: "USD", monthlyFeePerSim: 2 });
+  const p = await getPlan(9);
+  assert.equal(p.currency, "USD");
+  assert.equal(p.accountName, "Nine"); // kept when not sent
+  assert.equal((await listPlans()).filter(x => x.accountId === 9).length, 1);
+  await deletePlan(9);
+  await assert.rejects(getPlan(9), { status: 404 });
+  await assert.rejects(deletePlan(9), { status: 404 });
+});
+
+// ---------- generateInvoice against the mock OCS ----------
+let mock;
+before(async () => {
+  mock = await useMockOCS([
+    {
+      request: { listSubscriber: { accountId: 5 } },
+      response: { listSubscriber: { subscriberList: [subscriber(1, "8900000000000000001"), subscriber(2, "8900000000000000002")] } }
+    },
+    { request: { listSubscriberPrepaidPackages: {} }, response: { listSubscriberPrepaidPackages: { packages: [] } } },
+    {
+      request: { subscriberUsageOverPeriod: { subscriber: { subscriberId: 1 }, period: { start: "2025-06-01" } } },
+      response: { subscriberUsageOverPeriod: { total: { quantityPerType: { "33": 2 * GB }, resellerCost: 4, currency: "EUR" } } }
+    },
+    { request: { subscriberUsageOverPeriod: {} }, response: { subscriberUsageOverPeriod: { total: { quantityPerType: { "33": 0 }, resellerCost: 0 } } } }
+  ]);
+  await savePlan({ ...PLAN, accountName: "Five" });
+});
+after(() => mock.close());
+
+test("generateInvoice: stores the month's invoice once, regenerate replaces it", async () => {
+  const inv = await generateInvoice({ accountId: 5, month: "2025-06" });
+  assert.equal(inv.number, "INV-5-202506");
+  assert.deepEqual(inv.period, { from: "2025-06-01", to: "2025-06-30" });
+  assert.equal(inv.lines, undefined);
+  assert.deepEqual(inv.totals, { sims: 2, usageGb: 2, monthlyFees: 4, overage: 3, usage: 6, amount: 13, cost: 4, margin: 9 });
+
+  await assert.rejects(generateInvoice({ accountId: 5, month: "2025-06" }), { status: 409 });
+  const again = await generateInvoice({ accountId: 5, month: "2025-06", regenerate: true });
+  assert.equal(again.replaces, inv.issuedAt);
+  assert.equal((await listInvoices(5)).length, 1);
+
+  const stored = await readInvoice(5, "2025-06");
+  assert.equal(stored.lines.length, 2);
+  assert.equal(stored.plan.markupPct, 50);
+  await assert.rejects(readInvoice(5, "2025-05"), { status: 404 });
+  await assert.rejects(generateInvoice({ accountId: 6, month: "2025-06" }), { status: 404 });
+});
+
+test("invoice documents: PDF and XLSX", async () => {
+  const inv = await readInvoice(5, "2025-06");
+  const pdf = buildInvoiceFile(inv, "pdf");
+  assert.equal(pdf.contentType, "application/pdf");
+  assert.equal(pdf.body.subarray(0, 4).toString(), "%PDF");
+  const xlsx = buildInvoiceFile(inv, "xlsx");
+  assert.equal(xlsx.body.subarray(0, 2).toString(), "PK");
+  assert.throws(() => buildInvoiceFile(inv, "csv"), { status: 400 });
+});
@@ -0,0 +1,58 @@
+import "./helpers.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { COLUMN_KEYS, BUILTIN_PRESETS, parseColumnKeys, resolveColumns, exportCells, cellText, getColumn } from "../lib/columns.js";
+import { buildExport, checkExport } from "../lib/export.js";
+import { listPresets, savePreset, deletePreset } from "../lib/columnPresets.js";
+
+const GB = 1024 ** 3;
+const row = {
+  iccid: "8900001", subscriberStatus: "ACTIVE", useddatabyte: 1.5 * GB, tsexpirationutc: "2025-04-30T23:59:59",
+  subscriberOneTimeCost: 12, subscriberOneTimeCostCurrency: "USD", resellerCostInPeriod: null,
+  _errors: [{ stage: "usage", window: "2025-04-01..2025-04-07", message: "timeout" }]
+};
+
+test("registry: formatters and built-in presets", () => {
+  assert.equal(cellText(getColumn("used(GB)"), row), "1.50");
+  assert.equal(cellText(getColumn("tsexpirationutc"), row), "2025-04-30 23:59:59");
+  assert.equal(cellText(getColumn("subscriberOneTimeCost"), row), "12.00");
+  assert.equal(cellText(getColumn("IMSI"), row), "");
+  assert.equal(cellText(getColumn("enrichmentErrors"), row), "usage [2025-04-01..2025-04-07]: timeout");
+  for (const p of BUILTIN_PRESETS) assert.deepEqual(parseColumnKeys(p.columns), p.columns);
+});
+
+test("parseColumnKeys / resolveColumns: order kept, unknown keys rejected, costs dropped", () => {
+  assert.deepEqual(parseColumnKeys("used(GB), ICCID,ICCID"), ["used(GB)", "ICCID"]);
+  assert.throws(() => parseColumnKeys("ICCID,nope"), e => e.status === 400);
+  assert.throws(() => parseColumnKeys(""), e => e.status === 400);
+  assert.deepEqual(resolveColumns(["resellerCostInPeriod", "ICCID"], { withCosts: false }).map(c => c.key), ["ICCID"]);
+  assert.equal(resolveColumns().length, COLUMN_KEYS.length);
+});
+
+test("exports: preset order, currency column after each cost column", () => {
+  assert.deepEqual(exportCells(resolveColumns(["subscriberOneTimeCost", "ICCID", "resellerCostInPeriod"]))
+    .map(([h, get]) => [h, get(row)]), [
+    ["subscriberOneTimeCost", "12.00"], ["subscriberOneTimeCostCurrency", "USD"],
+    ["ICCID", "8900001"],
+    ["resellerCostInPeriod", ""], ["resellerCostInPeriodCurrency", ""]
+  ]);
+  const csv = buildExport([row], { format: "csv", columns: ["ICCID", "subscriberOneTimeCost", "used(GB)"], withCosts: false }).body.toString();
+  assert.equal(csv, 'ICCID,used(GB)\n"8900001","1.50"');
+  assert.throws(() => buildExport([row], { format: "csv", columns: ["resellerCostInPeriod"], withCosts: false }), e => e.status === 400);
+  assert.throws(() => checkExport({ format: "pdf" }), { status: 400, message: /Invalid format "pdf"/ });
+  assert.equal(checkExport({ format: "csv", columns: ["ICCID"] }).length, 1);
+});
+
+test("column presets: built-ins first, per user, names of built-ins reserved", async () => {
+  await savePreset("alice", { name: "Mine", columns: ["ICCID", "used(GB)"] });
+  await savePreset("alice", { name: "Mine", columns: "used(GB),ICCID" });
+  const list = await listPresets("alice");
+  assert.deepEqual(list.map(p => p.name), [...BUILTIN_PRESETS.map(p => p.name), "Mine"]);
+  assert.deepEqual(list.at(-1).columns, ["used(GB)", "ICCID"]);
+  assert.equal((await listPresets("bob")).length, BUILTIN_PRESETS.length);
+  await assert.rejects(savePreset("alice", { name: "finance", columns: ["ICCID"] }), e => e.status === 400);
+  await assert.rejects(savePreset("alice", { name: "x", columns: ["bogus"] }), e => e.status === 400);
+  await assert.rejects(deletePreset("alice", "Finance"), e => e.status === 404);
+  await deletePreset("alice", "Mine");
+  assert.equal((await listPresets("alice")).length, BUILTIN_PRESETS.length);
+});
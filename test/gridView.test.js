@@ -0,0 +1,82 @@
+import "./helpers.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyView, normalizeView, viewFromParams, viewToParams, EMPTY_VIEW } from "../lib/gridView.js";
+import { listViews, saveView, deleteView } from "../lib/views.js";
+
+const GB = 1024 ** 3;
+const FX = { reportingCurrency: "EUR", defaultCurrency: "EUR", rates: { USD: 0.5 } };
+
+const rows = [
+  { iccid: "a10", subscriberStatus: "ACTIVE", tsexpirationutc: "2025-03-31T23:59:59", useddatabyte: 2 * GB,
+    prepaidpackagetemplateid: 1, resellerCostInPeriod: 4, resellerCostInPeriodCurrency: "EUR" },
+  { iccid: "a9", subscriberStatus: "SUSPENDED", tsexpirationutc: "2025-04-15T00:00:00", useddatabyte: 0.5 * GB,
+    prepaidpackagetemplateid: 2, resellerCostInPeriod: 10, resellerCostInPeriodCurrency: "USD" },
+  { iccid: "b1", subscriberStatus: "active", tsexpirationutc: null, useddatabyte: null,
+    prepaidpackagetemplateid: null, resellerCostInPeriod: null },
+  { iccid: "b2", subscriberStatus: "ACTIVE", tsexpirationutc: "2025-05-01T00:00:00", useddatabyte: 5 * GB,
+    prepaidpackagetemplateid: 3, resellerCostInPeriod: 3, resellerCostInPeriodCurrency: "GBP" }
+];
+const ids = (list) => list.map(r => r.iccid);
+
+test("applyView: typed filters", () => {
+  assert.deepEqual(ids(applyView(rows, { status: "active" })), ["a10", "b1", "b2"]);
+  assert.deepEqual(ids(applyView(rows, { expiresFrom: "2025-03-31", expiresTo: "2025-04-30" })), ["a10", "a9"]);
+  assert.deepEqual(ids(applyView(rows, { usedGbMin: "1", usedGbMax: "2" })), ["a10"]);
+  assert.deepEqual(ids(applyView(rows, { hasPackage: "no" })), ["b1"]);
+  assert.deepEqual(ids(applyView(rows, { hasPackage: "yes", q: "susp" })), ["a9"]);
+});
+
+test("applyView: free text searches column values only", () => {
+  const more = [
+    ...rows,
+    { iccid: "c1", subscriberStatus: "ACTIVE", _errors: [{ stage: "usage", message: "susp timeout" }], packagesInPeriod: [{ name: "susp" }] },
+    { iccid: "c2", subscriberStatus: "ACTIVE", statusHistory: [{ status: "SUSPENDED" }], resellerCostInPeriod: 77 }
+  ];
+  assert.deepEqual(ids(applyView(more, { q: "susp" })), ["a9"]);
+  assert.deepEqual(ids(applyView(more, { q: "object" })), []);
+  assert.deepEqual(ids(applyView(more, { q: "77" })), ["c2"]);
+  assert.deepEqual(ids(applyView(more, { q: "77" }, { withCosts: false })), []);
+});
+
+test("applyView: cost range in the reporting currency, ignored without cost access", () => {
+  // a9 is 10 USD = 5 EUR; b2 (GBP, no rate) never matches a cost range
+  assert.deepEqual(ids(applyView(rows, { costMin: "4.5" }, { fx: FX })), ["a9"]);
+  assert.deepEqual(ids(applyView(rows, { costMax: "4" }, { fx: FX })), ["a10"]);
+  assert.equal(applyView(rows, { costMax: "4" }, { fx: FX, withCosts: false }).length, 4);
+});
+
+test("applyView: sort keeps empty values last and ties in load order", () => {
+  assert.deepEqual(ids(applyView(rows, { sort: "ICCID" })), ["a9", "a10", "b1", "b2"]);
+  assert.deepEqual(ids(applyView(rows, { sort: "used(GB)", dir: "desc" })), ["b2", "a10", "a9", "b1"]);
+  assert.deepEqual(ids(applyView(rows, { sort: "resellerCostInPeriod" }, { fx: FX })), ["a10", "a9", "b1", "b2"]);
+  assert.deepEqual(ids(applyView(rows, { sort: "subscriberStatus" })), ["a10", "b1", "b2", "a9"]);
+  assert.deepEqual(ids(applyView(rows, { sort: "resellerCostInPeriod", dir: "desc" }, { withCosts: false })), ids(rows));
+});
+
+test("view params: round trip and validation", () => {
+  const view = normalizeView({ status: "ACTIVE", usedGbMin: 1, sort: "ICCID", dir: "desc", bogus: "x" });
+  const params = viewToParams(view);
+  assert.deepEqual(params, { status: "ACTIVE", usedGbMin: "1", sort: "ICCID", dir: "desc" });
+  assert.deepEqual(viewFromParams(new URLSearchParams(params)), view);
+  assert.deepEqual(viewFromParams(new URLSearchParams()), EMPTY_VIEW);
+  for (const bad of [{ expiresFrom: "31/03/2025" }, { usedGbMax: "lots" }, { hasPackage: "maybe" }, { sort: "nope" }, { dir: "up" }, { costField: "pnl" }]) {
+    assert.throws(() => normalizeView(bad), e => e.status === 400);
+  }
+});
+
+test("saved views: per user, replaced by name", async () => {
+  await saveView("alice", { name: "Expiring", view: { expiresTo: "2025-04-30" } });
+  await saveView("alice", { name: "Expiring", view: { expiresTo: "2025-05-31", sort: "tsexpirationutc" } });
+  await saveView("bob", { name: "Heavy users", view: { usedGbMin: "10" } });
+  const mine = await listViews("alice");
+  assert.equal(mine.length, 1);
+  assert.equal(mine[0].view.expiresTo, "2025-05-31");
+  assert.equal(mine[0].view.sort, "tsexpirationutc");
+  assert.deepEqual((await listViews("bob")).map(v => v.name), ["Heavy users"]);
+  await assert.rejects(saveView("alice", { name: " ", view: {} }), e => e.status === 400);
+  await assert.rejects(saveView("alice", { name: "x", view: { dir: "sideways" } }), e => e.status === 400);
+  await deleteView("alice", "Expiring");
+  assert.deepEqual(await listViews("alice"), []);
+  await assert.rejects(deleteView("alice", "Expiring"), e => e.status === 404);
+});
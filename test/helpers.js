@@ -0,0 +1,37 @@
+// Shared test setup. Import it before any lib module: it points the stores at a temp dir and makes
+// callOCS quiet, unthrottled and retry-free, so failures in fixtures surface immediately.
+
+import os from "os";
+import path from "path";
+import { mkdtempSync } from "fs";
+import { startMockOCS } from "../mock/ocs.js";
+
+const dir = mkdtempSync(path.join(os.tmpdir(), "teltrip-test-"));
+Object.assign(process.env, {
+  OCS_TOKEN: "test",
+  OCS_LOG: "off",
+  OCS_RPS: "0",
+  OCS_MAX_RETRIES: "0",
+  USAGE_CACHE_FILE: path.join(dir, "usage-cache.json"),
+  FX_RATES_FILE: path.join(dir, "fx-rates.json"),
+  VIEWS_FILE: path.join(dir, "views.json"),
+  COLUMN_PRESETS_FILE: path.join(dir, "column-presets.json"),
+  PRICE_PLANS_FILE: path.join(dir, "price-plans.json"),
+  INVOICE_DIR: path.join(dir, "invoices"),
+  SNAPSHOT_DIR: path.join(dir, "snapshots")
+});
+
+// Starts a mock OCS with these fixtures and points callOCS at it -> { url, calls, close() }
+export async function useMockOCS(responses, token = "test") {
+  const mock = await startMockOCS({ responses, token });
+  process.env.OCS_BASE_URL = mock.url;
+  process.env.OCS_TOKEN = token;
+  return mock;
+}
+
+export const subscriber = (subscriberId, iccid, extra = {}) => ({
+  subscriberId,
+  imsiList: [{ imsi: `imsi${subscriberId}`, iccid }],
+  status: [{ status: "ACTIVE", startDate: "2025-01-01T00:00:00" }],
+  ...extra
+});
@@ -0,0 +1,30 @@
+import "./helpers.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { clientIp } from "../lib/audit.js";
+import { loginLockout, recordLoginFailure } from "../lib/loginThrottle.js";
+
+// what our proxy forwards: whatever x-forwarded-for the client sent, plus the address it connected from
+const viaProxy = (spoofed, real) => new Request("http://localhost/api/login", {
+  headers: { "x-forwarded-for": spoofed ? `${spoofed}, ${real}` : real }
+});
+
+test("clientIp: the hop added by the trusted proxy, not the client's", () => {
+  assert.equal(clientIp(viaProxy("1.2.3.4", "203.0.113.7")), "203.0.113.7");
+  assert.equal(clientIp(viaProxy(null, "203.0.113.7")), "203.0.113.7");
+  process.env.TRUSTED_PROXIES = "2";
+  try {
+    assert.equal(clientIp(new Request("http://x", { headers: { "x-forwarded-for": "9.9.9.9, 203.0.113.7, 10.0.0.2" } })), "203.0.113.7");
+  } finally { delete process.env.TRUSTED_PROXIES; }
+});
+
+test("login lockout: a new spoofed x-forwarded-for per attempt does not reset the IP counter", () => {
+  const now = Date.now();
+  let locked = null;
+  for (let i = 0; i < 20 && !locked; i++) {
+    locked = recordLoginFailure({ ip: clientIp(viaProxy(`10.0.${i}.1`, "198.51.100.9")), username: `user${i}` }, now);
+  }
+  assert.equal(locked?.scope, "ip");
+  const next = { ip: clientIp(viaProxy("10.9.9.9", "198.51.100.9")), username: "someone-else" };
+  assert.equal(loginLockout(next, now + 1000)?.scope, "ip");
+});
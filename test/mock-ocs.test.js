@@ -0,0 +1,53 @@
+import { useMockOCS } from "./helpers.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { findResponse, loadFixtures } from "../mock/ocs.js";
+import { callOCS } from "../lib/ocs.js";
+import { listAccounts } from "../lib/accounts.js";
+import { fetchAccountsData } from "../lib/teltrip.js";
+
+test("findResponse: first fixture whose request is contained in the call", () => {
+  const responses = [
+    { request: { op: { id: 1, period: { start: "2025-06-01" } } }, response: "specific" },
+    { request: { op: { id: 1 } }, response: "generic" },
+    { request: { op: {} }, response: "any" }
+  ];
+  assert.equal(findResponse(responses, { op: { id: 1, period: { start: "2025-06-01", end: "2025-06-07" } } }).response, "specific");
+  assert.equal(findResponse(responses, { op: { id: 1, period: { start: "2025-06-08" } } }).response, "generic");
+  assert.equal(findResponse(responses, { op: { id: 2 } }).response, "any");
+  assert.equal(findResponse(responses, { other: {} }), null);
+});
+
+test("mock OCS: token check, status codes, unknown operations", async () => {
+  const mock = await useMockOCS([{ request: { down: {} }, response: { error: "maintenance" }, status: 503 }]);
+  try {
+    await assert.rejects(callOCS({ down: {} }), { status: 503 });
+    await assert.rejects(callOCS({ nope: {} }), { status: 404 });
+    process.env.OCS_TOKEN = "wrong";
+    await assert.rejects(callOCS({ down: {} }), { status: 401 });
+    assert.deepEqual(mock.calls.map(c => [c.op, c.status]), [["down", 503], ["nope", 404], ["down", 401]]);
+  } finally {
+    await mock.close();
+  }
+});
+
+// keeps the demo data loadable: every row fully enriched, costs with a currency
+test("demo fixtures: all accounts load without errors", async () => {
+  const { token, responses } = await loadFixtures(fileURLToPath(new URL("../mock/fixtures/demo.json", import.meta.url)));
+  const mock = await useMockOCS(responses, token);
+  try {
+    const accounts = await listAccounts();
+    assert.ok(accounts.length >= 2);
+    const { rows, accountErrors } = await fetchAccountsData(accounts, { from: "2025-06-01", to: "2025-06-30" });
+    assert.deepEqual(accountErrors, []);
+    assert.ok(rows.length > 0);
+    for (const r of rows) {
+      assert.deepEqual(r._errors, [], r.iccid);
+      assert.ok(r.subscriberOneTimeCost > 0 && r.subscriberOneTimeCostCurrency, `${r.iccid} cost`);
+      assert.ok(r.resellerCostInPeriodCurrency, `${r.iccid} reseller currency`);
+    }
+  } finally {
+    await mock.close();
+  }
+});
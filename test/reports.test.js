@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sumTotals, totalsByAccount, templateProfitability, networkBreakdown, toReporting, monthlyPnl, monthsOf, presetPeriod } from "../lib/reports.js";
+import { resolvePeriod } from "../lib/teltrip.js";
+
+const FX = { reportingCurrency: "EUR", defaultCurrency: "EUR", rates: { USD: 0.5 } };
+
+const row = (extra) => ({
+  accountId: 1, accountName: "A",
+  subscriberOneTimeCost: null, subscriberOneTimeCostCurrency: null,
+  resellerCostInPeriod: null, resellerCostInPeriodCurrency: null,
+  totalBytesInPeriod: null, _errors: [],
+  ...extra
+});
+
+const rows = [
+  row({ prepaidpackagetemplateid: 1, subscriberOneTimeCost: 10, subscriberOneTimeCostCurrency: "EUR", resellerCostInPeriod: 4, totalBytesInPeriod: 100, lastMcc: "208", lastMnc: "10" }),
+  row({ prepaidpackagetemplateid: 2, subscriberOneTimeCost: 20, subscriberOneTimeCostCurrency: "USD", resellerCostInPeriod: 2, resellerCostInPeriodCurrency: "EUR", totalBytesInPeriod: 50, lastMcc: "208", lastMnc: "10" }),
+  row({ accountId: 2, accountName: "B", prepaidpackagetemplateid: 2, subscriberOneTimeCost: 6, subscriberOneTimeCostCurrency: "GBP", resellerCostInPeriod: 1, _errors: [{ stage: "usage" }],
+    usageByNetwork: { "262-01": { mcc: "262", mnc: "01", bytes: 30, resellerCost: 0.6 }, "208-10": { mcc: "208", mnc: "10", bytes: 20, resellerCost: 0.4 } } })
+];
+
+test("toReporting: converts with the rate table, null without a rate", () => {
+  assert.equal(toReporting(10, "USD", FX), 5);
+  assert.equal(toReporting(10, "eur", FX), 10);
+  assert.equal(toReporting(10, null, FX), 10);            // default currency
+  assert.equal(toReporting(10, "GBP", FX), null);
+  assert.equal(toReporting(0, "GBP", FX), 0);
+  assert.equal(toReporting(null, "USD", FX), 0);
+  assert.equal(toReporting(10, "USD", null), 10);         // no table: as-is
+});
+
+test("sumTotals: converted totals plus sums per original currency", () => {
+  const t = sumTotals(rows, FX);
+  assert.equal(t.sims, 3);
+  assert.equal(t.totalSubscriberOneTime, 10 + 20 * 0.5);  // GBP has no rate
+  assert.equal(t.totalReseller, 7);
+  assert.equal(t.pnl, 13);
+  assert.equal(t.currency, "EUR");
+  assert.deepEqual(t.unconverted, ["GBP"]);
+  assert.deepEqual(t.byCurrency, {
+    EUR: { totalSubscriberOneTime: 10, totalReseller: 7, pnl: 3 },
+    USD: { totalSubscriberOneTime: 20, totalReseller: 0, pnl: 20 },
+    GBP: { totalSubscriberOneTime: 6, totalReseller: 0, pnl: 6 }
+  });
+  assert.equal(t.totalBytes, 150);
+  assert.equal(t.incompleteRows, 1);
+});
+
+test("sumTotals: without an FX table amounts are added as they are", () => {
+  const t = sumTotals(rows);
+  assert.equal(t.totalSubscriberOneTime, 36);
+  assert.equal(t.currency, null);
+  assert.deepEqual(t.unconverted, []);
+  assert.deepEqual(sumTotals([]), {
+    sims: 0, totalReseller: 0, totalSubscriberOneTime: 0, totalBytes: 0, pnl: 0,
+    currency: null, byCurrency: {}, unconverted: [], incompleteRows: 0
+  });
+});
+
+test("totalsByAccount: one entry per account, by name", () => {
+  const list = totalsByAccount(rows, FX);
+  assert.deepEqual(list.map(a => [a.accountId, a.accountName, a.sims, a.pnl]), [[1, "A", 2, 14], [2, "B", 1, -1]]);
+});
+
+test("templateProfitability: margins in the reporting currency, worst first", () => {
+  const list = templateProfitability(rows, FX);
+  assert.deepEqual(list.map(t => [t.templateId, t.sims, t.revenue, t.resellerCost, t.unconvertedSims]), [
+    [1, 1, 10, 4, 0],
+    [2, 1, 10, 2, 1]
+  ]);
+  assert.deepEqual(list.map(t => t.marginPerSim), [6, 8]);
+});
+
+test("templateProfitability: a SIM that changed templates is split between them", () => {
+  const switched = row({
+    iccid: "s1", prepaidpackagetemplateid: 2, prepaidpackagetemplatename: "Big",
+    packagesInPeriod: [
+      { prepaidpackagetemplateid: 1, prepaidpackagetemplatename: "Small", cost: 12, currency: "EUR", revenueMonth: "2025-05", useddatabyte: 300 },
+      { prepaidpackagetemplateid: 2, prepaidpackagetemplatename: "Big", cost: 2, currency: "EUR", revenueMonth: "2025-06", useddatabyte: 100 }
+    ],
+    resellerCostInPeriod: 8, resellerCostInPeriodCurrency: "EUR", totalBytesInPeriod: 400
+  });
+  const list = templateProfitability([switched], FX);
+  assert.deepEqual(list.map(t => [t.templateName, t.sims, t.revenue, t.resellerCost, t.totalBytes, t.lossSims]), [
+    ["Big", 1, 2, 2, 100, 0],      // 1/4 of the data -> 1/4 of the cost
+    ["Small", 1, 12, 6, 300, 0]
+  ]);
+  const loss = templateProfitability([{ ...switched, resellerCostInPeriod: 40 }], FX);
+  assert.deepEqual(loss.map(t => [t.templateName, t.lossSims]), [["Small", 1], ["Big", 1]]);
+});
+
+test("networkBreakdown: per-network split when present, else last network", () => {
+  const { byCountry, byNetwork } = networkBreakdown(rows, FX);
+  const fr = byNetwork.find(n => n.mcc === "208");
+  assert.deepEqual([fr.sims, fr.attributedSims, fr.bytes, fr.resellerCost], [3, 2, 170, 6.4]);
+  const de = byNetwork.find(n => n.mcc === "262");
+  assert.deepEqual([de.sims, de.attributedSims, de.bytes, de.resellerCost], [1, 0, 30, 0.6]);
+  assert.equal(byCountry.length, 2);
+  assert.equal(byCountry[0].resellerCost, 6.4); // most expensive first
+});
+
+// SIM with three packages: one from before the period (no revenue), two renewals in it
+const renewals = row({
+  iccid: "r1", subscriberOneTimeCost: 8, subscriberOneTimeCostCurrency: "EUR",
+  packagesInPeriod: [
+    { prepaidpackagetemplateid: 1, cost: 8, currency: "EUR", revenueMonth: null },
+    { prepaidpackagetemplateid: 1, cost: 8, currency: "EUR", revenueMonth: "2025-05" },
+    { prepaidpackagetemplateid: 2, cost: 10, currency: "USD", revenueMonth: "2025-06" }
+  ],
+  resellerCostInPeriod: 9, resellerCostInPeriodCurrency: "EUR",
+  usageByMonth: { "2025-05": { bytes: 10, resellerCost: 3 }, "2025-06": { bytes: 20, resellerCost: 6 } }
+});
+
+test("sumTotals: revenue from every package activated in the period", () => {
+  const t = sumTotals([renewals], FX);
+  assert.equal(t.totalSubscriberOneTime, 8 + 10 * 0.5);
+  assert.equal(t.pnl, 13 - 9);
+  assert.deepEqual(t.byCurrency.USD, { totalSubscriberOneTime: 10, totalReseller: 0, pnl: 10 });
+});
+
+test("monthlyPnl: revenue by activation month, cost by usage month", () => {
+  assert.deepEqual(monthsOf({ from: "2024-12-15", to: "2025-02-01" }), ["2024-12", "2025-01", "2025-02"]);
+  const other = row({ accountId: 2, accountName: "B", iccid: "b1", packagesInPeriod: [], resellerCostInPeriodCurrency: "GBP",
+    usageByMonth: { "2025-06": { bytes: 5, resellerCost: 2 } }, _errors: [{ stage: "usage" }] });
+  const p = monthlyPnl([renewals, other], { from: "2025-05-01", to: "2025-06-30" }, FX);
+  assert.deepEqual(p.months, ["2025-05", "2025-06"]);
+  assert.deepEqual(p.total.byMonth, { "2025-05": { revenue: 8, cost: 3, pnl: 5 }, "2025-06": { revenue: 5, cost: 6, pnl: -1 } });
+  assert.equal(p.total.pnl, 4);
+  assert.equal(p.total.incompleteRows, 1);
+  assert.deepEqual(p.unconverted, ["GBP"]);
+  assert.deepEqual(p.accounts.map(a => [a.accountName, a.sims, a.pnl]), [["A", 1, 4], ["B", 1, 0]]);
+  const sim = p.sims.find(s => s.iccid === "r1");
+  assert.equal(sim.packages.length, 3);
+  assert.equal(sim.byMonth["2025-06"].pnl, -1);
+});
+
+test("presetPeriod: UTC calendar, so early on the 1st east of UTC is still last month", () => {
+  const now = new Date("2025-07-01T00:30:00+02:00"); // local July 1st, UTC June 30th
+  assert.deepEqual(presetPeriod("thisMonth", now), { from: "2025-06-01", to: "2025-06-30" });
+  assert.deepEqual(presetPeriod("lastMonth", now), { from: "2025-05-01", to: "2025-05-31" });
+  assert.deepEqual(presetPeriod("quarterToDate", now), { from: "2025-04-01", to: "2025-06-30" });
+  assert.deepEqual(presetPeriod("lastMonth", new Date("2025-01-15T12:00:00Z")), { from: "2024-12-01", to: "2024-12-31" });
+  // today's preset is always a period the server accepts
+  const today = presetPeriod("thisMonth");
+  assert.deepEqual(resolvePeriod(today), today);
+});
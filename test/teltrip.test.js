@@ -0,0 +1,231 @@
+import { useMockOCS, subscriber } from "./helpers.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fetchAllData, fetchSubscriberUsage, listPackageTemplates, resolvePeriod } from "../lib/teltrip.js";
+import { stripUsageCosts } from "../lib/roles.js";
+import { takeSnapshots } from "../lib/snapshots.js";
+import { getCachedWindow, isClosedWindow, putCachedWindow } from "../lib/usageCache.js";
+
+const MB = 1024 ** 2;
+const PERIOD = { from: "2025-06-01", to: "2025-06-14" }; // two weekly windows
+
+const pkg = (templateId, extra = {}) => ({
+  packageTemplate: { prepaidpackagetemplateid: templateId },
+  subscriberprepaidpackageid: templateId * 100,
+  tsactivationutc: "2025-06-01T00:00:00",
+  tsexpirationutc: "2025-07-01T00:00:00",
+  pckdatabyte: 1024 * MB,
+  useddatabyte: 10 * MB,
+  ...extra
+});
+const packages = (subscriberId, list) => ({
+  request: { listSubscriberPrepaidPackages: { subscriberId } },
+  response: { listSubscriberPrepaidPackages: { packages: list } }
+});
+const templateById = (templateId, tpl, status) => ({
+  request: { listPrepaidPackageTemplate: { templateId } },
+  response: { listPrepaidPackageTemplateRsp: { prepaidPackageTemplate: [tpl] } },
+  ...(status ? { status } : {})
+});
+const usage = (subscriberId, total, period) => ({
+  request: { subscriberUsageOverPeriod: { subscriber: { subscriberId }, ...(period ? { period } : {}) } },
+  response: { subscriberUsageOverPeriod: { total } }
+});
+
+let mock;
+before(async () => {
+  mock = await useMockOCS([
+    {
+      request: { listSubscriber: { accountId: 1 } },
+      response: { listSubscriber: { subscriberList: [1, 2, 3, 4].map(i => subscriber(i, `890000000000000000${i}`)) } }
+    },
+    // newest package wins, whatever the order in the response
+    packages(1, [pkg(11, { tsactivationutc: "2025-06-05T00:00:00" }), pkg(99, { tsactivationutc: "2025-05-01T00:00:00" })]),
+    packages(2, [pkg(12)]),
+    packages(3, [pkg(13, { cost: 3, currency: "GBP" })]),
+    packages(4, [pkg(14)]),
+    // one-time / activation charges are preferred over other prices, even when higher
+    templateById(11, { name: "EU 5GB", currency: "EUR", pricing: [{ type: "monthly", price: 3 }, { type: "activation", price: 5 }] }),
+    // list-by-id fails -> getPrepaidPackageTemplate; price as a formatted string
+    templateById(12, {}, 500),
+    { request: { getPrepaidPackageTemplate: { prepaidPackageTemplateId: 12 } }, response: { prepaidPackageTemplate: { name: "World", price: "7.50 USD", currency: "USD" } } },
+    // zero template cost -> the package's own one-time cost (and currency)
+    templateById(13, { name: "Free", cost: 0, currency: "EUR" }),
+    templateById(99, { name: "EU 1GB", cost: 2, currency: "EUR" }),
+    // both lookups fail -> reported on the row, cost unknown
+    templateById(14, {}, 500),
+    { request: { getPrepaidPackageTemplate: { prepaidPackageTemplateId: 14 } }, response: {}, status: 500 },
+    usage(1, { quantityPerType: { "33": 100 * MB }, resellerCost: 0.5, currency: "EUR" }),
+    { request: { subscriberUsageOverPeriod: { subscriber: { subscriberId: 2 }, period: { start: "2025-06-08" } } }, response: {}, status: 503 },
+    usage(2, { quantityPerType: { "33": 40 * MB }, resellerCost: 0.25 }),
+    usage(3, { quantityPerType: { "33": 0 }, resellerCost: 0 }),
+    usage(4, { quantityPerType: { "33": 0 }, resellerCost: 0 }),
+    {
+      request: { listPrepaidPackageTemplate: {} },
+      response: { listPrepaidPackageTemplateRsp: { prepaidPackageTemplate: [
+        { prepaidpackagetemplateid: 11, name: "EU 5GB", cost: 9.5, currency: "EUR", databyte: 5 * 1024 * MB },
+        { id: 12, name: "Asia", oneTimePrice: "12" },
+        { name: "no id, skipped" }
+      ] } }
+    }
+  ]);
+});
+after(() => mock.close());
+
+const rowsByIccid = async () => {
+  const { rows } = await fetchAllData(1, PERIOD);
+  return Object.fromEntries(rows.map(r => [r.iccid.slice(-1), r]));
+};
+
+test("template cost: one-time charge preferred, currency kept", async () => {
+  const r = (await rowsByIccid())["1"];
+  assert.equal(r.prepaidpackagetemplateid, 11);
+  assert.equal(r.subscriberOneTimeCost, 5);
+  assert.equal(r.subscriberOneTimeCostCurrency, "EUR");
+  assert.equal(r.prepaidpackagetemplatename, "EU 5GB");
+  assert.deepEqual(r._errors, []);
+});
+
+test("template cost: falls back to getPrepaidPackageTemplate", async () => {
+  const r = (await rowsByIccid())["2"];
+  assert.equal(r.subscriberOneTimeCost, 7.5);
+  assert.equal(r.subscriberOneTimeCostCurrency, "USD");
+  assert.equal(r.prepaidpackagetemplatename, "World");
+});
+
+test("template cost: zero template cost falls back to the package cost", async () => {
+  const r = (await rowsByIccid())["3"];
+  assert.equal(r.subscriberOneTimeCost, 3);
+  assert.equal(r.subscriberOneTimeCostCurrency, "GBP");
+});
+
+test("template cost: failed lookups are reported, not cached as zero", async () => {
+  const r = (await rowsByIccid())["4"];
+  assert.equal(r.subscriberOneTimeCost, null);
+  assert.equal(r._errors.length, 1);
+  assert.equal(r._errors[0].stage, "template");
+  assert.match(r._errors[0].message, /Template 14: listPrepaidPackageTemplate: HTTP 500.*getPrepaidPackageTemplate: HTTP 500/);
+  const before = mock.calls.filter(c => c.op === "getPrepaidPackageTemplate").length;
+  await rowsByIccid();
+  assert.ok(mock.calls.filter(c => c.op === "getPrepaidPackageTemplate").length > before, "retried on the next load");
+});
+
+test("usage: weekly windows are summed", async () => {
+  const r = (await rowsByIccid())["1"];
+  assert.equal(r.totalBytesInPeriod, 200 * MB);
+  assert.equal(r.resellerCostInPeriod, 1);
+  assert.equal(r.resellerCostInPeriodCurrency, "EUR");
+  const windows = mock.calls
+    .filter(c => c.op === "subscriberUsageOverPeriod" && c.payload.subscriberUsageOverPeriod.subscriber.subscriberId === 1)
+    .map(c => c.payload.subscriberUsageOverPeriod.period);
+  assert.deepEqual(windows.slice(0, 2).sort((a, b) => a.start.localeCompare(b.start)), [
+    { start: "2025-06-01", end: "2025-06-07" },
+    { start: "2025-06-08", end: "2025-06-14" }
+  ]);
+});
+
+test("usage: a failed window keeps the partial sum and is reported", async () => {
+  const r = (await rowsByIccid())["2"];
+  assert.equal(r.totalBytesInPeriod, 40 * MB);
+  assert.equal(r.resellerCostInPeriod, 0.25);
+  assert.deepEqual(r._errors.map(e => [e.stage, e.window]), [["usage", "2025-06-08..2025-06-14"]]);
+});
+
+test("usage cache: settled windows are kept, idle ones included", async () => {
+  assert.equal(isClosedWindow("2025-06-26", "2025-06-30"), true);
+  assert.equal(isClosedWindow("2025-06-27", "2025-06-30"), false); // late records may still arrive
+  assert.equal(isClosedWindow("2025-06-29", "2025-06-30", 0), true);
+  const recent = new Date(Date.now() - 86_400_000).toISOString().slice(0, 10);
+  await putCachedWindow({ subscriberId: 900, start: recent, end: recent, bytes: 1, resellerCost: 0 });
+  assert.equal(await getCachedWindow(900, recent, recent), null);
+  await putCachedWindow({ subscriberId: 900, start: "2025-05-01", end: "2025-05-07", bytes: null, resellerCost: null });
+  const idle = await getCachedWindow(900, "2025-05-01", "2025-05-07"); // no usage is still an answer
+  assert.deepEqual([idle?.bytes, idle?.resellerCost], [null, null]);
+});
+
+test("packages: every package active in the period, revenue from those activated in it", async () => {
+  const r = (await rowsByIccid())["1"];
+  assert.deepEqual(r.packagesInPeriod.map(p => [p.prepaidpackagetemplateid, p.cost, p.currency, p.revenueMonth]), [
+    [99, 2, "EUR", null],        // activated before the period
+    [11, 5, "EUR", "2025-06"]
+  ]);
+  assert.equal(r.revenueInPeriod, 5);
+  assert.equal(r.revenueInPeriodCurrency, "EUR");
+});
+
+test("usage: windows are cut at month ends and split per month", async () => {
+  const { rows } = await fetchAllData(1, { from: "2025-05-28", to: "2025-06-05" });
+  const r = rows.find(x => x.iccid.endsWith("1"));
+  const windows = mock.calls
+    .filter(c => c.op === "subscriberUsageOverPeriod" && c.payload.subscriberUsageOverPeriod.subscriber.subscriberId === 1)
+    .map(c => c.payload.subscriberUsageOverPeriod.period)
+    .filter(p => p.start < "2025-06-01");
+  assert.deepEqual(windows, [{ start: "2025-05-28", end: "2025-05-31" }]);
+  assert.deepEqual(r.usageByMonth, {
+    "2025-05": { bytes: 100 * MB, resellerCost: 0.5 },
+    "2025-06": { bytes: 100 * MB, resellerCost: 0.5 }
+  });
+});
+
+test("subscriber drill-down: no cost left anywhere for roles without cost access", async () => {
+  const data = await fetchSubscriberUsage(1, "8900000000000000001", { from: "2025-06-01", to: "2025-06-02" });
+  data.series[0].networks = [{ mcc: "208", mnc: "01", bytes: 1, resellerCost: 0.2 }];
+  data.totals = { ...data.totals, subscriberCost: 4, perNetwork: [{ mcc: "208", resellerCost: 0.2 }] };
+  const costs = [];
+  const walk = (v, path) => {
+    if (Array.isArray(v)) v.forEach((x, i) => walk(x, `${path}[${i}]`));
+    else if (v && typeof v === "object") {
+      for (const [k, x] of Object.entries(v)) {
+        if (/(cost|revenueInPeriod|pnl)$/i.test(k) && x != null) costs.push(`${path}.${k}`);
+        walk(x, `${path}.${k}`);
+      }
+    }
+  };
+  walk(data, "data");
+  assert.ok(costs.includes("data.series[0].networks[0].resellerCost") && costs.includes("data.totals.subscriberCost"));
+  costs.length = 0;
+  const stripped = stripUsageCosts(data);
+  walk(stripped, "data");
+  assert.deepEqual(costs, []);
+  assert.deepEqual(stripped.totals, { quantityPerType: { "33": 100 * MB } });
+  assert.equal(stripped.series[0].bytes, 100 * MB);
+});
+
+test("takeSnapshots: stops at the deadline and resumes past the accounts already done", async () => {
+  const date = "2025-06-14";
+  const late = await takeSnapshots([{ id: 1 }, { id: 2 }], { date, deadline: Date.now() - 1 });
+  assert.deepEqual(late.map(r => [r.accountId, r.ok, r.pending]), [[1, false, true], [2, false, true]]);
+  const [first] = await takeSnapshots([{ id: 1 }], { date });
+  assert.equal(first.ok, true);
+  assert.equal(first.totals.sims, 4);
+  const again = await takeSnapshots([{ id: 1 }], { date, skipExisting: true });
+  assert.deepEqual(again, [{ accountId: 1, ok: true, skipped: true, date }]);
+});
+
+test("loadRows: an aborted load stops enriching rows", async () => {
+  const ac = new AbortController();
+  const before = mock.calls.filter(c => c.op === "listSubscriberPrepaidPackages").length;
+  const patched = [];
+  await assert.rejects(
+    fetchAllData(1, PERIOD, { signal: ac.signal, onRows: () => ac.abort(), onRow: (i) => patched.push(i) }),
+    { status: 499 }
+  );
+  assert.equal(mock.calls.filter(c => c.op === "listSubscriberPrepaidPackages").length, before);
+  assert.deepEqual(patched, []);
+});
+
+test("listPackageTemplates: normalises shapes and drops templates without id", async () => {
+  assert.deepEqual(await listPackageTemplates(), [
+    { id: 12, cost: 12, currency: null, name: "Asia", dataBytes: null },
+    { id: 11, cost: 9.5, currency: "EUR", name: "EU 5GB", dataBytes: 5 * 1024 * MB }
+  ]);
+});
+
+test("resolvePeriod: defaults, clamping and validation", () => {
+  const today = new Date().toISOString().slice(0, 10);
+  assert.deepEqual(resolvePeriod({ from: "2025-06-01", to: "2025-06-30" }), { from: "2025-06-01", to: "2025-06-30" });
+  assert.equal(resolvePeriod({ from: "2025-06-01", to: "2999-01-01" }).to, today);
+  assert.equal(resolvePeriod().from, `${today.slice(0, 7)}-01`);
+  assert.throws(() => resolvePeriod({ from: "2025-02-30" }), { status: 400 });
+  assert.throws(() => resolvePeriod({ from: "2025-06-10", to: "2025-06-01" }), { status: 400 });
+});